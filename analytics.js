@@ -0,0 +1,384 @@
+// Funnel analytics. Pages report what riders do with trackEvent('park_viewed', {...}); each event
+// is checked against ANALYTICS_EVENTS and handed to every sink named in the analytics config:
+// the browser console, a buffer in localStorage (which analytics.html summarizes), or batched
+// HTTP POSTs to a collector. Riders can opt out on analytics.html, and browsers sending
+// Do Not Track are opted out until they opt in. Events never carry names, emails or card details.
+//
+// Try the HTTP sink against `node server.js` from the console:
+//   setAnalyticsConfig({ sinks: ['buffer', 'http'] })
+
+const ANALYTICS_CONFIG_KEY = 'dirtBikeAppAnalyticsConfig';
+const ANALYTICS_CONSENT_KEY = 'dirtBikeAppAnalyticsConsent';
+const ANALYTICS_BUFFER_KEY = 'dirtBikeAppAnalyticsEvents';
+const ANALYTICS_OUTBOX_KEY = 'dirtBikeAppAnalyticsOutbox';
+const ANALYTICS_VISIT_KEY = 'dirtBikeAppAnalyticsVisit';
+
+const ANALYTICS_VISIT_TIMEOUT_MINUTES = 30; // A new visit starts after this long without an event.
+
+const DEFAULT_ANALYTICS_CONFIG = {
+    sinks: ['buffer'],                  // Any of the names in ANALYTICS_SINKS, e.g. ['console', 'buffer', 'http'].
+    endpoint: '/api/analytics/events',  // Where the HTTP sink posts batches. `node server.js` accepts them here.
+    batchSize: 20,                      // Events per POST; a full batch is sent straight away.
+    flushInterval: 10000,               // How long a partial batch waits before it's sent, in ms.
+    retries: 3,                         // Extra attempts for a batch that fails with a network or server error.
+    retryDelay: 1000,                   // Base delay between attempts, doubled on each one.
+    bufferLimit: 2000,                  // Events kept by the buffer and the HTTP outbox; the oldest go first.
+};
+
+// Every event, with the properties it carries and their types ('string', 'number', 'boolean', 'array' or 'object').
+// Properties ending in '?' are optional. Anything else passed to trackEvent is dropped, so nothing is collected by accident.
+const ANALYTICS_EVENTS = {
+    park_viewed: { parkId: 'string', parkName: 'string' },
+    filter_applied: { filters: 'array', resultCount: 'number' },
+    cart_item_added: { parkId: 'string', days: 'number', adults: 'number', kids: 'number', rentals: 'number', value: 'number' },
+    cart_item_removed: { parkId: 'string', days: 'number', guests: 'number' },
+    checkout_started: { itemCount: 'number', guests: 'number', value: 'number' },
+    checkout_validation_failed: { fields: 'array', source: 'string' },
+    order_placed: { orderId: 'string', itemCount: 'number', guests: 'number', value: 'number', 'promoCode?': 'string' },
+    review_submitted: { parkId: 'string', rating: 'number', isEdit: 'boolean', status: 'string' },
+};
+
+// --- Configuration & Consent ---
+
+/**
+ * Reads a JSON value kept by analytics from localStorage. A missing entry, one that can't be parsed, or one of
+ * the wrong shape gives the fallback instead, so a corrupted entry can't break tracking on every page.
+ * @param {string} key - The storage key.
+ * @param {Object|Array} fallback - The default value; the stored value must be the same kind (array or object).
+ * @returns {Object|Array} The stored value, or the fallback.
+ */
+function readStoredAnalytics(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        const isSameKind = Array.isArray(fallback)
+            ? Array.isArray(value)
+            : Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        return isSameKind ? value : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Gets the analytics configuration: the defaults, overridden by anything saved in localStorage.
+ * @returns {Object} The analytics configuration.
+ */
+function getAnalyticsConfig() {
+    return { ...DEFAULT_ANALYTICS_CONFIG, ...readStoredAnalytics(ANALYTICS_CONFIG_KEY, {}) };
+}
+
+/**
+ * Saves analytics configuration overrides, e.g. `setAnalyticsConfig({ sinks: ['console'] })` from the console.
+ * @param {Object} overrides - The settings to change.
+ */
+function setAnalyticsConfig(overrides) {
+    localStorage.setItem(ANALYTICS_CONFIG_KEY, JSON.stringify({ ...readStoredAnalytics(ANALYTICS_CONFIG_KEY, {}), ...overrides }));
+}
+
+/**
+ * Checks whether this browser shares usage data: the rider's choice, or, until they make one, not if Do Not Track is on.
+ * @returns {boolean} True when events are collected.
+ */
+function isAnalyticsEnabled() {
+    const consent = localStorage.getItem(ANALYTICS_CONSENT_KEY);
+    if (consent !== null) return consent === 'granted';
+    return typeof navigator === 'undefined' || navigator.doNotTrack !== '1';
+}
+
+/**
+ * Saves the rider's choice. Opting out also deletes the events already collected in this browser.
+ * @param {boolean} enabled - Whether to collect events.
+ */
+function setAnalyticsEnabled(enabled) {
+    localStorage.setItem(ANALYTICS_CONSENT_KEY, enabled ? 'granted' : 'denied');
+    if (!enabled) {
+        localStorage.removeItem(ANALYTICS_BUFFER_KEY);
+        localStorage.removeItem(ANALYTICS_OUTBOX_KEY);
+        localStorage.removeItem(ANALYTICS_VISIT_KEY);
+    }
+}
+
+// --- Tracking ---
+
+/**
+ * Gets the ID of the current visit, starting a new one after ANALYTICS_VISIT_TIMEOUT_MINUTES of quiet.
+ * Visits are what the funnel counts, so a rider who views a park in one tab and checks out in another is one visit.
+ * @param {Date} now - The time of the event.
+ * @returns {string} The visit ID.
+ */
+function getAnalyticsVisitId(now) {
+    let visit = readStoredAnalytics(ANALYTICS_VISIT_KEY, {});
+    if (!visit.id || now - new Date(visit.lastSeenAt) > ANALYTICS_VISIT_TIMEOUT_MINUTES * 60000) {
+        visit = { id: `visit-${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}` };
+    }
+    visit.lastSeenAt = now.toISOString();
+    localStorage.setItem(ANALYTICS_VISIT_KEY, JSON.stringify(visit));
+    return visit.id;
+}
+
+/**
+ * Checks an event's properties against its definition in ANALYTICS_EVENTS.
+ * @param {string} name - The event name.
+ * @param {Object} properties - The properties passed to trackEvent.
+ * @returns {{properties: Object, errors: Array<string>}} The declared properties, and what's wrong with them.
+ */
+function validateAnalyticsEvent(name, properties) {
+    const definition = ANALYTICS_EVENTS[name];
+    if (!definition) return { properties: {}, errors: [`unknown event "${name}"`] };
+    const errors = [];
+    const clean = {};
+    Object.entries(definition).forEach(([key, type]) => {
+        const optional = key.endsWith('?');
+        const property = optional ? key.slice(0, -1) : key;
+        const value = properties[property];
+        if (value === undefined || value === null || value === '') {
+            if (!optional) errors.push(`"${property}" is required`);
+            return;
+        }
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (actual !== type || (type === 'number' && !Number.isFinite(value))) {
+            errors.push(`"${property}" must be a ${type}`);
+            return;
+        }
+        clean[property] = value;
+    });
+    return { properties: clean, errors };
+}
+
+/**
+ * Records an event, unless the rider has opted out. Invalid events are dropped, and unknown or failing
+ * sinks are skipped, so analytics can never break a page. Add the `console` sink to see events as they're tracked.
+ * @param {string} name - The event name, a key of ANALYTICS_EVENTS.
+ * @param {Object} [properties={}] - The event's properties.
+ * @param {Date} [now=new Date()] - The time of the event.
+ * @returns {?Object} The recorded event, or null if it wasn't recorded.
+ */
+function trackEvent(name, properties = {}, now = new Date()) {
+    if (!isAnalyticsEnabled()) return null;
+    const { properties: clean, errors } = validateAnalyticsEvent(name, properties);
+    if (errors.length > 0) return null;
+    const event = {
+        id: `evt-${now.getTime().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        properties: clean,
+        visitId: getAnalyticsVisitId(now),
+        page: typeof location !== 'undefined' ? location.pathname.split('/').pop() || 'index.html' : '',
+        timestamp: now.toISOString(),
+    };
+    getAnalyticsConfig().sinks.forEach(sinkName => {
+        const sink = ANALYTICS_SINKS[sinkName];
+        if (!sink) return;
+        try {
+            sink.send(event);
+        } catch (error) {
+            // Skipped, like an unknown sink; the other sinks still get the event.
+        }
+    });
+    return event;
+}
+
+// --- Sinks ---
+
+/**
+ * Appends events to a list in localStorage, keeping the newest `limit`.
+ * @param {string} key - The storage key.
+ * @param {Array<Object>} events - The events to add.
+ * @param {number} limit - The most events to keep.
+ */
+function appendStoredEvents(key, events, limit) {
+    const stored = [...readStoredAnalytics(key, []), ...events];
+    localStorage.setItem(key, JSON.stringify(stored.slice(-limit)));
+}
+
+/**
+ * Gets the events the buffer sink has kept in this browser, oldest first.
+ * @returns {Array<Object>} The events.
+ */
+function getBufferedEvents() {
+    return readStoredAnalytics(ANALYTICS_BUFFER_KEY, []);
+}
+
+/**
+ * Deletes the events the buffer sink has kept.
+ */
+function clearBufferedEvents() {
+    localStorage.removeItem(ANALYTICS_BUFFER_KEY);
+}
+
+let analyticsFlushTimer = null;
+let isFlushingAnalytics = false;
+
+/**
+ * Sends the HTTP sink's waiting events in batches of `batchSize`. A batch that fails with a network or
+ * server error is retried with exponential backoff, then left in the outbox for the next flush; one the
+ * collector rejects (4xx) is dropped, since sending it again won't help. The outbox lives in localStorage,
+ * so events tracked just before a page is left are sent from the next one.
+ * @returns {Promise<number>} How many events were delivered.
+ */
+async function flushAnalytics() {
+    clearTimeout(analyticsFlushTimer);
+    analyticsFlushTimer = null;
+    if (isFlushingAnalytics || (typeof navigator !== 'undefined' && navigator.onLine === false)) return 0;
+    isFlushingAnalytics = true;
+    const config = getAnalyticsConfig();
+    let delivered = 0;
+    try {
+        for (;;) {
+            const batch = readStoredAnalytics(ANALYTICS_OUTBOX_KEY, []).slice(0, config.batchSize);
+            if (batch.length === 0) break;
+            const status = await postAnalyticsBatch(config, batch);
+            if (status === 'failed') break;
+            // Drop the batch by ID: another tab may have added events since it was read.
+            const sentIds = new Set(batch.map(event => event.id));
+            const remaining = readStoredAnalytics(ANALYTICS_OUTBOX_KEY, []).filter(event => !sentIds.has(event.id));
+            localStorage.setItem(ANALYTICS_OUTBOX_KEY, JSON.stringify(remaining));
+            if (status === 'sent') delivered += batch.length;
+        }
+    } finally {
+        isFlushingAnalytics = false;
+    }
+    return delivered;
+}
+
+/**
+ * Posts one batch to the collector, retrying network and server errors.
+ * @param {Object} config - The analytics configuration.
+ * @param {Array<Object>} batch - The events.
+ * @returns {Promise<'sent'|'rejected'|'failed'>} Whether the collector took the batch, turned it down, or couldn't be reached.
+ */
+async function postAnalyticsBatch(config, batch) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ events: batch }),
+                keepalive: true,
+            });
+            if (response.ok) return 'sent';
+            if (response.status < 500 && response.status !== 429) return 'rejected';
+        } catch (error) {
+            // Unreachable; retried below.
+        }
+        if (attempt >= config.retries) return 'failed';
+        await new Promise(resolve => setTimeout(resolve, config.retryDelay * 2 ** attempt));
+    }
+}
+
+// Built-in sinks, by name. Add one with registerAnalyticsSink, then list it in the config's `sinks`.
+const ANALYTICS_SINKS = {
+    console: {
+        send(event) {
+            console.info(`[analytics] ${event.name}`, event.properties);
+        },
+    },
+    buffer: {
+        send(event) {
+            appendStoredEvents(ANALYTICS_BUFFER_KEY, [event], getAnalyticsConfig().bufferLimit);
+        },
+    },
+    http: {
+        send(event) {
+            const config = getAnalyticsConfig();
+            appendStoredEvents(ANALYTICS_OUTBOX_KEY, [event], config.bufferLimit);
+            const waiting = readStoredAnalytics(ANALYTICS_OUTBOX_KEY, []).length;
+            if (waiting >= config.batchSize) {
+                flushAnalytics();
+            } else if (!analyticsFlushTimer) {
+                analyticsFlushTimer = setTimeout(flushAnalytics, config.flushInterval);
+            }
+        },
+    },
+};
+
+/**
+ * Adds a sink, e.g. to forward events to a third-party tool.
+ * @param {string} name - The name to list in the config's `sinks`.
+ * @param {{send: function(Object): void}} sink - Called with each event as it's tracked.
+ */
+function registerAnalyticsSink(name, sink) {
+    ANALYTICS_SINKS[name] = sink;
+}
+
+// Send what's waiting when the page loads (events left by the last page) and when the connection returns.
+if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+    window.addEventListener('load', () => {
+        if (isAnalyticsEnabled() && getAnalyticsConfig().sinks.includes('http')) flushAnalytics();
+    });
+    window.addEventListener('online', () => {
+        if (isAnalyticsEnabled() && getAnalyticsConfig().sinks.includes('http')) flushAnalytics();
+    });
+}
+
+// --- Funnel Summary ---
+
+// The steps from browsing to buying, in order.
+const ANALYTICS_FUNNEL_STEPS = [
+    { event: 'park_viewed', label: 'Viewed a park' },
+    { event: 'cart_item_added', label: 'Added to cart' },
+    { event: 'checkout_started', label: 'Started checkout' },
+    { event: 'order_placed', label: 'Placed an order' },
+];
+
+/**
+ * Summarizes events for the dashboard. A visit counts at a funnel step if it reached that step and every one
+ * before it, so the funnel only ever narrows.
+ * @param {Array<Object>} events - The events, e.g. from getBufferedEvents.
+ * @param {?string} [since=null] - Only count events from this ISO timestamp on.
+ * @returns {{eventCount: number, visitCount: number, funnel: Array<Object>, checkout: Object,
+ *   validationFields: Array<Object>, parks: Array<Object>, filters: Array<Object>, reviews: Object}} The summary.
+ */
+function summarizeAnalyticsEvents(events, since = null) {
+    const inRange = events.filter(event => !since || event.timestamp >= since);
+    const eventsByVisit = new Map();
+    inRange.forEach(event => {
+        if (!eventsByVisit.has(event.visitId)) eventsByVisit.set(event.visitId, new Set());
+        eventsByVisit.get(event.visitId).add(event.name);
+    });
+    const countBy = (list, keyOf) => [...list.reduce((counts, item) => {
+        const key = keyOf(item);
+        return counts.set(key, (counts.get(key) || 0) + 1);
+    }, new Map())].map(([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count);
+    const ofType = (name) => inRange.filter(event => event.name === name);
+
+    let reached = [...eventsByVisit.values()];
+    const funnel = ANALYTICS_FUNNEL_STEPS.map(step => {
+        reached = reached.filter(names => names.has(step.event));
+        return { ...step, visits: reached.length };
+    }).map((step, i, steps) => ({
+        ...step,
+        fromPrevious: i === 0 ? 1 : (steps[i - 1].visits > 0 ? step.visits / steps[i - 1].visits : 0),
+        fromStart: steps[0].visits > 0 ? step.visits / steps[0].visits : 0,
+    }));
+
+    const started = [...eventsByVisit.values()].filter(names => names.has('checkout_started'));
+    const abandoned = started.filter(names => !names.has('order_placed')).length;
+    const views = countBy(ofType('park_viewed'), event => event.properties.parkId);
+    const adds = countBy(ofType('cart_item_added'), event => event.properties.parkId);
+    const parkNames = Object.fromEntries(ofType('park_viewed').map(event => [event.properties.parkId, event.properties.parkName]));
+    const reviews = ofType('review_submitted');
+
+    return {
+        eventCount: inRange.length,
+        visitCount: eventsByVisit.size,
+        funnel,
+        checkout: {
+            started: started.length,
+            abandoned,
+            abandonRate: started.length > 0 ? abandoned / started.length : 0,
+            revenue: ofType('order_placed').reduce((total, event) => total + event.properties.value, 0),
+        },
+        validationFields: countBy(ofType('checkout_validation_failed').flatMap(event => event.properties.fields), field => field),
+        parks: views.map(({ key, count }) => ({
+            parkId: key,
+            parkName: parkNames[key],
+            views: count,
+            adds: adds.find(add => add.key === key)?.count || 0,
+        })),
+        filters: countBy(ofType('filter_applied').flatMap(event => event.properties.filters), filter => filter),
+        reviews: {
+            count: reviews.length,
+            averageRating: reviews.length > 0 ? reviews.reduce((total, event) => total + event.properties.rating, 0) / reviews.length : 0,
+        },
+    };
+}
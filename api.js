@@ -0,0 +1,1243 @@
+// This file is the data service layer. Page scripts call the async APIs below
+// (parksApi, reviewsApi, moderationApi, cartApi, favoritesApi, geoApi, ordersApi, authApi, accountApi, adminApi) instead of
+// reaching into the MOCK_* data or localStorage themselves, so the backing store can be
+// swapped between the local mock and a real REST backend without touching the pages.
+// Requests carry the signed-in rider's session token (see getSession in app.js).
+// Offline, reads fall back to the last response seen and writes riders make on the go are
+// queued and replayed once the connection returns (see Offline Support below).
+
+const API_CONFIG_KEY = 'dirtBikeAppApiConfig';
+const OFFLINE_CACHE_KEY = 'dirtBikeAppOfflineCache';
+const OFFLINE_QUEUE_KEY = 'dirtBikeAppOfflineQueue';
+const OFFLINE_CACHE_LIMIT = 50; // Responses kept for offline reads; the least recently saved go first.
+
+const DEFAULT_API_CONFIG = {
+    adapter: 'mock',    // 'mock' (data.js + localStorage) or 'rest'
+    baseUrl: '/api',    // Used by the REST adapter. `node server.js` serves the API here.
+    latency: 500,       // Simulated network delay for the mock adapter, in ms.
+    failureRate: 0,     // Fraction of mock calls that fail with a retryable error (0-1), for testing error states.
+    timeout: 8000,      // REST request timeout, in ms.
+    retries: 2,         // Extra attempts for failed read requests.
+    retryDelay: 400,    // Base delay between retries, doubled on each attempt.
+};
+
+// Every API method, with the REST endpoint it maps to. Leading arguments fill the
+// `:params` in the path, in order; an optional final object argument is sent as the
+// query string for GET/DELETE or as the JSON body otherwise.
+// `server.js` serves these same routes, so both adapters stay in sync.
+// `offline` marks what happens without a connection: 'cache' reads are answered from the
+// last response, and 'queue' writes are saved and sent once the connection returns.
+const API_ROUTES = {
+    parks: {
+        list: { method: 'GET', path: '/parks', offline: 'cache' },
+        // Listed before `get` so '/parks/filters' isn't read as a park ID.
+        getFilterOptions: { method: 'GET', path: '/parks/filters', offline: 'cache' },
+        get: { method: 'GET', path: '/parks/:parkId', offline: 'cache' },
+        getAvailability: { method: 'GET', path: '/parks/:parkId/availability', offline: 'cache' },
+        getSchedule: { method: 'GET', path: '/parks/:parkId/schedule', offline: 'cache' },
+        getWaiver: { method: 'GET', path: '/parks/:parkId/waiver', offline: 'cache' },
+        getRentals: { method: 'GET', path: '/parks/:parkId/rentals', offline: 'cache' },
+    },
+    reviews: {
+        listByPark: { method: 'GET', path: '/parks/:parkId/reviews', offline: 'cache' },
+        search: { method: 'GET', path: '/parks/:parkId/reviews/search', offline: 'cache' },
+        create: { method: 'POST', path: '/parks/:parkId/reviews', offline: 'queue' },
+        update: { method: 'PATCH', path: '/reviews/:reviewId', offline: 'queue' },
+        remove: { method: 'DELETE', path: '/reviews/:reviewId', offline: 'queue' },
+        markHelpful: { method: 'PUT', path: '/reviews/:reviewId/helpful' },
+        unmarkHelpful: { method: 'DELETE', path: '/reviews/:reviewId/helpful' },
+        report: { method: 'POST', path: '/reviews/:reviewId/reports' },
+    },
+    // Staff only: moderators and above.
+    moderation: {
+        listReviews: { method: 'GET', path: '/moderation/reviews' },
+        approve: { method: 'POST', path: '/moderation/reviews/:reviewId/approve' },
+        reject: { method: 'POST', path: '/moderation/reviews/:reviewId/reject' },
+        reply: { method: 'PUT', path: '/moderation/reviews/:reviewId/reply' },
+    },
+    cart: {
+        get: { method: 'GET', path: '/cart', offline: 'cache' },
+        addItem: { method: 'POST', path: '/cart/items', offline: 'queue' },
+        updateQuantity: { method: 'PATCH', path: '/cart/items/:itemId', offline: 'queue' },
+        updateRental: { method: 'PATCH', path: '/cart/items/:itemId/rentals/:rentalId', offline: 'queue' },
+        removeItem: { method: 'DELETE', path: '/cart/items/:itemId', offline: 'queue' },
+        trimToCapacity: { method: 'POST', path: '/cart/trim' },
+        getChanges: { method: 'GET', path: '/cart/changes' },
+        acceptChanges: { method: 'POST', path: '/cart/changes/accept' },
+        applyPromo: { method: 'POST', path: '/cart/promo' },
+        removePromo: { method: 'DELETE', path: '/cart/promo' },
+        clear: { method: 'DELETE', path: '/cart' },
+    },
+    favorites: {
+        list: { method: 'GET', path: '/favorites', offline: 'cache' },
+        add: { method: 'PUT', path: '/favorites/:parkId', offline: 'queue' },
+        remove: { method: 'DELETE', path: '/favorites/:parkId', offline: 'queue' },
+    },
+    geo: {
+        lookupZip: { method: 'GET', path: '/geo/zip/:zip' },
+    },
+    orders: {
+        list: { method: 'GET', path: '/orders', offline: 'cache' },
+        get: { method: 'GET', path: '/orders/:orderId', offline: 'cache' },
+        create: { method: 'POST', path: '/orders' },
+        cancel: { method: 'POST', path: '/orders/:orderId/cancel' },
+    },
+    auth: {
+        signUp: { method: 'POST', path: '/auth/signup' },
+        signIn: { method: 'POST', path: '/auth/signin' },
+        signOut: { method: 'POST', path: '/auth/signout' },
+        getSession: { method: 'GET', path: '/auth/session' },
+    },
+    account: {
+        getProfile: { method: 'GET', path: '/account/profile' },
+        updateProfile: { method: 'PUT', path: '/account/profile' },
+    },
+    // Admins only.
+    admin: {
+        listParks: { method: 'GET', path: '/admin/parks' },
+        getPark: { method: 'GET', path: '/admin/parks/:parkId' },
+        createPark: { method: 'POST', path: '/admin/parks' },
+        updatePark: { method: 'PATCH', path: '/admin/parks/:parkId' },
+        retirePark: { method: 'POST', path: '/admin/parks/:parkId/retire' },
+        restorePark: { method: 'POST', path: '/admin/parks/:parkId/restore' },
+        getOccupancy: { method: 'GET', path: '/admin/parks/:parkId/occupancy' },
+        listBookings: { method: 'GET', path: '/admin/bookings' },
+        getRevenue: { method: 'GET', path: '/admin/revenue' },
+    },
+};
+
+/**
+ * An error raised by the data service.
+ * `status` follows HTTP semantics (0 means the request never got a response),
+ * `retryable` marks failures worth another attempt, and `queued` marks a write
+ * made offline that will be sent once the connection returns.
+ */
+class ApiError extends Error {
+    constructor(message, { status = 500, retryable = false, details = null, queued = false } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.retryable = retryable;
+        this.details = details;
+        this.queued = queued;
+    }
+}
+
+// --- Configuration ---
+
+/**
+ * Reads a JSON value from localStorage. A missing entry, one that can't be parsed, or one of the wrong shape
+ * gives the fallback instead, so a corrupted entry never stops the app from starting.
+ * @param {string} key - The storage key.
+ * @param {Object|Array} fallback - The default value; the stored value must be the same kind (array or object).
+ * @returns {Object|Array} The stored value, or the fallback.
+ */
+function readStoredJSON(key, fallback) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key));
+        const isSameKind = Array.isArray(fallback)
+            ? Array.isArray(value)
+            : Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        return isSameKind ? value : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Gets the active API configuration: the defaults, overridden by anything saved in localStorage.
+ * @returns {Object} The API configuration.
+ */
+function getApiConfig() {
+    return { ...DEFAULT_API_CONFIG, ...readStoredJSON(API_CONFIG_KEY, {}) };
+}
+
+/**
+ * Saves API configuration overrides, e.g. `setApiConfig({ adapter: 'rest' })` from the console.
+ * @param {Object} overrides - The settings to change.
+ */
+function setApiConfig(overrides) {
+    localStorage.setItem(API_CONFIG_KEY, JSON.stringify({ ...readStoredJSON(API_CONFIG_KEY, {}), ...overrides }));
+}
+
+// --- Mock Adapter ---
+
+/**
+ * Copies data the way a JSON response would, so callers can't mutate the mock store.
+ * @param {*} data - The data to copy.
+ * @returns {*} A deep copy.
+ */
+function toResponse(data) {
+    return data === undefined ? null : JSON.parse(JSON.stringify(data));
+}
+
+/**
+ * Finds a park or throws a 404.
+ * @param {string} parkId - The park ID.
+ * @returns {Object} The park data object.
+ */
+function findParkOrThrow(parkId) {
+    const park = getParkById(parkId);
+    if (!park) throw new ApiError('Park not found', { status: 404 });
+    return park;
+}
+
+/**
+ * Finds a placed order or throws a 404. Orders placed while signed in are only visible to
+ * their account; guest orders are visible to anyone with the order number.
+ * @param {string} orderId - The order ID.
+ * @param {?Object} user - The signed-in user, or null.
+ * @returns {Object} The order.
+ */
+function findOrderOrThrow(orderId, user) {
+    const order = getOrder(orderId);
+    if (!order || (order.userId && order.userId !== (user && user.id))) throw new ApiError('Order not found', { status: 404 });
+    return order;
+}
+
+/**
+ * Gets the signed-in user a request was made by.
+ * @param {{sessionToken: ?string}} request - The request context (see callMockAdapter).
+ * @returns {Promise<Object|null>} The user ({id, email}), or null if signed out or the session has ended.
+ */
+async function getRequestUser(request) {
+    const session = request && request.sessionToken ? await authProvider.getSession(request.sessionToken) : null;
+    return session ? session.user : null;
+}
+
+/**
+ * Gets the signed-in user a request was made by, or throws a 401.
+ * @param {{sessionToken: ?string}} request - The request context.
+ * @returns {Promise<Object>} The user.
+ */
+async function requireRequestUser(request) {
+    const user = await getRequestUser(request);
+    if (!user) throw new ApiError('Please sign in to continue', { status: 401 });
+    return user;
+}
+
+/**
+ * Gets the signed-in user a request was made by, or throws a 401 if signed out or a 403 if their role isn't enough.
+ * @param {{sessionToken: ?string}} request - The request context.
+ * @param {string} role - The role needed, one of USER_ROLES.
+ * @returns {Promise<Object>} The user.
+ */
+async function requireRequestRole(request, role) {
+    const user = await requireRequestUser(request);
+    if (!hasRole(getUserRole(user), role)) throw new ApiError("You don't have access to this page", { status: 403 });
+    return user;
+}
+
+/**
+ * Adds the user's display name and role to a session from the auth provider, for the header and reviews.
+ * @param {Object} session - The session.
+ * @returns {Object} The session, with `user.displayName` and `user.role`.
+ */
+function withUserDetails(session) {
+    return { ...session, user: { ...session.user, displayName: getProfile(session.user.id).displayName, role: getUserRole(session.user) } };
+}
+
+/**
+ * Runs an auth provider call, turning its AuthErrors into ApiErrors.
+ * Rejected credentials are a 401, a taken email a 409, and anything else about the input a 400.
+ * @param {Function} call - The provider call.
+ * @returns {Promise<*>} The call's result.
+ */
+async function callAuthProvider(call) {
+    try {
+        return await call();
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        const status = { invalid_credentials: 401, email_taken: 409 }[error.code] || 400;
+        const field = { invalid_email: 'email', email_taken: 'email', weak_password: 'password' }[error.code];
+        throw new ApiError(error.message, { status, details: field ? { [field]: error.message } : null });
+    }
+}
+
+/**
+ * Validates a display name, or throws a 400.
+ * @param {string} displayName - The name as typed.
+ * @returns {string} The trimmed name.
+ */
+function parseDisplayName(displayName) {
+    const name = String(displayName || '').trim();
+    if (name.length < 2 || name.length > 40) {
+        throw new ApiError('Display names must be 2-40 characters', { status: 400, details: { displayName: 'Display names must be 2-40 characters' } });
+    }
+    return name;
+}
+
+/**
+ * Validates and normalizes a profile, or throws a 400 whose details hold an error per field,
+ * keyed like `contact.email` or `addresses.0.zip`.
+ * @param {Object} input - The submitted `displayName`, `contact`, `addresses` and `defaultAddressId`.
+ * @returns {Object} The clean profile.
+ */
+function parseProfileInput({ displayName, contact = {}, addresses = [], defaultAddressId = null } = {}) {
+    const errors = {};
+    const clean = (value) => String(value ?? '').trim();
+    let name = '';
+    try {
+        name = parseDisplayName(displayName);
+    } catch (error) {
+        Object.assign(errors, error.details);
+    }
+
+    const cleanContact = { name: clean(contact.name), email: clean(contact.email), phone: clean(contact.phone) };
+    if (cleanContact.email && !isValidEmail(cleanContact.email)) errors['contact.email'] = 'Invalid email address';
+    if (cleanContact.phone && cleanContact.phone.replace(/\D/g, '').length < 10) errors['contact.phone'] = 'A valid phone number is required';
+
+    const list = Array.isArray(addresses) ? addresses : [];
+    if (list.length > MAX_SAVED_ADDRESSES) errors.addresses = `You can save up to ${MAX_SAVED_ADDRESSES} addresses`;
+    const cleanAddresses = list.slice(0, MAX_SAVED_ADDRESSES).map((input, i) => {
+        const address = {
+            id: clean(input.id) || `addr-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: clean(input.label) || 'Home',
+            streetNumber: clean(input.streetNumber),
+            streetName: clean(input.streetName),
+            city: clean(input.city),
+            state: clean(input.state),
+            zip: clean(input.zip),
+        };
+        if (address.streetName.length < 2) errors[`addresses.${i}.streetName`] = 'Street name is required';
+        if (address.city.length < 2) errors[`addresses.${i}.city`] = 'City is required';
+        if (address.state.length < 2) errors[`addresses.${i}.state`] = 'State is required';
+        if (!/^\d{5}(-\d{4})?$/.test(address.zip)) errors[`addresses.${i}.zip`] = 'Invalid ZIP code';
+        return address;
+    });
+
+    if (Object.keys(errors).length > 0) throw new ApiError(Object.values(errors)[0], { status: 400, details: errors });
+    return {
+        displayName: name,
+        contact: cleanContact,
+        addresses: cleanAddresses,
+        defaultAddressId: cleanAddresses.some(address => address.id === defaultAddressId) ? defaultAddressId : (cleanAddresses[0]?.id ?? null),
+    };
+}
+
+/**
+ * Validates and normalizes a park's editable details, or throws a 400 whose details hold an error per field,
+ * keyed like `price.adult`. Images can be a web address or an uploaded image as a data URL.
+ * @param {Object} input - The submitted `name`, `location`, `state`, `coordinates`, `shortDescription`, `description`,
+ *   `imageUrl`, `price`, `guestLimit` and `minRiderAge`.
+ * @returns {Object} The clean fields.
+ */
+function parseParkInput({ name, location, state, coordinates = {}, shortDescription, description, imageUrl, price = {}, guestLimit, minRiderAge } = {}) {
+    const errors = {};
+    const clean = (value) => String(value ?? '').trim();
+    const toNumber = (value) => (clean(value) === '' ? NaN : Number(value));
+    const isMoney = (value) => Number.isFinite(value) && value >= 0 && value <= 1000 && Math.round(value * 100) === value * 100;
+
+    const park = {
+        name: clean(name),
+        location: clean(location),
+        state: clean(state).toUpperCase(),
+        coordinates: { lat: toNumber(coordinates.lat), lng: toNumber(coordinates.lng) },
+        shortDescription: clean(shortDescription),
+        description: clean(description),
+        imageUrl: clean(imageUrl),
+        price: { adult: toNumber(price.adult), child: toNumber(price.child) },
+        guestLimit: toNumber(guestLimit),
+        minRiderAge: toNumber(minRiderAge),
+    };
+    if (park.name.length < 2 || park.name.length > 80) errors.name = 'Names must be 2-80 characters';
+    if (park.location.length < 2) errors.location = 'A location is required, e.g. "Pala, CA"';
+    if (!/^[A-Z]{2}$/.test(park.state)) errors.state = 'Use a two-letter state code';
+    if (!(park.coordinates.lat >= -90 && park.coordinates.lat <= 90)) errors['coordinates.lat'] = 'Latitude must be between -90 and 90';
+    if (!(park.coordinates.lng >= -180 && park.coordinates.lng <= 180)) errors['coordinates.lng'] = 'Longitude must be between -180 and 180';
+    if (!park.shortDescription || park.shortDescription.length > 140) errors.shortDescription = 'A short description of up to 140 characters is required';
+    if (!park.description || park.description.length > 2000) errors.description = 'A description of up to 2000 characters is required';
+    if (!park.imageUrl || sanitizeURL(park.imageUrl) !== park.imageUrl) {
+        errors.imageUrl = 'Use an http(s) image address or upload a PNG, JPEG, GIF or WebP image';
+    } else if (park.imageUrl.length > MAX_PARK_IMAGE_CHARS) {
+        errors.imageUrl = 'That image is too large. Please use one under about 350 KB.';
+    }
+    if (!isMoney(park.price.adult)) errors['price.adult'] = 'Enter a price from $0 to $1000';
+    if (!isMoney(park.price.child)) errors['price.child'] = 'Enter a price from $0 to $1000';
+    if (!(Number.isInteger(park.guestLimit) && park.guestLimit >= 1 && park.guestLimit <= 10000)) errors.guestLimit = 'Guest limits must be a whole number from 1 to 10000';
+    if (!(Number.isInteger(park.minRiderAge) && park.minRiderAge >= 0 && park.minRiderAge < ADULT_TICKET_MIN_AGE)) {
+        errors.minRiderAge = `Minimum ages must be a whole number from 0 to ${ADULT_TICKET_MIN_AGE - 1}`;
+    }
+    if (Object.keys(errors).length > 0) throw new ApiError(Object.values(errors)[0], { status: 400, details: errors });
+    return park;
+}
+
+/**
+ * Finds a park for an admin, retired or not, or throws a 404.
+ * @param {string} parkId - The park ID.
+ * @returns {Object} The park data object.
+ */
+function findAnyParkOrThrow(parkId) {
+    const park = getParkById(parkId, { includeRetired: true });
+    if (!park) throw new ApiError('Park not found', { status: 404 });
+    return park;
+}
+
+/**
+ * Checks a `from`/`to` date range, or throws a 400.
+ * @param {string} from - The first `YYYY-MM-DD` day.
+ * @param {string} to - The last day (inclusive).
+ * @param {number} [maxDays] - The longest range allowed, if any.
+ */
+function assertDateRange(from, to, maxDays) {
+    if (!isValidISODate(from) || !isValidISODate(to) || from > to) throw new ApiError('A valid from/to date range is required', { status: 400 });
+    if (maxDays && addDays(from, maxDays - 1) < to) throw new ApiError(`Date ranges can be up to ${maxDays} days`, { status: 400 });
+}
+
+/**
+ * Validates the rider details and waiver signatures for every item in the cart, or throws a 400 whose details
+ * hold an error per field, keyed like `riders.<itemId>.0.dateOfBirth`. A waiver signed in an older version
+ * is rejected under `riders.<itemId>`, so the rider reads the current wording before signing again.
+ * @param {Array<Object>} items - The cart items.
+ * @param {Object} input - Each item's `waiverVersion` and `riders` (one per ticket, adults first), keyed by item ID.
+ * @param {Date} [now=new Date()] - The time of signing.
+ * @returns {Object} Each item's signed `waiver` and `riders`, keyed by item ID (see createOrder).
+ */
+function parseRidersInput(items, input, now = new Date()) {
+    const errors = {};
+    const waivers = {};
+    items.forEach(item => {
+        const waiver = getParkWaiver(findParkOrThrow(item.parkId));
+        const submitted = (input && input[item.id]) || {};
+        const riders = Array.isArray(submitted.riders) ? submitted.riders : [];
+        const rideDate = item.dates[0];
+        if (!submitted.waiverVersion) {
+            errors[`riders.${item.id}`] = `Every rider must sign the ${waiver.parkName} waiver`;
+        } else if (submitted.waiverVersion !== waiver.version) {
+            errors[`riders.${item.id}`] = `The ${waiver.parkName} waiver has been updated. Please read it and sign again.`;
+        }
+        waivers[item.id] = {
+            waiver: { parkId: waiver.parkId, parkName: waiver.parkName, version: waiver.version, title: waiver.title, clauses: waiver.clauses },
+            riders: getRiderTickets(item).map((ticket, i) => {
+                const rider = riders[i] || {};
+                Object.entries(getRiderErrors(rider, { ticket, waiver, rideDate }, now)).forEach(([field, message]) => {
+                    errors[`riders.${item.id}.${i}.${field}`] = message;
+                });
+                const isMinor = needsGuardianSignature(ticket, rider.dateOfBirth, rideDate);
+                const name = String(rider.name ?? '').trim().replace(/\s+/g, ' ');
+                const guardianName = String(rider.guardianName ?? '').trim().replace(/\s+/g, ' ');
+                return {
+                    ticket,
+                    name,
+                    dateOfBirth: rider.dateOfBirth,
+                    ageOnRideDay: isValidISODate(rider.dateOfBirth) ? getAgeOn(rider.dateOfBirth, rideDate) : null,
+                    experience: rider.experience,
+                    signature: { signedBy: isMinor ? guardianName : name, isGuardian: isMinor, signedAt: now.toISOString() },
+                };
+            }),
+        };
+    });
+    if (Object.keys(errors).length > 0) throw new ApiError(Object.values(errors)[0], { status: 400, details: errors });
+    return waivers;
+}
+
+/**
+ * Validates a cart item before it's added, with the same rules the stored cart is held to (see isValidCartItem),
+ * or throws a 400. Prices, rentals, the tax rate and the park's details come from the park rather than the client.
+ * @param {Object} park - The park the item is for.
+ * @param {Object} input - The submitted `tickets` ({adults, kids}), `dates` and `rentals` ([{id, quantity}]).
+ * @returns {Object} The item, ready for addItemToCart.
+ */
+function parseCartItemInput(park, { tickets, dates, rentals = [] }) {
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (!tickets || !isCount(tickets.adults) || !isCount(tickets.kids)) throw new ApiError('Ticket counts must be whole numbers of zero or more', { status: 400 });
+    if (tickets.adults + tickets.kids === 0) throw new ApiError('Add at least one ticket', { status: 400 });
+    if (!Array.isArray(dates) || dates.length === 0 || dates.length > MAX_BOOKING_DAYS || !dates.every(isValidISODate)) {
+        throw new ApiError(`Pick 1 to ${MAX_BOOKING_DAYS} ride dates, as YYYY-MM-DD`, { status: 400 });
+    }
+    if (!isSameDates(dates, getBookingDates(dates[0], dates.length))) throw new ApiError('Ride dates must be consecutive days', { status: 400 });
+    if (dates[0] < toISODate(new Date())) throw new ApiError('Ride dates must not be in the past', { status: 400 });
+    if (!Array.isArray(rentals) || !rentals.every(rental => rental && isCount(rental.quantity))) {
+        throw new ApiError('Rental quantities must be whole numbers of zero or more', { status: 400 });
+    }
+    return {
+        parkId: park.id,
+        parkName: park.name,
+        parkImage: park.imageUrl,
+        parkState: park.state,
+        tickets: { adults: tickets.adults, kids: tickets.kids },
+        days: dates.length,
+        dates,
+        unitPrice: park.price,
+        rentals: getItemRentals(park, rentals),
+    };
+}
+
+/**
+ * Validates and normalizes the rider-editable fields of a review, or throws a 400.
+ * @param {Object} input - The submitted `rating`, `title`, `body` and `isAnonymous`.
+ * @param {{id: string}} user - The signed-in user the review belongs to. It's posted under their profile's display name.
+ * @returns {Object} The clean `author`, `rating`, `title` and `body`.
+ */
+function parseReviewInput({ rating, title = '', body = '', isAnonymous = false }, user) {
+    const stars = parseInt(rating);
+    const anonymous = isAnonymous === true || isAnonymous === 'true';
+    const name = getProfile(user.id).displayName;
+    if (!(stars >= 1 && stars <= 5)) throw new ApiError('Rating must be between 1 and 5 stars', { status: 400 });
+    if (!String(title).trim() || !String(body).trim()) throw new ApiError('A title and review are required', { status: 400 });
+    if (!anonymous && !name) throw new ApiError('Add a display name to your profile or post anonymously', { status: 400 });
+    return {
+        // Like the seeded reviews, anonymous reviews never store the rider's name.
+        author: { id: user.id, name: anonymous ? 'Anonymous' : name, isAnonymous: anonymous },
+        rating: stars,
+        title: String(title).trim(),
+        body: String(body).trim(),
+    };
+}
+
+/**
+ * Finds a submitted review owned by the given user, or throws a 404/403.
+ * @param {string} reviewId - The review ID.
+ * @param {string} authorId - The ID of the user making the change.
+ * @returns {Object} The review.
+ */
+function findOwnReviewOrThrow(reviewId, authorId) {
+    const review = getStoredReview(reviewId);
+    if (!review) throw new ApiError('Review not found', { status: 404 });
+    if (review.author.id !== authorId) throw new ApiError('You can only change your own reviews', { status: 403 });
+    return review;
+}
+
+/**
+ * Finds a published review, or throws a 404. Held and rejected reviews can't be voted on or reported.
+ * @param {string} reviewId - The review ID.
+ * @returns {Object} The review, with its moderation details.
+ */
+function findPublishedReviewOrThrow(reviewId) {
+    const review = getReview(reviewId);
+    if (!review || review.status !== 'published') throw new ApiError('Review not found', { status: 404 });
+    return review;
+}
+
+/**
+ * Finds any review for a moderator, or throws a 404.
+ * @param {string} reviewId - The review ID.
+ * @returns {Object} The review, with its moderation details.
+ */
+function findReviewOrThrow(reviewId) {
+    const review = getReview(reviewId);
+    if (!review) throw new ApiError('Review not found', { status: 404 });
+    return review;
+}
+
+/**
+ * Shapes a review for riders: who voted, who reported it and why stay private, but the viewer
+ * learns whether they've voted (`votedHelpful`) or reported it (`reportedByViewer`).
+ * @param {Object} review - The review, with its moderation details.
+ * @param {?string} viewerId - The signed-in rider's user ID, if any.
+ * @returns {Object} The public review.
+ */
+function toPublicReview({ flags, reports, helpfulVoters, decision, ...review }, viewerId) {
+    return {
+        ...review,
+        votedHelpful: Boolean(viewerId) && helpfulVoters.includes(viewerId),
+        reportedByViewer: Boolean(viewerId) && reports.some(report => report.userId === viewerId),
+    };
+}
+
+/**
+ * Shapes a review for moderators: everything, plus the park's name.
+ * @param {Object} review - The review, with its moderation details.
+ * @returns {Object} The review, with `parkName`.
+ */
+function toModerationReview(review) {
+    const park = getParkById(review.parkId);
+    return { ...review, parkName: park ? park.name : 'Unknown park' };
+}
+
+// Backed by data.js and the localStorage helpers in app.js. Query values may arrive
+// as strings (when called through server.js), so numbers are parsed defensively.
+// Methods are called with the request context as `this` ({ sessionToken }), so methods
+// that need the signed-in rider are regular methods rather than arrow functions.
+const mockAdapter = {
+    parks: {
+        list({ q = '', minRating = 0, minPrice, maxPrice, state = '', lat, lng, radius, openToday = false, sort = 'relevance' } = {}) {
+            // Query values arrive as strings over REST; a blank value means no limit.
+            const toNumber = (value) => (value === undefined || value === null || value === '' || isNaN(value) ? null : Number(value));
+            const origin = toNumber(lat) !== null && toNumber(lng) !== null ? { lat: Number(lat), lng: Number(lng) } : null;
+            return searchParks(getParks().map(withReviewStats), {
+                q: String(q).trim(),
+                minRating: parseFloat(minRating) || 0,
+                minPrice: toNumber(minPrice),
+                maxPrice: toNumber(maxPrice),
+                state: String(state).toUpperCase(),
+                origin,
+                radius: toNumber(radius),
+                openToday: openToday === true || openToday === 'true',
+                sort,
+            });
+        },
+        getFilterOptions() {
+            const parks = getParks();
+            const prices = parks.map(park => park.price.adult);
+            return {
+                states: [...new Set(parks.map(park => park.state))].sort(),
+                price: { min: Math.min(...prices), max: Math.max(...prices) },
+            };
+        },
+        get(parkId) {
+            return withReviewStats(findParkOrThrow(parkId));
+        },
+        getAvailability(parkId, { from, to } = {}) {
+            const park = findParkOrThrow(parkId);
+            assertDateRange(from, to, 93);
+            const availability = {};
+            for (let date = from; date <= to; date = addDays(date, 1)) {
+                availability[date] = getRemainingSpots(park, date);
+            }
+            return availability;
+        },
+        getSchedule(parkId, { from, to } = {}) {
+            const park = findParkOrThrow(parkId);
+            assertDateRange(from, to, 93);
+            const schedule = {};
+            for (let date = from; date <= to; date = addDays(date, 1)) {
+                const { isOpen, hours, reason, closure } = getParkDaySchedule(park, date);
+                schedule[date] = { isOpen, hours, reason, note: closure ? closure.note : null };
+            }
+            return schedule;
+        },
+        getWaiver(parkId) {
+            return getParkWaiver(findParkOrThrow(parkId));
+        },
+        getRentals(parkId, { dates = '' } = {}) {
+            const park = findParkOrThrow(parkId);
+            // `dates` is a comma-separated list over REST. Without dates, `remaining` is null.
+            const dateList = [].concat(dates).join(',').split(',').filter(Boolean);
+            if (dateList.some(date => !isValidISODate(date))) throw new ApiError('Dates must be YYYY-MM-DD', { status: 400 });
+            return (park.rentals || []).map(rental => ({
+                ...rental,
+                remaining: dateList.length > 0 ? getRemainingRentalsForDates(park, rental.id, dateList) : null,
+            }));
+        },
+    },
+    reviews: {
+        async listByPark(parkId, { limit } = {}) {
+            findParkOrThrow(parkId);
+            const viewer = await getRequestUser(this);
+            const reviews = getReviewsForPark(parkId).map(review => toPublicReview(review, viewer && viewer.id));
+            return limit ? reviews.slice(0, parseInt(limit)) : reviews;
+        },
+        async search(parkId, { sort = 'newest', stars = '', q = '', page = 1, pageSize = REVIEWS_PAGE_SIZE } = {}) {
+            findParkOrThrow(parkId);
+            const viewer = await getRequestUser(this);
+            // Riders also see their own held reviews, but only published ones count towards the rating.
+            const allReviews = getReviewsForPark(parkId, viewer && viewer.id);
+            // Star levels arrive as an array or a comma-separated string, e.g. "5,4".
+            const starLevels = String(stars).split(',').map(Number).filter(n => n >= 1 && n <= 5);
+            const matches = filterAndSortReviews(allReviews, { sort, stars: starLevels, q: String(q) });
+            const size = Math.max(1, parseInt(pageSize) || REVIEWS_PAGE_SIZE);
+            const pageCount = Math.max(1, Math.ceil(matches.length / size));
+            const currentPage = Math.min(Math.max(1, parseInt(page) || 1), pageCount);
+            return {
+                reviews: matches.slice((currentPage - 1) * size, currentPage * size).map(review => toPublicReview(review, viewer && viewer.id)),
+                total: matches.length,
+                page: currentPage,
+                pageSize: size,
+                pageCount,
+                summary: getRatingSummary(allReviews.filter(review => review.status === 'published')),
+            };
+        },
+        async create(parkId, input = {}) {
+            findParkOrThrow(parkId);
+            const user = await requireRequestUser(this);
+            const review = addReview({ parkId, ...parseReviewInput(input, user) });
+            return toPublicReview(applyReviewScreening(review.id), user.id);
+        },
+        async update(reviewId, input = {}) {
+            const user = await requireRequestUser(this);
+            const review = findOwnReviewOrThrow(reviewId, user.id);
+            updateReview(review.id, parseReviewInput(input, user));
+            return toPublicReview(applyReviewScreening(review.id), user.id);
+        },
+        async remove(reviewId) {
+            const user = await requireRequestUser(this);
+            const review = findOwnReviewOrThrow(reviewId, user.id);
+            deleteReview(review.id);
+            return { id: review.id };
+        },
+        async markHelpful(reviewId) {
+            const user = await requireRequestUser(this);
+            const review = findPublishedReviewOrThrow(reviewId);
+            if (review.author.id === user.id) throw new ApiError("You can't vote on your own review", { status: 403 });
+            const { helpfulCount } = setHelpfulVote(review.id, user.id, true);
+            return { helpfulCount, votedHelpful: true };
+        },
+        async unmarkHelpful(reviewId) {
+            const user = await requireRequestUser(this);
+            const { helpfulCount } = setHelpfulVote(findPublishedReviewOrThrow(reviewId).id, user.id, false);
+            return { helpfulCount, votedHelpful: false };
+        },
+        async report(reviewId, { reason, note = '' } = {}) {
+            const user = await requireRequestUser(this);
+            const review = findPublishedReviewOrThrow(reviewId);
+            if (review.author.id === user.id) throw new ApiError("You can't report your own review", { status: 403 });
+            if (!REVIEW_REPORT_REASONS[reason]) throw new ApiError('Choose a reason for the report', { status: 400 });
+            if (review.reports.some(report => report.userId === user.id)) throw new ApiError("You've already reported this review", { status: 409 });
+            addReviewReport(review.id, { userId: user.id, reason, note: String(note).trim().slice(0, 500) });
+            return { reported: true };
+        },
+    },
+    moderation: {
+        async listReviews({ filter = 'queue' } = {}) {
+            await requireRequestRole(this, 'moderator');
+            if (!MODERATION_FILTERS[filter]) throw new ApiError('Unknown filter', { status: 400 });
+            return getModerationReviews(filter).map(toModerationReview);
+        },
+        async approve(reviewId, { note = '' } = {}) {
+            const moderator = await requireRequestRole(this, 'moderator');
+            const review = findReviewOrThrow(reviewId);
+            return toModerationReview(moderateReview(review.id, 'approve', { moderatorId: moderator.id, note: String(note).trim() }));
+        },
+        async reject(reviewId, { note = '' } = {}) {
+            const moderator = await requireRequestRole(this, 'moderator');
+            const review = findReviewOrThrow(reviewId);
+            return toModerationReview(moderateReview(review.id, 'reject', { moderatorId: moderator.id, note: String(note).trim() }));
+        },
+        async reply(reviewId, { body = '' } = {}) {
+            await requireRequestRole(this, 'moderator');
+            const review = findReviewOrThrow(reviewId);
+            const reply = String(body).trim();
+            if (reply.length > 1000) throw new ApiError('Replies can be up to 1000 characters', { status: 400 });
+            return toModerationReview(setReviewReply(review.id, reply));
+        },
+    },
+    cart: {
+        get() {
+            return getCart();
+        },
+        addItem(item = {}) {
+            const park = findParkOrThrow(item.parkId);
+            return addItemToCart(parseCartItemInput(park, item));
+        },
+        updateQuantity(itemId, { ticketType, quantity }) {
+            if (!['adults', 'kids'].includes(ticketType)) throw new ApiError('Unknown ticket type', { status: 400 });
+            return { quantity: updateCartItemQuantity(itemId, ticketType, parseInt(quantity)) };
+        },
+        updateRental(itemId, rentalId, { quantity } = {}) {
+            const item = getCart().items.find(i => i.id === itemId);
+            if (!item || !item.rentals.some(rental => rental.id === rentalId)) throw new ApiError('Rental not found on that item', { status: 404 });
+            return { quantity: updateCartItemRental(itemId, rentalId, parseInt(quantity)) };
+        },
+        removeItem(itemId) {
+            removeItemFromCart(itemId);
+            return getCart();
+        },
+        trimToCapacity() {
+            return trimCartToCapacity();
+        },
+        getChanges() {
+            return getCartChanges();
+        },
+        acceptChanges() {
+            return acceptCartChanges();
+        },
+        clear() {
+            clearCart();
+            return getCart();
+        },
+        applyPromo({ code } = {}) {
+            const cart = getCart();
+            const promo = findPromoCode(code);
+            const subtotal = cart.items.reduce((total, item) => total + priceLineItem(item).net, 0);
+            const eligibility = checkPromoEligibility(promo, { subtotal, uses: promo ? getPromoUses(promo.code) : 0 });
+            if (!eligibility.valid) throw new ApiError(eligibility.message, { status: 422 });
+            setCartPromo(promo);
+            return getCart();
+        },
+        removePromo() {
+            removeCartPromo();
+            return getCart();
+        },
+    },
+    favorites: {
+        list() {
+            // Parks that no longer exist drop out of the list.
+            return getFavorites().map(parkId => getParkById(parkId)).filter(Boolean).map(withReviewStats);
+        },
+        add(parkId) {
+            return { parkIds: setFavorite(findParkOrThrow(parkId).id, true) };
+        },
+        remove(parkId) {
+            return { parkIds: setFavorite(parkId, false) };
+        },
+    },
+    geo: {
+        lookupZip(zip) {
+            const region = findZipRegion(zip);
+            if (!region) throw new ApiError("We couldn't find that ZIP code", { status: 404 });
+            return { zip: String(zip).trim().slice(0, 5), lat: region.lat, lng: region.lng, label: region.label };
+        },
+    },
+    orders: {
+        async list() {
+            // Signed in, riders see their account's orders; signed out, the guest orders placed in this browser.
+            const user = await getRequestUser(this);
+            return getOrders().filter(order => (order.userId || null) === (user ? user.id : null)).reverse();
+        },
+        async get(orderId) {
+            return findOrderOrThrow(orderId, await getRequestUser(this));
+        },
+        async create({ contact, card, riders, idempotencyKey } = {}) {
+            if (!idempotencyKey) throw new ApiError('An idempotency key is required', { status: 400 });
+            const user = await getRequestUser(this);
+            // A retry of an order that already went through gets the same order back.
+            const placed = getOrders().find(order => order.idempotencyKey === idempotencyKey);
+            if (placed) return findOrderOrThrow(placed.id, user);
+
+            const cardErrors = getCardErrors(card || {});
+            if (Object.keys(cardErrors).length > 0) {
+                throw new ApiError(Object.values(cardErrors)[0], { status: 400, details: cardErrors });
+            }
+            const contactErrors = getContactErrors(contact || {});
+            if (Object.keys(contactErrors).length > 0) {
+                throw new ApiError(Object.values(contactErrors)[0], { status: 400, details: contactErrors });
+            }
+            // Keep only the known fields, trimmed, so nothing else is stored on the order.
+            const orderContact = Object.fromEntries(ORDER_CONTACT_FIELDS.map(field => [field, String(contact[field]).trim()]));
+
+            if (getCart().items.length === 0) throw new ApiError('Your cart is empty', { status: 400 });
+            // Never charge a price the rider hasn't seen: removed parks and price changes must be accepted first.
+            const changes = getCartChanges();
+            if (changes.length > 0) throw new ApiError('Some items in your cart have changed', { status: 412, details: changes });
+            // Never overbook: if anything had to be trimmed, the rider must review the cart again.
+            const trimmed = trimCartToCapacity();
+            if (trimmed.length > 0) throw new ApiError('Some dates filled up', { status: 409, details: trimmed });
+            const cart = getCart();
+            // Every rider signs the park's waiver before anyone is charged.
+            const waivers = parseRidersInput(cart.items, riders);
+
+            // Re-check the promo code against its current definition; it may have expired or run out since it was applied.
+            let promo = null;
+            if (cart.promo) {
+                promo = findPromoCode(cart.promo.code);
+                const subtotal = cart.items.reduce((total, item) => total + priceLineItem(item).net, 0);
+                const eligibility = checkPromoEligibility(promo, { subtotal, uses: promo ? getPromoUses(promo.code) : 0 });
+                if (!eligibility.valid) {
+                    removeCartPromo();
+                    throw new ApiError(`${eligibility.message} It has been removed from your cart.`, { status: 422 });
+                }
+            }
+
+            const pricing = calculateOrderPricing(cart.items, promo);
+            let charge;
+            try {
+                charge = await paymentGateway.charge({ amount: pricing.total, card, idempotencyKey });
+            } catch (error) {
+                if (!(error instanceof PaymentError)) throw error;
+                throw new ApiError(error.message, { status: 402, details: { code: error.code, retryable: error.retryable } });
+            }
+
+            recordBookings(cart.items);
+            if (promo) recordPromoUse(promo.code);
+            const payment = { chargeId: charge.id, brand: charge.brand, last4: charge.last4 };
+            const order = createOrder(cart, pricing, { contact: orderContact, payment, idempotencyKey, userId: user ? user.id : null, waivers });
+            clearCart();
+            return order;
+        },
+        async cancel(orderId, { itemIds } = {}) {
+            const order = findOrderOrThrow(orderId, await getRequestUser(this));
+            const active = order.items.filter(item => item.status === 'active');
+            // With no itemIds, cancel everything that's left on the order.
+            const ids = itemIds ? [].concat(itemIds) : active.map(item => item.id);
+            const items = ids.map(id => active.find(item => item.id === id));
+            if (items.length === 0 || items.includes(undefined)) {
+                throw new ApiError('Those bookings are already cancelled or are not on this order', { status: 422 });
+            }
+            const started = items.find(item => !calculateRefund(item.line, item.dates[0]).cancellable);
+            if (started) throw new ApiError(`${started.parkName} can no longer be cancelled; the ride has started`, { status: 422 });
+            return cancelOrderItems(order.id, ids);
+        },
+    },
+    auth: {
+        async signUp({ email, password, displayName } = {}) {
+            const name = parseDisplayName(displayName);
+            const session = await callAuthProvider(() => authProvider.signUp({ email, password }));
+            saveProfile(session.user.id, { ...getProfile(session.user.id), displayName: name, contact: { name: '', email: session.user.email, phone: '' } });
+            return withUserDetails(session);
+        },
+        async signIn({ email, password } = {}) {
+            return withUserDetails(await callAuthProvider(() => authProvider.signIn({ email, password })));
+        },
+        async signOut() {
+            if (this.sessionToken) await authProvider.signOut(this.sessionToken);
+            return { signedOut: true };
+        },
+        async getSession() {
+            const session = this.sessionToken ? await authProvider.getSession(this.sessionToken) : null;
+            if (!session) throw new ApiError('Your session has ended. Please sign in again.', { status: 401 });
+            return withUserDetails(session);
+        },
+    },
+    account: {
+        async getProfile() {
+            const user = await requireRequestUser(this);
+            return getProfile(user.id);
+        },
+        async updateProfile(input = {}) {
+            const user = await requireRequestUser(this);
+            const profile = parseProfileInput(input);
+            saveProfile(user.id, profile);
+            return profile;
+        },
+    },
+    admin: {
+        async listParks() {
+            await requireRequestRole(this, 'admin');
+            return getParks({ includeRetired: true }).map(withReviewStats);
+        },
+        async getPark(parkId) {
+            await requireRequestRole(this, 'admin');
+            return withReviewStats(findAnyParkOrThrow(parkId));
+        },
+        async createPark(input = {}) {
+            await requireRequestRole(this, 'admin');
+            return createPark(parseParkInput(input));
+        },
+        async updatePark(parkId, input = {}) {
+            await requireRequestRole(this, 'admin');
+            findAnyParkOrThrow(parkId);
+            // Carts pick up new prices and details through getCartChanges, so riders confirm them before paying.
+            return updatePark(parkId, parseParkInput(input));
+        },
+        async retirePark(parkId) {
+            await requireRequestRole(this, 'admin');
+            findAnyParkOrThrow(parkId);
+            // Retired parks leave the storefront, but their orders and reviews are kept.
+            return updatePark(parkId, { retiredAt: new Date().toISOString() });
+        },
+        async restorePark(parkId) {
+            await requireRequestRole(this, 'admin');
+            findAnyParkOrThrow(parkId);
+            return updatePark(parkId, { retiredAt: null });
+        },
+        async getOccupancy(parkId, { from, to } = {}) {
+            await requireRequestRole(this, 'admin');
+            const park = findAnyParkOrThrow(parkId);
+            assertDateRange(from, to, 93);
+            return getParkOccupancy(park, from, to);
+        },
+        async listBookings({ parkId = '', from = '', to = '', by = 'ride' } = {}) {
+            await requireRequestRole(this, 'admin');
+            if (parkId) findAnyParkOrThrow(parkId);
+            if (from || to) assertDateRange(from, to);
+            if (!['ride', 'placed'].includes(by)) throw new ApiError('`by` must be "ride" or "placed"', { status: 400 });
+            return getBookingRecords({ parkId, from, to, by });
+        },
+        async getRevenue({ from, to } = {}) {
+            await requireRequestRole(this, 'admin');
+            assertDateRange(from, to, 366);
+            return getRevenueReport(from, to);
+        },
+    },
+};
+
+/**
+ * Runs a mock adapter method with simulated latency and (optionally) simulated failures.
+ * @param {string} resource - The resource name, e.g. 'parks'.
+ * @param {string} name - The method name, e.g. 'get'.
+ * @param {Array} args - The method arguments.
+ * @param {{sessionToken: ?string}} request - The request context, passed to the method as `this`.
+ * @returns {Promise<*>} The method's result, copied like a JSON response.
+ */
+async function callMockAdapter(resource, name, args, request) {
+    const config = getApiConfig();
+    await delay(config.latency);
+    // The mock stands in for a server, so it can't be reached offline either.
+    if (isOffline()) throw new ApiError('Unable to reach the server', { status: 0, retryable: true });
+    if (Math.random() < config.failureRate) {
+        throw new ApiError('The service is temporarily unavailable', { status: 503, retryable: true });
+    }
+    return toResponse(await mockAdapter[resource][name].apply(request, args));
+}
+
+// --- REST Adapter ---
+
+/**
+ * Builds the URL and body for a route from its call arguments.
+ * @param {{method: string, path: string}} route - The route definition.
+ * @param {Array} args - The method arguments.
+ * @returns {{url: string, body: (Object|undefined)}} The request target and JSON body.
+ */
+function buildRestRequest(route, args) {
+    const params = route.path.match(/:\w+/g) || [];
+    let path = route.path;
+    params.forEach((param, i) => path = path.replace(param, encodeURIComponent(args[i])));
+    const payload = args[params.length];
+
+    if (route.method === 'GET' || route.method === 'DELETE') {
+        const query = new URLSearchParams();
+        Object.entries(payload || {}).forEach(([key, value]) => value !== undefined && value !== null && query.append(key, value));
+        return { url: query.toString() ? `${path}?${query}` : path, body: undefined };
+    }
+    return { url: path, body: payload };
+}
+
+/**
+ * Calls a REST endpoint and unwraps its JSON response. The session token is sent as a bearer token.
+ * Non-2xx responses become an ApiError using the `error` message from the body.
+ * @param {string} resource - The resource name, e.g. 'parks'.
+ * @param {string} name - The method name, e.g. 'get'.
+ * @param {Array} args - The method arguments.
+ * @param {{sessionToken: ?string}} request - The request context.
+ * @returns {Promise<*>} The parsed response body.
+ */
+async function callRestAdapter(resource, name, args, request) {
+    const config = getApiConfig();
+    const route = API_ROUTES[resource][name];
+    const { url, body } = buildRestRequest(route, args);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), config.timeout);
+
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (request.sessionToken) headers.Authorization = `Bearer ${request.sessionToken}`;
+
+    let response;
+    try {
+        response = await fetch(`${config.baseUrl}${url}`, {
+            method: route.method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller.signal,
+        });
+    } catch (error) {
+        const message = error.name === 'AbortError' ? 'The request timed out' : 'Unable to reach the server';
+        throw new ApiError(message, { status: 0, retryable: true });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new ApiError(data?.error || `Request failed (${response.status})`, {
+            status: response.status,
+            retryable: response.status >= 500,
+            details: data?.details ?? null,
+        });
+    }
+    return data;
+}
+
+// --- Offline Support ---
+
+/**
+ * Checks whether the browser says it has no connection. The server sandbox has no navigator, so it never is.
+ * @returns {boolean} True when offline.
+ */
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Gets the ID of the signed-in rider, or null for guests. Offline data is kept per rider,
+ * so riders sharing a device never see each other's orders or send each other's changes.
+ * @returns {?string} The user ID.
+ */
+function getOfflineUserId() {
+    const session = getSession();
+    return session ? session.user.id : null;
+}
+
+/**
+ * Gets the responses saved for offline reads, keyed by rider, method and arguments.
+ * @returns {Object<string, {data: *, savedAt: string}>} The saved responses.
+ */
+function getOfflineCache() {
+    return readStoredJSON(OFFLINE_CACHE_KEY, {});
+}
+
+/**
+ * Saves a response for offline reads, keeping the newest OFFLINE_CACHE_LIMIT. If storage is full
+ * (park images can be large), the oldest half is dropped and the save tried once more.
+ * @param {string} key - The cache key, from getOfflineCacheKey.
+ * @param {*} data - The response.
+ */
+function saveOfflineResponse(key, data) {
+    const entries = Object.entries({ ...getOfflineCache(), [key]: { data, savedAt: new Date().toISOString() } })
+        .sort(([, a], [, b]) => b.savedAt.localeCompare(a.savedAt))
+        .slice(0, OFFLINE_CACHE_LIMIT);
+    try {
+        localStorage.setItem(OFFLINE_CACHE_KEY, JSON.stringify(Object.fromEntries(entries)));
+    } catch (error) {
+        try {
+            localStorage.setItem(OFFLINE_CACHE_KEY, JSON.stringify(Object.fromEntries(entries.slice(0, Math.ceil(entries.length / 2)))));
+        } catch (retryError) {
+            // Offline reads are a nicety; the live response has already been returned.
+        }
+    }
+}
+
+/**
+ * Builds the cache key for an API call.
+ * @param {string} resource - The resource name, e.g. 'parks'.
+ * @param {string} name - The method name, e.g. 'get'.
+ * @param {Array} args - The method arguments.
+ * @returns {string} The key.
+ */
+function getOfflineCacheKey(resource, name, args) {
+    return `${getOfflineUserId() || 'guest'} ${resource}.${name} ${JSON.stringify(args)}`;
+}
+
+/**
+ * Gets the writes waiting to be sent, oldest first.
+ * @returns {Array<{id: string, resource: string, name: string, args: Array, userId: ?string, queuedAt: string}>} The queue.
+ */
+function getOfflineQueue() {
+    return readStoredJSON(OFFLINE_QUEUE_KEY, []);
+}
+
+/**
+ * Saves the queue of writes waiting to be sent, firing an `offlinequeuechange` event on window
+ * so this tab's header can update (other tabs hear about it through the storage event).
+ * @param {Array<Object>} queue - The queue.
+ */
+function saveOfflineQueue(queue) {
+    localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    window.dispatchEvent(new Event('offlinequeuechange'));
+}
+
+/**
+ * Gets how many writes the signed-in rider (or guest) has waiting to be sent.
+ * @returns {number} The count.
+ */
+function getOfflineQueueCount() {
+    const userId = getOfflineUserId();
+    return getOfflineQueue().filter(entry => entry.userId === userId).length;
+}
+
+/**
+ * Queues a write made offline, to be sent by replayOfflineQueue.
+ * @param {string} resource - The resource name, e.g. 'cart'.
+ * @param {string} name - The method name, e.g. 'addItem'.
+ * @param {Array} args - The method arguments.
+ * @returns {ApiError} A `queued` error for the caller to throw, so pages can tell riders the change is waiting.
+ */
+function queueOfflineRequest(resource, name, args) {
+    saveOfflineQueue([...getOfflineQueue(), {
+        id: `queued-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        resource,
+        name,
+        args,
+        userId: getOfflineUserId(),
+        queuedAt: new Date().toISOString(),
+    }]);
+    return new ApiError("You're offline. We'll save this as soon as you're back online.", { status: 0, queued: true });
+}
+
+let isReplayingOfflineQueue = false;
+
+/**
+ * Sends the signed-in rider's queued writes, oldest first. Each one is taken off the queue before
+ * it's sent, so another tab replaying at the same time never sends it twice. If the connection
+ * drops again, the session has ended or the server fails (a 5xx), the write goes back on the queue and the
+ * replay stops; only a write the server rejects with a 4xx (say, a cart item for a park that has been retired)
+ * is dropped and reported.
+ * Fires an `offlinequeuereplayed` event on window when anything was sent (see onOfflineQueueReplayed).
+ * @returns {Promise<{sent: number, failed: Array<{entry: Object, error: ApiError}>}>} What happened.
+ */
+async function replayOfflineQueue() {
+    const result = { sent: 0, failed: [] };
+    if (isReplayingOfflineQueue || isOffline()) return result;
+    isReplayingOfflineQueue = true;
+    const userId = getOfflineUserId();
+    try {
+        while (!isOffline()) {
+            const queue = getOfflineQueue();
+            const entry = queue.find(queued => queued.userId === userId);
+            if (!entry) break;
+            saveOfflineQueue(queue.filter(queued => queued.id !== entry.id));
+            try {
+                await callApi(entry.resource, entry.name, entry.args);
+                result.sent++;
+            } catch (error) {
+                // Gone offline mid-replay: callApi has already queued the write again.
+                if (error.queued) break;
+                // Unreachable, signed out or a server failure: keep the write for next time.
+                const isRejected = error.status >= 400 && error.status < 500 && error.status !== 401;
+                if (!isRejected || error.retryable) {
+                    saveOfflineQueue([entry, ...getOfflineQueue()]);
+                    break;
+                }
+                result.failed.push({ entry, error });
+            }
+        }
+    } finally {
+        isReplayingOfflineQueue = false;
+    }
+    if (result.sent > 0 || result.failed.length > 0) {
+        window.dispatchEvent(new CustomEvent('offlinequeuereplayed', { detail: result }));
+    }
+    return result;
+}
+
+/**
+ * Calls back after queued offline writes have been sent, so a page can show the saved changes.
+ * @param {Function} callback - Called with replayOfflineQueue's result.
+ */
+function onOfflineQueueReplayed(callback) {
+    window.addEventListener('offlinequeuereplayed', (e) => callback(e.detail));
+}
+
+// --- Public API ---
+
+/**
+ * Calls an API method on the configured adapter. Read requests that fail with a
+ * retryable error are retried with exponential backoff; writes are never retried,
+ * since we can't know whether the first attempt went through. A 401 means the
+ * server no longer accepts the session, so it is cleared.
+ * Routes marked `offline` fall back to the last saved response, or are queued, when
+ * there's no connection. Only writes made while the browser says it's offline are
+ * queued: one that fails mid-flight may already have gone through.
+ * @param {string} resource - The resource name, e.g. 'parks'.
+ * @param {string} name - The method name, e.g. 'get'.
+ * @param {Array} args - The method arguments.
+ * @returns {Promise<*>} The method's result.
+ */
+async function callApi(resource, name, args) {
+    const config = getApiConfig();
+    const call = config.adapter === 'rest' ? callRestAdapter : callMockAdapter;
+    const route = API_ROUTES[resource][name];
+    const canRetry = route.method === 'GET';
+    const session = getSession();
+    const request = { sessionToken: session ? session.token : null };
+    const cacheKey = route.offline === 'cache' ? getOfflineCacheKey(resource, name, args) : null;
+
+    if (route.offline === 'queue' && isOffline()) throw queueOfflineRequest(resource, name, args);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const data = await call(resource, name, args, request);
+            if (cacheKey) saveOfflineResponse(cacheKey, data);
+            return data;
+        } catch (error) {
+            const apiError = error instanceof ApiError ? error : new ApiError(error.message);
+            if (apiError.status === 401 && session) clearSession();
+            if (apiError.status === 0 && cacheKey && getOfflineCache()[cacheKey]) return getOfflineCache()[cacheKey].data;
+            if (!canRetry || !apiError.retryable || attempt >= config.retries || isOffline()) throw apiError;
+            await delay(config.retryDelay * 2 ** attempt);
+        }
+    }
+}
+
+/**
+ * Creates the client for one resource, with a method for each of its routes.
+ * @param {string} resource - The resource name, e.g. 'parks'.
+ * @returns {Object<string, Function>} The resource client.
+ */
+function createResourceApi(resource) {
+    return Object.fromEntries(Object.keys(API_ROUTES[resource]).map(name =>
+        [name, (...args) => callApi(resource, name, args)]
+    ));
+}
+
+const parksApi = createResourceApi('parks');
+const reviewsApi = createResourceApi('reviews');
+const moderationApi = createResourceApi('moderation');
+const cartApi = createResourceApi('cart');
+const favoritesApi = createResourceApi('favorites');
+const geoApi = createResourceApi('geo');
+const ordersApi = createResourceApi('orders');
+const authApi = createResourceApi('auth');
+const accountApi = createResourceApi('account');
+const adminApi = createResourceApi('admin');
@@ -1,8 +1,147 @@
 // This file contains shared functions used across multiple HTML pages
 // to keep our code DRY (Don't Repeat Yourself).
 
+const PARKS_KEY = 'dirtBikeAppParks';
 const CART_KEY = 'dirtBikeAppCart';
+const FAVORITES_KEY = 'dirtBikeAppFavorites';
 const THEME_KEY = 'dirtBikeAppTheme';
+const BOOKINGS_KEY = 'dirtBikeAppBookings';
+const RENTAL_BOOKINGS_KEY = 'dirtBikeAppRentalBookings';
+const REVIEWS_KEY = 'dirtBikeAppReviews';
+const PROMO_USAGE_KEY = 'dirtBikeAppPromoUsage';
+const ORDERS_KEY = 'dirtBikeAppOrders';
+const CART_BACKUP_KEY = 'dirtBikeAppCartBackup';
+const SESSION_KEY = 'dirtBikeAppSession';
+const PROFILES_KEY = 'dirtBikeAppProfiles';
+const REVIEW_MODERATION_KEY = 'dirtBikeAppReviewModeration';
+
+const CART_SCHEMA_VERSION = 3;
+const CART_ITEM_TTL_HOURS = 24; // How long an item stays in the cart before it expires.
+
+const MAX_BOOKING_DAYS = 3;
+const BOOKING_WINDOW_MONTHS = 6; // How far ahead the calendar lets riders book.
+const CLOSURE_LOOKAHEAD_DAYS = 90; // How far ahead a park page lists upcoming closures.
+const MAX_PARK_IMAGE_CHARS = 500000; // Uploaded park images are stored as data URLs in localStorage, so keep them small.
+const REVIEWS_PAGE_SIZE = 10;
+const MAX_SAVED_ADDRESSES = 5;
+const MIN_COMPARE_PARKS = 2;
+const MAX_COMPARE_PARKS = 4;
+const CALENDAR_PRODUCT_ID = '-//RideFinder//Bookings//EN';
+const TICKET_CODE_PREFIX = 'RIDEFINDER'; // Starts every gate ticket's code, so the scanner knows it's ours.
+const REVIEW_REPORTS_TO_HIDE = 3; // Reports that take a published review down until a moderator has looked at it.
+const REVIEW_RATE_LIMIT = { count: 3, minutes: 10 }; // A rider's reviews past `count` within `minutes` are held.
+const ADULT_TICKET_MIN_AGE = 16; // Younger riders ride on a kid ticket.
+const WAIVER_ADULT_AGE = 18;     // Riders under this age need a parent or guardian to sign their waiver.
+
+const ORDER_STATUS_LABELS = {
+    confirmed: 'Confirmed',
+    'partially-cancelled': 'Partially Cancelled',
+    cancelled: 'Cancelled',
+};
+
+const RIDER_TICKET_LABELS = {
+    adult: 'Adult',
+    kid: 'Kid',
+};
+
+const RIDER_EXPERIENCE_LEVELS = {
+    beginner: 'Beginner',
+    novice: 'Novice',
+    intermediate: 'Intermediate',
+    expert: 'Expert',
+};
+
+const TRACK_CONDITION_LABELS = {
+    open: 'Open',
+    wet: 'Wet',
+    closed: 'Closed',
+    'race-day': 'Race Day',
+};
+
+const CLOSURE_REASON_LABELS = {
+    race: 'Race event',
+    maintenance: 'Track maintenance',
+    weather: 'Weather',
+    holiday: 'Holiday',
+    season: 'Closed for the season',
+};
+
+// In Date#getDay order, keyed the same way as a park's `hours`.
+const WEEKDAY_LABELS = {
+    sun: 'Sunday',
+    mon: 'Monday',
+    tue: 'Tuesday',
+    wed: 'Wednesday',
+    thu: 'Thursday',
+    fri: 'Friday',
+    sat: 'Saturday',
+};
+
+const PARK_SORT_OPTIONS = {
+    relevance: 'Best Match',
+    rating: 'Highest Rated',
+    'price-asc': 'Price: Low to High',
+    'price-desc': 'Price: High to Low',
+    reviews: 'Most Reviewed',
+    name: 'Name (A-Z)',
+    distance: 'Nearest First',
+};
+
+const SEARCH_RADIUS_OPTIONS = [50, 100, 250, 500, 1000]; // Miles
+
+const REVIEW_SORT_OPTIONS = {
+    newest: 'Newest',
+    oldest: 'Oldest',
+    highest: 'Highest Rated',
+    lowest: 'Lowest Rated',
+    helpful: 'Most Helpful',
+};
+
+// Least to most privileged. Each role can do everything the roles before it can.
+const USER_ROLES = ['rider', 'moderator', 'admin'];
+
+const REVIEW_STATUS_LABELS = {
+    published: 'Published',
+    pending: 'Awaiting Moderation',
+    rejected: 'Rejected',
+};
+
+// Why a review was held for moderation. All but 'reported' come from screenReview.
+const MODERATION_FILTERS = {
+    queue: 'Needs Review',
+    published: 'Published',
+    rejected: 'Rejected',
+};
+
+const REVIEW_FLAG_LABELS = {
+    profanity: 'Profanity',
+    link: 'Contains a link',
+    duplicate: 'Duplicate of another review',
+    'rapid-posting': 'Posted in quick succession',
+    reported: 'Reported by riders',
+};
+
+const REVIEW_REPORT_REASONS = {
+    spam: 'Spam or advertising',
+    offensive: 'Offensive or abusive',
+    'off-topic': 'Not about this park',
+    conflict: 'Written by the park or a competitor',
+    other: 'Something else',
+};
+
+// Matched as whole words, ignoring case, so "Scunthorpe" and "assessment" get through.
+const REVIEW_BLOCKED_WORDS = ['fuck', 'fucking', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard', 'cunt', 'dick', 'dickhead', 'prick', 'slut', 'whore', 'wanker'];
+
+// The weekly hours a park starts with when an admin adds it.
+const NEW_PARK_HOURS = {
+    sun: { open: '09:00', close: '17:00' },
+    mon: null,
+    tue: null,
+    wed: { open: '09:00', close: '17:00' },
+    thu: { open: '09:00', close: '17:00' },
+    fri: { open: '09:00', close: '17:00' },
+    sat: { open: '09:00', close: '17:00' },
+};
 
 // --- Theme Management ---
 
@@ -33,7 +172,7 @@ function toggleTheme() {
 /**
  * Shows a small, non-intrusive notification toast.
  * @param {'success'|'error'|'info'} icon - The icon to display.
- * @param {string} title - The message to show.
+ * @param {string} title - The message to show, as plain text.
  */
 function showToast(icon, title) {
     const isDark = document.documentElement.classList.contains('dark');
@@ -51,27 +190,220 @@ function showToast(icon, title) {
             popup: isDark ? 'dark-swal' : ''
         }
     });
-    Toast.fire({ icon, title });
+    Toast.fire({ icon, titleText: title }); // titleText, not title: messages can include park names and server errors
+    announce(title, icon === 'error' ? 'assertive' : 'polite');
+}
+
+// --- Screen Reader Announcements ---
+
+/**
+ * Reads a message out to screen reader users through a visually hidden live region.
+ * The regions are added to the page on first use and kept, since a live region has to exist before it changes to be heard.
+ * @param {string} message - The message, as plain text.
+ * @param {'polite'|'assertive'} [politeness='polite'] - 'assertive' interrupts whatever is being read, so keep it for errors.
+ */
+function announce(message, politeness = 'polite') {
+    const id = `live-region-${politeness}`;
+    let region = document.getElementById(id);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'live-region sr-only';
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    // Cleared first and filled a moment later, so the same message twice in a row is still read out.
+    region.textContent = '';
+    setTimeout(() => { region.textContent = message; }, 100);
+}
+
+// --- Dialogs ---
+
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Turns a `.modal-overlay` into an accessible modal dialog.
+ * While it's open, Tab and Shift+Tab stay inside it, the rest of the page is inert, and Escape or a click on the
+ * backdrop closes it. Focus moves into the dialog when it opens and back to whatever opened it when it closes.
+ * @param {HTMLElement} overlay - The overlay, holding a `.modal-content` panel whose first heading names the dialog.
+ * @param {Object} [options]
+ * @param {Function} [options.onClose] - Called each time the dialog closes, e.g. to reset its form.
+ * @returns {{open: function(HTMLElement=): void, close: function(): void, isOpen: function(): boolean}} The dialog's controls.
+ *   `open` takes the element to focus first; it defaults to the first focusable element in the dialog.
+ */
+function createDialog(overlay, { onClose } = {}) {
+    const panel = overlay.querySelector('.modal-content');
+    const heading = panel.querySelector('h1, h2, h3');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.tabIndex = -1;
+    if (heading) {
+        heading.id = heading.id || `${overlay.id}-title`;
+        panel.setAttribute('aria-labelledby', heading.id);
+    }
+
+    let opener = null;
+    let inertElements = [];
+
+    const getFocusableElements = () => [...panel.querySelectorAll(FOCUSABLE_SELECTOR)].filter(el => el.getClientRects().length > 0);
+
+    const handleKeydown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        } else if (e.key === 'Tab') {
+            const focusable = getFocusableElements();
+            if (focusable.length === 0) {
+                e.preventDefault();
+                return;
+            }
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !panel.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !panel.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    };
+    const handleBackdropClick = (e) => e.target === overlay && close();
+
+    const isOpen = () => overlay.classList.contains('active');
+
+    function open(initialFocus) {
+        if (isOpen()) return;
+        opener = document.activeElement;
+        overlay.classList.add('active');
+        // Everything else on the page is taken out of the tab order and the accessibility tree; live regions stay so toasts are still heard.
+        inertElements = [...document.body.children].filter(el => el !== overlay && !el.inert && !el.classList.contains('live-region'));
+        inertElements.forEach(el => { el.inert = true; });
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', handleBackdropClick);
+        (initialFocus || getFocusableElements()[0] || panel).focus();
+    }
+
+    function close() {
+        if (!isOpen()) return;
+        overlay.classList.remove('active');
+        inertElements.forEach(el => { el.inert = false; });
+        inertElements = [];
+        document.removeEventListener('keydown', handleKeydown);
+        overlay.removeEventListener('click', handleBackdropClick);
+        if (onClose) onClose();
+        // The opener may have been re-rendered while the dialog was open (e.g. an edit button in a refreshed list).
+        if (opener && opener.isConnected) opener.focus();
+        opener = null;
+    }
+
+    return { open, close, isOpen };
 }
 
 
 // --- Cart Management Functions ---
 
+// Upgrades a stored cart one schema version at a time, keyed by the version being upgraded from.
+// Carts saved before versioning have no `version` and are treated as version 1.
+const CART_MIGRATIONS = {
+    // v2 stamps each item with when it was added, so items can expire. Items from before ride dates were picked
+    // are kept with no dates, and the rider is told at checkout that they can't be booked (see getCartChanges).
+    1: (cart, now) => ({
+        ...cart,
+        items: (cart.items || []).map(item => ({
+            ...item,
+            dates: Array.isArray(item.dates) ? item.dates : [],
+            addedAt: item.addedAt || now.toISOString(),
+        })),
+    }),
+    // v3 lists each item's park rentals (none picked yet), so rentals can be added from the cart.
+    2: (cart) => ({
+        ...cart,
+        items: (cart.items || []).map(item => ({ ...item, rentals: getItemRentals(getParkById(item.parkId), item.rentals) })),
+    }),
+};
+
+/**
+ * Checks that a stored cart item has everything the pages need to show and price it.
+ * @param {Object} item - The stored item.
+ * @returns {boolean} True if the item is usable.
+ */
+function isValidCartItem(item) {
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    return Boolean(item) &&
+        typeof item.id === 'string' &&
+        typeof item.parkId === 'string' &&
+        Boolean(item.tickets) && isCount(item.tickets.adults) && isCount(item.tickets.kids) &&
+        Array.isArray(item.dates) && item.dates.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)) &&
+        Boolean(item.unitPrice) && typeof item.unitPrice.adult === 'number' && typeof item.unitPrice.child === 'number' &&
+        Array.isArray(item.rentals) && item.rentals.every(rental => typeof rental.id === 'string' && typeof rental.price === 'number' && isCount(rental.quantity));
+}
+
 /**
- * Retrieves the cart from localStorage.
- * @returns {{items: Array<Object>}} The cart object.
+ * Gets when a cart item expires.
+ * @param {Object} item - The cart item.
+ * @returns {Date} The expiry time.
  */
-function getCart() {
-    const cart = localStorage.getItem(CART_KEY);
-    return cart ? JSON.parse(cart) : { items: [] };
+function getCartItemExpiry(item) {
+    return new Date(new Date(item.addedAt).getTime() + CART_ITEM_TTL_HOURS * 60 * 60 * 1000);
 }
 
 /**
- * Saves the cart to localStorage.
+ * Reads the stored cart, upgrading it to the current schema and recovering from bad data:
+ * storage that can't be parsed is backed up and replaced with an empty cart, and items that
+ * are malformed or have expired are dropped. Repairs are saved straight back.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {{version: number, items: Array<Object>, promo: (Object|undefined)}} The cart object.
+ */
+function getCart(now = new Date()) {
+    const raw = localStorage.getItem(CART_KEY);
+    if (!raw) return { version: CART_SCHEMA_VERSION, items: [] };
+
+    let cart;
+    let storedVersion;
+    try {
+        cart = JSON.parse(raw);
+        if (!cart || typeof cart !== 'object' || !Array.isArray(cart.items)) throw new Error('Cart has no items list');
+        storedVersion = cart.version || 1;
+        for (let version = storedVersion; version < CART_SCHEMA_VERSION; version++) {
+            cart = { ...CART_MIGRATIONS[version](cart, now), version: version + 1 };
+        }
+        if (cart.version > CART_SCHEMA_VERSION) throw new Error(`Cart version ${cart.version} is newer than this page`);
+    } catch (error) {
+        localStorage.setItem(CART_BACKUP_KEY, raw);
+        cart = { version: CART_SCHEMA_VERSION, items: [] };
+        saveCart(cart);
+        return cart;
+    }
+
+    const items = cart.items.filter(item => isValidCartItem(item) && getCartItemExpiry(item) > now);
+    if (items.length !== cart.items.length || storedVersion !== CART_SCHEMA_VERSION) {
+        cart.items = items;
+        saveCart(cart);
+    }
+    return cart;
+}
+
+/**
+ * Saves the cart to localStorage, stamped with the current schema version.
  * @param {Object} cart - The cart object to save.
  */
 function saveCart(cart) {
-    localStorage.setItem(CART_KEY, JSON.stringify(cart));
+    localStorage.setItem(CART_KEY, JSON.stringify({ ...cart, version: CART_SCHEMA_VERSION }));
+}
+
+/**
+ * Calls back whenever the cart is changed in another tab, so the page can refresh.
+ * Relies on the browser's `storage` event, which only fires for the mock adapter's localStorage.
+ * @param {Function} callback - Called with no arguments after each change.
+ */
+function onCartChangedElsewhere(callback) {
+    window.addEventListener('storage', (e) => {
+        // A null key means storage was cleared entirely.
+        if (e.key === CART_KEY || e.key === null) callback();
+    });
 }
 
 /**
@@ -82,23 +414,74 @@ function clearCart() {
 }
 
 /**
- * Adds an item to the cart. If an item for the same park and duration exists, it merges them.
- * @param {Object} newItem - The item to add.
+ * Applies a promo code to the cart. The code's definition is kept with the cart so the summaries can price it.
+ * @param {Object} promo - The promo definition (see MOCK_PROMO_CODES).
+ */
+function setCartPromo(promo) {
+    const cart = getCart();
+    cart.promo = promo;
+    saveCart(cart);
+}
+
+/**
+ * Removes any promo code from the cart.
+ */
+function removeCartPromo() {
+    const cart = getCart();
+    delete cart.promo;
+    saveCart(cart);
+}
+
+/**
+ * Adds an item to the cart. If an item for the same park and the same dates exists, it merges them.
+ * The item is refused if the park is closed on any of its days, if it would take any of its days over
+ * the park's guest limit, or if it would rent out more of something than the park has left on one of its days.
+ * @param {Object} newItem - The item to add. Must carry `dates` (an array of `YYYY-MM-DD` strings),
+ *   and `rentals` as listed by getItemRentals.
+ * @returns {{added: boolean, remaining: number, rental: (Object|undefined), closed: (Object|undefined)}} Whether the item
+ *   was added, and the spots that were left for its dates. A rental that ran short is returned as `rental` ({name, remaining}),
+ *   and a day the park is closed as `closed` ({date, reason}).
  */
 function addItemToCart(newItem) {
+    const park = getParkById(newItem.parkId);
+    const guests = newItem.tickets.adults + newItem.tickets.kids;
+    const closedDay = park && newItem.dates.map(date => getParkDaySchedule(park, date)).find(day => !day.isOpen);
+    if (closedDay) {
+        return { added: false, remaining: 0, closed: { date: closedDay.date, reason: closedDay.reason } };
+    }
+    const remaining = park ? getRemainingSpotsForDates(park, newItem.dates) : 0;
+    if (guests > remaining) {
+        return { added: false, remaining };
+    }
+    const shortRental = newItem.rentals
+        .map(rental => ({ name: rental.name, quantity: rental.quantity, remaining: getRemainingRentalsForDates(park, rental.id, newItem.dates) }))
+        .find(rental => rental.quantity > rental.remaining);
+    if (shortRental) {
+        return { added: false, remaining, rental: { name: shortRental.name, remaining: shortRental.remaining } };
+    }
+
     const cart = getCart();
-    // An item is unique by its parkId AND the number of days.
-    const existingItemIndex = cart.items.findIndex(item => item.parkId === newItem.parkId && item.days === newItem.days);
+    // An item is unique by its parkId AND its exact set of dates.
+    const existingItemIndex = cart.items.findIndex(item => item.parkId === newItem.parkId && isSameDates(item.dates, newItem.dates));
     
     if (existingItemIndex > -1) {
-        // If found, just update the ticket counts
-        cart.items[existingItemIndex].tickets.adults += newItem.tickets.adults;
-        cart.items[existingItemIndex].tickets.kids += newItem.tickets.kids;
+        // If found, just update the ticket and rental counts, and restart the item's expiry
+        const existing = cart.items[existingItemIndex];
+        existing.tickets.adults += newItem.tickets.adults;
+        existing.tickets.kids += newItem.tickets.kids;
+        existing.rentals.forEach(rental => rental.quantity += newItem.rentals.find(r => r.id === rental.id)?.quantity || 0);
+        existing.addedAt = new Date().toISOString();
     } else {
         // Otherwise, add the new item
-        cart.items.push({ ...newItem, id: `cart-${Date.now()}` });
+        cart.items.push({
+            ...newItem,
+            days: newItem.dates.length,
+            id: `cart-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            addedAt: new Date().toISOString(),
+        });
     }
     saveCart(cart);
+    return { added: true, remaining: remaining - guests };
 }
 
 /**
@@ -112,250 +495,3745 @@ function removeItemFromCart(itemId) {
 }
 
 /**
- * Updates the quantity of a specific ticket type (adults/kids) for a cart item.
- * If total tickets for an item becomes zero, it's removed from the cart.
- * @param {string} itemId - The ID of the item to update.
- * @param {'adults'|'kids'} ticketType - The type of ticket to update.
- * @param {number} newQuantity - The new quantity for the ticket type.
+ * Updates the quantity of a specific ticket type (adults/kids) for a cart item.
+ * The quantity is trimmed so the item never overbooks one of its days.
+ * If total tickets for an item becomes zero, it's removed from the cart.
+ * @param {string} itemId - The ID of the item to update.
+ * @param {'adults'|'kids'} ticketType - The type of ticket to update.
+ * @param {number} newQuantity - The new quantity for the ticket type.
+ * @returns {number} The quantity that was actually applied.
+ */
+function updateCartItemQuantity(itemId, ticketType, newQuantity) {
+    const cart = getCart();
+    const itemIndex = cart.items.findIndex(item => item.id === itemId);
+    let appliedQuantity = newQuantity;
+    
+    if (itemIndex > -1) {
+        if (newQuantity >= 0) {
+            const item = cart.items[itemIndex];
+            const park = getParkById(item.parkId);
+            if (park) {
+                const otherType = ticketType === 'adults' ? 'kids' : 'adults';
+                const available = getRemainingSpotsForDates(park, item.dates, item.id) - item.tickets[otherType];
+                appliedQuantity = Math.max(0, Math.min(newQuantity, available));
+            }
+            item.tickets[ticketType] = appliedQuantity;
+            // If both adults and kids are zero, remove the item entirely.
+            if (item.tickets.adults === 0 && item.tickets.kids === 0) {
+                cart.items.splice(itemIndex, 1);
+            }
+        }
+    }
+    saveCart(cart);
+    return appliedQuantity;
+}
+
+/**
+ * Sets how many of a rental a cart item includes, capped at what the park has left on each of the item's days.
+ * @param {string} itemId - The ID of the item to update.
+ * @param {string} rentalId - The rental's ID (see the park's `rentals`).
+ * @param {number} newQuantity - The new quantity.
+ * @returns {number} The quantity that was actually applied.
+ */
+function updateCartItemRental(itemId, rentalId, newQuantity) {
+    const cart = getCart();
+    const item = cart.items.find(i => i.id === itemId);
+    const rental = item && item.rentals.find(r => r.id === rentalId);
+    if (!rental || !(newQuantity >= 0)) return rental ? rental.quantity : 0;
+
+    const park = getParkById(item.parkId);
+    rental.quantity = park ? Math.min(newQuantity, getRemainingRentalsForDates(park, rentalId, item.dates, item.id)) : 0;
+    saveCart(cart);
+    return rental.quantity;
+}
+
+/**
+ * Walks the cart in order and trims any item that would overbook one of its days,
+ * removing kid tickets first and then adult tickets. Items left with no tickets are removed.
+ * Rentals are trimmed the same way against each rental's daily stock, and items on days the park
+ * has closed since are removed outright.
+ * Run this before checkout since bookings may have been confirmed since the items were added.
+ * @returns {Array<{parkName: string, dates: Array<string>, removed: number, rentalName: (string|undefined), closed: (Object|undefined)}>}
+ *   What was trimmed: tickets, or units of the named rental. `closed` ({date, reason}) is set when the park closed.
+ */
+function trimCartToCapacity() {
+    const cart = getCart();
+    const held = {}; // parkId -> date -> guests already allocated to earlier items
+    const heldRentals = {}; // parkId -> rentalId -> date -> units already allocated to earlier items
+    const trimmed = [];
+
+    cart.items = cart.items.filter(item => {
+        const park = getParkById(item.parkId);
+        const dates = item.dates || [];
+        const guests = item.tickets.adults + item.tickets.kids;
+        // Items without dates, or whose ride day has already passed, can't be booked at all.
+        if (!park || dates.length === 0 || dates[0] < toISODate(new Date())) {
+            trimmed.push({ parkName: item.parkName, dates, removed: guests });
+            return false;
+        }
+        // Nor can days the park has since closed.
+        const closedDay = dates.map(date => getParkDaySchedule(park, date)).find(day => !day.isOpen);
+        if (closedDay) {
+            trimmed.push({ parkName: item.parkName, dates, removed: guests, closed: { date: closedDay.date, reason: closedDay.reason } });
+            return false;
+        }
+
+        held[park.id] = held[park.id] || {};
+        const available = Math.min(...dates.map(date =>
+            park.guestLimit - getBookedCount(park.id, date) - (held[park.id][date] || 0)
+        ));
+        const excess = guests - Math.max(0, available);
+        if (excess > 0) {
+            trimmed.push({ parkName: item.parkName, dates, removed: excess });
+            const kidsRemoved = Math.min(item.tickets.kids, excess);
+            item.tickets.kids -= kidsRemoved;
+            item.tickets.adults -= excess - kidsRemoved;
+        }
+
+        const kept = item.tickets.adults + item.tickets.kids;
+        dates.forEach(date => held[park.id][date] = (held[park.id][date] || 0) + kept);
+        if (kept === 0) return false;
+
+        heldRentals[park.id] = heldRentals[park.id] || {};
+        item.rentals.filter(rental => rental.quantity > 0).forEach(rental => {
+            const stock = (park.rentals || []).find(r => r.id === rental.id)?.dailyStock || 0;
+            const heldUnits = heldRentals[park.id][rental.id] = heldRentals[park.id][rental.id] || {};
+            const availableUnits = Math.min(...dates.map(date => stock - getBookedRentalCount(park.id, rental.id, date) - (heldUnits[date] || 0)));
+            const excessUnits = rental.quantity - Math.max(0, availableUnits);
+            if (excessUnits > 0) {
+                trimmed.push({ parkName: item.parkName, dates, removed: excessUnits, rentalName: rental.name });
+                rental.quantity -= excessUnits;
+            }
+            dates.forEach(date => heldUnits[date] = (heldUnits[date] || 0) + rental.quantity);
+        });
+        return true;
+    });
+
+    if (trimmed.length > 0) saveCart(cart);
+    return trimmed;
+}
+
+/**
+ * Compares the cart with the current park data and lists what has changed since items were added:
+ * parks that are no longer offered, items carried over from an older cart without ride dates,
+ * and ticket or rental prices that have gone up or down
+ * (a picked rental the park no longer offers counts as a price change, since it drops off the item).
+ * @returns {Array<Object>} The changes: `itemId`, `parkName`, `dates`, `type` ('removed', 'undated' or 'price'),
+ *   and for price changes the item's `oldTotal` and `newTotal`.
+ */
+function getCartChanges() {
+    return getCart().items.flatMap(item => {
+        const park = getParkById(item.parkId);
+        const change = { itemId: item.id, parkName: item.parkName, dates: item.dates };
+        if (!park) return [{ ...change, type: 'removed' }];
+        if (item.dates.length === 0) return [{ ...change, type: 'undated' }];
+        const rentals = getItemRentals(park, item.rentals);
+        const rentalsChanged = item.rentals.some(rental => rental.quantity > 0 && !rentals.some(r => r.id === rental.id && r.price === rental.price));
+        if (park.price.adult !== item.unitPrice.adult || park.price.child !== item.unitPrice.child || rentalsChanged) {
+            return [{
+                ...change,
+                type: 'price',
+                oldTotal: priceLineItem(item).net,
+                newTotal: priceLineItem({ ...item, unitPrice: park.price, rentals }).net,
+            }];
+        }
+        return [];
+    });
+}
+
+/**
+ * Accepts every change listed by getCartChanges: items for removed parks or without ride dates are dropped,
+ * and the rest take the park's current prices, rentals and details.
+ * @returns {Object} The updated cart.
+ */
+function acceptCartChanges() {
+    const cart = getCart();
+    cart.items = cart.items
+        .filter(item => getParkById(item.parkId) && item.dates.length > 0)
+        .map(item => {
+            const park = getParkById(item.parkId);
+            return { ...item, parkName: park.name, parkImage: park.imageUrl, parkState: park.state, unitPrice: park.price, rentals: getItemRentals(park, item.rentals) };
+        });
+    saveCart(cart);
+    return cart;
+}
+
+// --- Favorites ---
+
+/**
+ * Retrieves the IDs of the parks the rider has saved, in the order they were saved.
+ * Like the cart, favorites are kept in this browser's localStorage.
+ * @returns {Array<string>} The park IDs.
+ */
+function getFavorites() {
+    try {
+        const parkIds = JSON.parse(localStorage.getItem(FAVORITES_KEY));
+        return Array.isArray(parkIds) ? parkIds.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+        return []; // Unreadable favorites start over rather than breaking every page.
+    }
+}
+
+/**
+ * Saves the favorite park IDs to localStorage.
+ * @param {Array<string>} parkIds - The park IDs, in order.
+ */
+function saveFavorites(parkIds) {
+    localStorage.setItem(FAVORITES_KEY, JSON.stringify(parkIds));
+}
+
+/**
+ * Adds a park to the favorites or removes it. Adding a park that's already saved keeps its place.
+ * @param {string} parkId - The park ID.
+ * @param {boolean} isFavorite - Whether the park should be a favorite.
+ * @returns {Array<string>} The updated park IDs.
+ */
+function setFavorite(parkId, isFavorite) {
+    const parkIds = getFavorites().filter(id => id !== parkId || isFavorite);
+    if (isFavorite && !parkIds.includes(parkId)) parkIds.push(parkId);
+    saveFavorites(parkIds);
+    return parkIds;
+}
+
+/**
+ * Calls back whenever the favorites are changed in another tab, like onCartChangedElsewhere.
+ * @param {Function} callback - Called with no arguments after each change.
+ */
+function onFavoritesChangedElsewhere(callback) {
+    window.addEventListener('storage', (e) => {
+        if (e.key === FAVORITES_KEY || e.key === null) callback();
+    });
+}
+
+// --- Promo Codes ---
+
+/**
+ * Looks up a promo code, ignoring case and surrounding spaces.
+ * @param {string} code - The code the rider entered.
+ * @returns {Object|undefined} The promo definition.
+ */
+function findPromoCode(code) {
+    const normalized = String(code || '').trim().toUpperCase();
+    return MOCK_PROMO_CODES.find(promo => promo.code === normalized);
+}
+
+/**
+ * Gets how many placed orders have redeemed a promo code.
+ * @param {string} code - The promo code.
+ * @returns {number} The redemption count.
+ */
+function getPromoUses(code) {
+    const usage = localStorage.getItem(PROMO_USAGE_KEY);
+    return (usage ? JSON.parse(usage) : {})[code] || 0;
+}
+
+/**
+ * Counts one redemption of a promo code. Called once an order using it is placed.
+ * @param {string} code - The promo code.
+ */
+function recordPromoUse(code) {
+    const usage = localStorage.getItem(PROMO_USAGE_KEY);
+    const counts = usage ? JSON.parse(usage) : {};
+    counts[code] = (counts[code] || 0) + 1;
+    localStorage.setItem(PROMO_USAGE_KEY, JSON.stringify(counts));
+}
+
+// --- Date Helpers ---
+
+/**
+ * Formats a Date as a local `YYYY-MM-DD` string.
+ * @param {Date} date - The date to format.
+ * @returns {string} The ISO-style date string.
+ */
+function toISODate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Parses a `YYYY-MM-DD` string as a local date at midnight.
+ * @param {string} isoDate - The date string.
+ * @returns {Date} The parsed date.
+ */
+function parseISODate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Adds a number of days to a `YYYY-MM-DD` string.
+ * @param {string} isoDate - The starting date.
+ * @param {number} count - Days to add (may be negative).
+ * @returns {string} The resulting date string.
+ */
+function addDays(isoDate, count) {
+    const date = parseISODate(isoDate);
+    date.setDate(date.getDate() + count);
+    return toISODate(date);
+}
+
+/**
+ * Lists the consecutive dates of a booking.
+ * @param {string} startDate - The first ride day.
+ * @param {number} days - The number of ride days.
+ * @returns {Array<string>} The booked dates, in order.
+ */
+function getBookingDates(startDate, days) {
+    return Array.from({ length: days }, (_, i) => addDays(startDate, i));
+}
+
+/**
+ * Checks whether two date lists are identical.
+ * @param {Array<string>} a - The first list.
+ * @param {Array<string>} b - The second list.
+ * @returns {boolean} True if both hold the same dates in the same order.
+ */
+function isSameDates(a = [], b = []) {
+    return a.length === b.length && a.every((date, i) => date === b[i]);
+}
+
+/**
+ * Formats a list of consecutive dates for display, e.g. "Oct 3 – Oct 5, 2025".
+ * @param {Array<string>} dates - The booked dates.
+ * @returns {string} A human-readable date range.
+ */
+function formatDateRange(dates = []) {
+    if (dates.length === 0) return 'No dates selected';
+    const first = parseISODate(dates[0]);
+    const last = parseISODate(dates[dates.length - 1]);
+    const withYear = { month: 'short', day: 'numeric', year: 'numeric' };
+    if (dates.length === 1) return first.toLocaleDateString('en-US', withYear);
+    return `${first.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${last.toLocaleDateString('en-US', withYear)}`;
+}
+
+// --- URL State ---
+
+/**
+ * Updates query parameters in the address bar without reloading, so the current view can be shared.
+ * Empty values (null, '', or an empty array) remove the parameter; arrays are joined with commas.
+ * @param {Object<string, *>} values - The parameters to set.
+ */
+function setUrlParams(values) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(values).forEach(([key, value]) => {
+        const isEmpty = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+        if (isEmpty) {
+            params.delete(key);
+        } else {
+            params.set(key, Array.isArray(value) ? value.join(',') : value);
+        }
+    });
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+}
+
+// --- Park Catalog ---
+
+/**
+ * Gets the park catalog from localStorage: the parks as admins have edited them, or MOCK_PARKS until the first edit.
+ * @param {Object} [options] - Which parks to include.
+ * @param {boolean} [options.includeRetired=false] - Include retired parks, for the admin console. Riders never see them.
+ * @returns {Array<Object>} The parks.
+ */
+function getParks({ includeRetired = false } = {}) {
+    const saved = localStorage.getItem(PARKS_KEY);
+    const parks = saved ? JSON.parse(saved) : MOCK_PARKS;
+    return includeRetired ? parks : parks.filter(park => !park.retiredAt);
+}
+
+/**
+ * Saves the park catalog to localStorage.
+ * @param {Array<Object>} parks - Every park, retired ones included.
+ */
+function saveParks(parks) {
+    localStorage.setItem(PARKS_KEY, JSON.stringify(parks));
+}
+
+/**
+ * Finds a park by its ID. Retired parks aren't found, so they can't be booked and drop out of carts and favorites.
+ * @param {string} parkId - The park ID.
+ * @param {Object} [options] - See getParks.
+ * @returns {Object|undefined} The park data object.
+ */
+function getParkById(parkId, options) {
+    return getParks(options).find(park => park.id === parkId);
+}
+
+/**
+ * Adds a park to the catalog. It opens on NEW_PARK_HOURS, with no rentals or closures and its track open.
+ * @param {Object} fields - The park's details (see parseParkInput in api.js).
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object} The new park.
+ */
+function createPark(fields, now = new Date()) {
+    const park = {
+        id: `park-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        ...fields,
+        rentals: [],
+        hours: { ...NEW_PARK_HOURS },
+        closures: [],
+        condition: { status: 'open', note: '', updatedAt: now.toISOString() },
+        createdAt: now.toISOString(),
+    };
+    saveParks([...getParks({ includeRetired: true }), park]);
+    return park;
+}
+
+/**
+ * Applies changes to a park in the catalog, retired or not.
+ * @param {string} parkId - The park ID.
+ * @param {Object} changes - The fields to change.
+ * @returns {Object|undefined} The updated park, or undefined if it doesn't exist.
+ */
+function updatePark(parkId, changes) {
+    const parks = getParks({ includeRetired: true });
+    const index = parks.findIndex(park => park.id === parkId);
+    if (index === -1) return undefined;
+    parks[index] = { ...parks[index], ...changes };
+    saveParks(parks);
+    return parks[index];
+}
+
+// --- Availability & Capacity ---
+
+/**
+ * Retrieves confirmed bookings from localStorage, as guest counts keyed by park ID and then by date.
+ * @returns {Object<string, Object<string, number>>} The bookings ledger.
+ */
+function getBookings() {
+    const bookings = localStorage.getItem(BOOKINGS_KEY);
+    return bookings ? JSON.parse(bookings) : {};
+}
+
+/**
+ * Saves the bookings ledger to localStorage.
+ * @param {Object} bookings - The bookings ledger to save.
+ */
+function saveBookings(bookings) {
+    localStorage.setItem(BOOKINGS_KEY, JSON.stringify(bookings));
+}
+
+/**
+ * Retrieves confirmed rentals from localStorage, as unit counts keyed by park ID, rental ID and then date.
+ * @returns {Object<string, Object<string, Object<string, number>>>} The rentals ledger.
+ */
+function getRentalBookings() {
+    const bookings = localStorage.getItem(RENTAL_BOOKINGS_KEY);
+    return bookings ? JSON.parse(bookings) : {};
+}
+
+/**
+ * Saves the rentals ledger to localStorage.
+ * @param {Object} bookings - The rentals ledger to save.
+ */
+function saveRentalBookings(bookings) {
+    localStorage.setItem(RENTAL_BOOKINGS_KEY, JSON.stringify(bookings));
+}
+
+/**
+ * Records the guests and rentals of each cart item against its park and dates. Called once an order is placed.
+ * @param {Array<Object>} items - The cart items that were purchased.
+ */
+function recordBookings(items) {
+    const bookings = getBookings();
+    const rentalBookings = getRentalBookings();
+    items.forEach(item => {
+        const guests = item.tickets.adults + item.tickets.kids;
+        bookings[item.parkId] = bookings[item.parkId] || {};
+        rentalBookings[item.parkId] = rentalBookings[item.parkId] || {};
+        (item.dates || []).forEach(date => {
+            bookings[item.parkId][date] = (bookings[item.parkId][date] || 0) + guests;
+            (item.rentals || []).filter(rental => rental.quantity > 0).forEach(rental => {
+                const booked = rentalBookings[item.parkId][rental.id] = rentalBookings[item.parkId][rental.id] || {};
+                booked[date] = (booked[date] || 0) + rental.quantity;
+            });
+        });
+    });
+    saveBookings(bookings);
+    saveRentalBookings(rentalBookings);
+}
+
+/**
+ * Removes the guests and rentals of cancelled items from the ledgers, freeing their spots and rentals.
+ * @param {Array<Object>} items - The order items that were cancelled.
+ */
+function releaseBookings(items) {
+    const bookings = getBookings();
+    const rentalBookings = getRentalBookings();
+    items.forEach(item => {
+        const guests = item.tickets.adults + item.tickets.kids;
+        (item.dates || []).forEach(date => {
+            const booked = (bookings[item.parkId] || {})[date];
+            if (booked !== undefined) bookings[item.parkId][date] = Math.max(0, booked - guests);
+            (item.rentals || []).forEach(rental => {
+                const rented = ((rentalBookings[item.parkId] || {})[rental.id] || {})[date];
+                if (rented !== undefined) rentalBookings[item.parkId][rental.id][date] = Math.max(0, rented - rental.quantity);
+            });
+        });
+    });
+    saveBookings(bookings);
+    saveRentalBookings(rentalBookings);
+}
+
+/**
+ * Gets the number of guests with confirmed bookings for a park on a given day.
+ * @param {string} parkId - The park ID.
+ * @param {string} date - The `YYYY-MM-DD` date.
+ * @returns {number} The confirmed guest count.
+ */
+function getBookedCount(parkId, date) {
+    return (getBookings()[parkId] || {})[date] || 0;
+}
+
+/**
+ * Gets the number of guests currently held in the cart for a park on a given day.
+ * @param {string} parkId - The park ID.
+ * @param {string} date - The `YYYY-MM-DD` date.
+ * @param {string} [excludeItemId] - A cart item to leave out, e.g. the one being edited.
+ * @returns {number} The guest count held in the cart.
+ */
+function getCartGuestCount(parkId, date, excludeItemId) {
+    return getCart().items
+        .filter(item => item.parkId === parkId && item.id !== excludeItemId && (item.dates || []).includes(date))
+        .reduce((total, item) => total + item.tickets.adults + item.tickets.kids, 0);
+}
+
+/**
+ * Gets the spots still open at a park on a given day, after confirmed bookings and the cart.
+ * Days the park is closed have no spots at all.
+ * @param {Object} park - The park data object.
+ * @param {string} date - The `YYYY-MM-DD` date.
+ * @param {string} [excludeItemId] - A cart item to leave out of the count.
+ * @returns {number} The remaining spots (never negative).
+ */
+function getRemainingSpots(park, date, excludeItemId) {
+    if (!isParkOpenOn(park, date)) return 0;
+    return Math.max(0, park.guestLimit - getBookedCount(park.id, date) - getCartGuestCount(park.id, date, excludeItemId));
+}
+
+/**
+ * Gets the spots open across every day of a booking, i.e. the tightest day.
+ * @param {Object} park - The park data object.
+ * @param {Array<string>} dates - The booked dates.
+ * @param {string} [excludeItemId] - A cart item to leave out of the count.
+ * @returns {number} The remaining spots for the whole range.
+ */
+function getRemainingSpotsForDates(park, dates = [], excludeItemId) {
+    if (dates.length === 0) return 0;
+    return Math.min(...dates.map(date => getRemainingSpots(park, date, excludeItemId)));
+}
+
+/**
+ * Lists a park's rentals for a cart item, with the quantity of each that's been picked.
+ * Rentals the park no longer offers are dropped, and prices and names always come from the park.
+ * @param {Object} [park] - The park data object.
+ * @param {Array<{id: string, quantity: number}>} [picked=[]] - The quantities picked so far, by rental ID.
+ * @returns {Array<{id: string, name: string, price: number, quantity: number}>} Every rental the park offers.
+ */
+function getItemRentals(park, picked = []) {
+    return ((park && park.rentals) || []).map(rental => {
+        const quantity = parseInt((picked || []).find(p => p.id === rental.id)?.quantity);
+        return { id: rental.id, name: rental.name, price: rental.price, quantity: quantity > 0 ? quantity : 0 };
+    });
+}
+
+/**
+ * Gets the units of a rental confirmed for a park on a given day.
+ * @param {string} parkId - The park ID.
+ * @param {string} rentalId - The rental ID.
+ * @param {string} date - The `YYYY-MM-DD` date.
+ * @returns {number} The confirmed unit count.
+ */
+function getBookedRentalCount(parkId, rentalId, date) {
+    return ((getRentalBookings()[parkId] || {})[rentalId] || {})[date] || 0;
+}
+
+/**
+ * Gets the units of a rental currently held in the cart for a park on a given day.
+ * @param {string} parkId - The park ID.
+ * @param {string} rentalId - The rental ID.
+ * @param {string} date - The `YYYY-MM-DD` date.
+ * @param {string} [excludeItemId] - A cart item to leave out, e.g. the one being edited.
+ * @returns {number} The unit count held in the cart.
+ */
+function getCartRentalCount(parkId, rentalId, date, excludeItemId) {
+    return getCart().items
+        .filter(item => item.parkId === parkId && item.id !== excludeItemId && (item.dates || []).includes(date))
+        .reduce((total, item) => total + (item.rentals.find(rental => rental.id === rentalId)?.quantity || 0), 0);
+}
+
+/**
+ * Gets the units of a rental still free across every day of a booking, after confirmed rentals and the cart.
+ * @param {Object} park - The park data object.
+ * @param {string} rentalId - The rental ID.
+ * @param {Array<string>} dates - The booked dates.
+ * @param {string} [excludeItemId] - A cart item to leave out of the count.
+ * @returns {number} The units left on the tightest day (never negative), or 0 if the park doesn't offer the rental.
+ */
+function getRemainingRentalsForDates(park, rentalId, dates = [], excludeItemId) {
+    const rental = (park.rentals || []).find(r => r.id === rentalId);
+    if (!rental || dates.length === 0) return 0;
+    return Math.max(0, Math.min(...dates.map(date =>
+        rental.dailyStock - getBookedRentalCount(park.id, rentalId, date) - getCartRentalCount(park.id, rentalId, date, excludeItemId)
+    )));
+}
+
+// --- Hours & Conditions ---
+
+/**
+ * Gets the key a date's weekday has in a park's `hours`, e.g. 'mon'.
+ * @param {string} isoDate - The `YYYY-MM-DD` date.
+ * @returns {string} The weekday key.
+ */
+function getWeekdayKey(isoDate) {
+    return Object.keys(WEEKDAY_LABELS)[parseISODate(isoDate).getDay()];
+}
+
+/**
+ * Finds the scheduled closure covering a day, if any.
+ * @param {Object} park - The park data object.
+ * @param {string} isoDate - The `YYYY-MM-DD` date.
+ * @returns {Object|null} The closure ({from, to, reason, note}), or null.
+ */
+function getParkClosure(park, isoDate) {
+    return (park.closures || []).find(closure => closure.from <= isoDate && isoDate <= closure.to) || null;
+}
+
+/**
+ * Works out whether a park is open on a day, and why not if it isn't. Scheduled closures come first,
+ * then the weekly hours. A 'closed' track condition also closes the park for the rest of today.
+ * @param {Object} park - The park data object.
+ * @param {string} isoDate - The `YYYY-MM-DD` date.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {{date: string, isOpen: boolean, hours: ?{open: string, close: string}, closure: ?Object, reason: ?string}}
+ *   The day's schedule. `hours` is null and `reason` says why when the park is closed.
+ */
+function getParkDaySchedule(park, isoDate, now = new Date()) {
+    const closure = getParkClosure(park, isoDate);
+    const weekday = getWeekdayKey(isoDate);
+    const hours = (park.hours || {})[weekday] || null;
+    let reason = null;
+    if (closure) {
+        reason = CLOSURE_REASON_LABELS[closure.reason] || 'Closed';
+    } else if (!hours) {
+        reason = `Closed ${WEEKDAY_LABELS[weekday]}s`;
+    } else if (isoDate === toISODate(now) && park.condition?.status === 'closed') {
+        reason = 'Closed today';
+    }
+    return { date: isoDate, isOpen: reason === null, hours: reason === null ? hours : null, closure, reason };
+}
+
+/**
+ * Checks whether a park is open on a day.
+ * @param {Object} park - The park data object.
+ * @param {string} isoDate - The `YYYY-MM-DD` date.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} True if riders can book that day.
+ */
+function isParkOpenOn(park, isoDate, now = new Date()) {
+    return getParkDaySchedule(park, isoDate, now).isOpen;
+}
+
+/**
+ * Gets a park's status for today: the track condition it last posted, unless a scheduled closure
+ * or its weekly hours keep it shut today. Race closures show as race day.
+ * @param {Object} park - The park data object.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {{status: string, note: string, updatedAt: ?string, hours: ?{open: string, close: string}}}
+ *   `status` is a TRACK_CONDITION_LABELS key. `updatedAt` is only set when the status is the posted condition.
+ */
+function getParkStatus(park, now = new Date()) {
+    const today = getParkDaySchedule(park, toISODate(now), now);
+    const condition = park.condition || { status: 'open', note: '', updatedAt: null };
+    if (today.closure) {
+        return { status: today.closure.reason === 'race' ? 'race-day' : 'closed', note: today.closure.note || today.reason, updatedAt: null, hours: null };
+    }
+    if (!today.isOpen && condition.status !== 'closed') {
+        return { status: 'closed', note: today.reason, updatedAt: null, hours: null };
+    }
+    return { status: condition.status, note: condition.note, updatedAt: condition.updatedAt, hours: today.hours };
+}
+
+/**
+ * Lists a park's closures that haven't ended yet and start within the next few months, soonest first.
+ * @param {Object} park - The park data object.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Array<Object>} The closures ({from, to, reason, note}).
+ */
+function getUpcomingClosures(park, now = new Date()) {
+    const today = toISODate(now);
+    const horizon = addDays(today, CLOSURE_LOOKAHEAD_DAYS);
+    return (park.closures || [])
+        .filter(closure => closure.to >= today && closure.from <= horizon)
+        .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Formats a 24-hour `HH:MM` time for display, e.g. "8 AM" or "5:30 PM".
+ * @param {string} time - The time.
+ * @returns {string} The formatted time.
+ */
+function formatTimeOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours < 12 ? 'AM' : 'PM';
+    const hour = hours % 12 || 12;
+    return minutes ? `${hour}:${String(minutes).padStart(2, '0')} ${suffix}` : `${hour} ${suffix}`;
+}
+
+/**
+ * Formats a day's opening hours, e.g. "8 AM – 5 PM".
+ * @param {?{open: string, close: string}} hours - The hours, or null when closed.
+ * @returns {string} The formatted hours.
+ */
+function formatOpeningHours(hours) {
+    return hours ? `${formatTimeOfDay(hours.open)} – ${formatTimeOfDay(hours.close)}` : 'Closed';
+}
+
+// --- Geo Helpers ---
+
+/**
+ * Gets the straight-line ("as the crow flies") distance between two points.
+ * @param {{lat: number, lng: number}} from - The first point.
+ * @param {{lat: number, lng: number}} to - The second point.
+ * @returns {number} The distance in miles.
+ */
+function getDistanceMiles(from, to) {
+    const EARTH_RADIUS_MILES = 3958.8;
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Finds the approximate location of a US ZIP code.
+ * @param {string} zip - A five-digit ZIP code.
+ * @returns {Object|undefined} The matching entry of MOCK_ZIP_REGIONS.
+ */
+function findZipRegion(zip) {
+    const match = String(zip || '').trim().match(/^(\d{3})\d{2}(-\d{4})?$/);
+    if (!match) return undefined;
+    return MOCK_ZIP_REGIONS.find(region => match[1] >= region.from && match[1] <= region.to);
+}
+
+/**
+ * Adds the distance from a point to a park, for display and sorting.
+ * @param {Object} park - The park data object.
+ * @param {{lat: number, lng: number}|null} origin - Where the rider is; if missing, the park is returned as is.
+ * @returns {Object} The park, with `distance` in miles when there's an origin.
+ */
+function withDistance(park, origin) {
+    if (!origin) return park;
+    return { ...park, distance: Math.round(getDistanceMiles(origin, park.coordinates)) };
+}
+
+// --- Park Search ---
+
+/**
+ * Counts the edits (insertions, deletions, substitutions or swaps of neighbouring letters)
+ * needed to turn one word into another.
+ * @param {string} a - The first word.
+ * @param {string} b - The second word.
+ * @returns {number} The edit distance.
+ */
+function getEditDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Scores how well one search term matches a park's text, allowing for typos in longer terms.
+ * @param {string} term - A lowercase search term.
+ * @param {string} text - The lowercase text to search.
+ * @returns {number} 2 for an exact match, 1 for a close match, 0 for no match.
+ */
+function scoreSearchTerm(term, text) {
+    if (text.includes(term)) return 2;
+    const allowedEdits = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+    if (allowedEdits === 0) return 0;
+    // Compare against whole words and against word prefixes, so a half-typed word still matches.
+    const isClose = text.split(/[^a-z0-9']+/).some(word =>
+        getEditDistance(term, word) <= allowedEdits ||
+        (word.length > term.length && getEditDistance(term, word.slice(0, term.length)) <= allowedEdits)
+    );
+    return isClose ? 1 : 0;
+}
+
+/**
+ * Filters and sorts parks for the home page. Every search term must match the park's name,
+ * location, state or descriptions, exactly or with a small typo.
+ * @param {Array<Object>} parks - The parks, with their review stats.
+ * @param {Object} [filters] - The search filters.
+ * @param {string} [filters.q=''] - Free-text search.
+ * @param {number} [filters.minRating=0] - The minimum average rating.
+ * @param {?number} [filters.minPrice=null] - The lowest adult day price.
+ * @param {?number} [filters.maxPrice=null] - The highest adult day price.
+ * @param {string} [filters.state=''] - A two-letter state code.
+ * @param {?{lat: number, lng: number}} [filters.origin=null] - Where the rider is. Adds each park's `distance`.
+ * @param {?number} [filters.radius=null] - The furthest distance in miles; needs an origin.
+ * @param {boolean} [filters.openToday=false] - Only parks open today (see isParkOpenOn).
+ * @param {string} [filters.sort='relevance'] - A key of PARK_SORT_OPTIONS. 'distance' needs an origin.
+ * @returns {Array<Object>} The matching parks, in order.
+ */
+function searchParks(parks, { q = '', minRating = 0, minPrice = null, maxPrice = null, state = '', origin = null, radius = null, openToday = false, sort = 'relevance' } = {}) {
+    const today = toISODate(new Date());
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const comparators = {
+        // Exact matches first, then close ones; otherwise keep the featured order.
+        relevance: (a, b) => b.score - a.score,
+        rating: (a, b) => b.park.rating - a.park.rating || b.park.reviewCount - a.park.reviewCount,
+        'price-asc': (a, b) => a.park.price.adult - b.park.price.adult,
+        'price-desc': (a, b) => b.park.price.adult - a.park.price.adult,
+        reviews: (a, b) => b.park.reviewCount - a.park.reviewCount,
+        name: (a, b) => a.park.name.localeCompare(b.park.name),
+        distance: (a, b) => (a.park.distance ?? Infinity) - (b.park.distance ?? Infinity),
+    };
+    return parks
+        .map(park => withDistance(park, origin))
+        .filter(park => park.rating >= minRating)
+        .filter(park => !origin || radius === null || park.distance <= radius)
+        .filter(park => (minPrice === null || park.price.adult >= minPrice) && (maxPrice === null || park.price.adult <= maxPrice))
+        .filter(park => !state || park.state === state)
+        .filter(park => !openToday || isParkOpenOn(park, today))
+        .map(park => {
+            const text = [park.name, park.location, park.state, park.shortDescription, park.description].join(' ').toLowerCase();
+            const scores = terms.map(term => scoreSearchTerm(term, text));
+            return { park, score: scores.reduce((total, score) => total + score, 0), matched: scores.every(score => score > 0) };
+        })
+        .filter(result => result.matched)
+        .sort(comparators[sort] || comparators.relevance)
+        .map(result => result.park);
+}
+
+// --- Order Management ---
+
+/**
+ * Retrieves placed orders from localStorage, oldest first.
+ * @returns {Array<Object>} The orders.
+ */
+function getOrders() {
+    const orders = localStorage.getItem(ORDERS_KEY);
+    return orders ? JSON.parse(orders) : [];
+}
+
+/**
+ * Saves the orders to localStorage.
+ * @param {Array<Object>} orders - The orders to save.
+ */
+function saveOrders(orders) {
+    localStorage.setItem(ORDERS_KEY, JSON.stringify(orders));
+}
+
+/**
+ * Finds a placed order by its ID.
+ * @param {string} orderId - The order ID.
+ * @returns {Object|undefined} The order.
+ */
+function getOrder(orderId) {
+    return getOrders().find(order => order.id === String(orderId));
+}
+
+/** The contact and billing address fields an order is placed with. */
+const ORDER_CONTACT_FIELDS = ['name', 'email', 'phone', 'streetNumber', 'streetName', 'city', 'state', 'zip'];
+
+/**
+ * Checks an order's contact details and billing address.
+ * Checkout and the order API both use this, so they always agree on what's valid.
+ * @param {Object} contact - The submitted contact fields (see ORDER_CONTACT_FIELDS).
+ * @returns {Object<string, string>} Error messages keyed by field; empty if the contact details are valid.
+ */
+function getContactErrors(contact) {
+    const errors = {};
+    const value = (field) => String(contact[field] ?? '').trim();
+
+    if (value('name').length < 2) errors.name = 'Full name is required';
+    if (!isValidEmail(value('email'))) errors.email = 'Invalid email address';
+    if (value('phone').length < 10) errors.phone = 'A valid phone number is required';
+    if (value('streetNumber').length < 1) errors.streetNumber = 'Apt/Suite is required';
+    if (value('streetName').length < 2) errors.streetName = 'Street name is required';
+    if (value('city').length < 2) errors.city = 'City is required';
+    if (value('state').length < 2) errors.state = 'State is required';
+    if (!/^\d{5}(-\d{4})?$/.test(value('zip'))) errors.zip = 'Invalid ZIP code';
+    return errors;
+}
+
+/**
+ * Saves a placed order. Each cart item keeps its priced line, so refunds can be worked out later
+ * from what was actually charged rather than from current prices.
+ * @param {Object} cart - The cart that was checked out.
+ * @param {Object} pricing - Its breakdown from calculateOrderPricing.
+ * @param {Object} details - The order's `contact` details, `payment` (charge ID, card brand and last 4), `idempotencyKey`,
+ *   the `userId` of the signed-in rider (null for guest checkout), and each item's signed `waivers`, keyed by item ID
+ *   (the `waiver` that was signed and its `riders`).
+ * @returns {Object} The new order.
+ */
+function createOrder(cart, pricing, { contact, payment, idempotencyKey, userId = null, waivers = {} }) {
+    const orders = getOrders();
+    let id;
+    do {
+        id = String(Math.floor(100000 + Math.random() * 900000));
+    } while (orders.some(order => order.id === id));
+
+    const order = {
+        id,
+        placedAt: new Date().toISOString(),
+        status: 'confirmed',
+        userId,
+        contact,
+        payment,
+        idempotencyKey,
+        items: cart.items.map((item, i) => ({
+            ...item,
+            line: pricing.lines[i],
+            status: 'active',
+            refund: null,
+            waiver: waivers[item.id] ? waivers[item.id].waiver : null,
+            riders: waivers[item.id] ? waivers[item.id].riders : [],
+        })),
+        pricing,
+        promoCode: pricing.promo && pricing.promo.applied ? pricing.promo.code : null,
+        refundTotal: 0,
+    };
+    orders.push(order);
+    saveOrders(orders);
+    return order;
+}
+
+/**
+ * Cancels items of an order, records their refunds and releases their spots.
+ * The order becomes 'partially-cancelled', or 'cancelled' once no active items remain.
+ * @param {string} orderId - The order ID.
+ * @param {Array<string>} itemIds - The items to cancel. Items that are already cancelled are skipped.
+ * @param {Date} [now=new Date()] - The time of cancellation.
+ * @returns {Object|undefined} The updated order, or undefined if it doesn't exist.
+ */
+function cancelOrderItems(orderId, itemIds, now = new Date()) {
+    const orders = getOrders();
+    const order = orders.find(o => o.id === String(orderId));
+    if (!order) return undefined;
+
+    const cancelled = order.items.filter(item => itemIds.includes(item.id) && item.status === 'active');
+    cancelled.forEach(item => {
+        const refund = calculateRefund(item.line, item.dates[0], now);
+        item.status = 'cancelled';
+        item.refund = { amount: refund.amount, percent: refund.percent, label: refund.label, cancelledAt: now.toISOString() };
+    });
+    releaseBookings(cancelled);
+
+    order.refundTotal = roundCents(order.items.reduce((total, item) => total + (item.refund ? item.refund.amount : 0), 0));
+    const cancelledCount = order.items.filter(item => item.status === 'cancelled').length;
+    order.status = cancelledCount === 0 ? 'confirmed' : cancelledCount === order.items.length ? 'cancelled' : 'partially-cancelled';
+    saveOrders(orders);
+    return order;
+}
+
+// --- Riders & Waivers ---
+
+/**
+ * Gets a park's liability waiver, along with the ages each ticket type covers there.
+ * @param {Object} park - The park data object.
+ * @returns {{parkId: string, parkName: string, version: string, title: string, clauses: Array<string>, ageRanges: Object}}
+ *   The waiver. `ageRanges` maps each ticket type to its `{min, max}` ages (see getTicketAgeRange).
+ */
+function getParkWaiver(park) {
+    const waiver = MOCK_WAIVERS[park.id] || { version: 'standard', clauses: [] };
+    return {
+        parkId: park.id,
+        parkName: park.name,
+        version: waiver.version,
+        title: `${park.name} Release of Liability`,
+        clauses: [...MOCK_WAIVER_CLAUSES, ...waiver.clauses],
+        ageRanges: { adult: getTicketAgeRange(park, 'adult'), kid: getTicketAgeRange(park, 'kid') },
+    };
+}
+
+/**
+ * Gets the ages a ticket type covers at a park, on the first ride day. Kid tickets start at the park's minimum age.
+ * @param {Object} park - The park data object.
+ * @param {'adult'|'kid'} ticket - The ticket type.
+ * @returns {{min: number, max: ?number}} The youngest and oldest ages allowed (inclusive); `max` is null for no limit.
+ */
+function getTicketAgeRange(park, ticket) {
+    return ticket === 'kid'
+        ? { min: park.minRiderAge || 0, max: ADULT_TICKET_MIN_AGE - 1 }
+        : { min: Math.max(ADULT_TICKET_MIN_AGE, park.minRiderAge || 0), max: null };
+}
+
+/**
+ * Formats an age range for display, e.g. "6-15" or "16+".
+ * @param {{min: number, max: ?number}} range - The range.
+ * @returns {string} The formatted range.
+ */
+function formatAgeRange({ min, max }) {
+    return max === null ? `${min}+` : `${min}-${max}`;
+}
+
+/**
+ * Checks that a string is a real `YYYY-MM-DD` date (so no February 30th).
+ * @param {string} isoDate - The date string.
+ * @returns {boolean} True if it's a valid date.
+ */
+function isValidISODate(isoDate) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(isoDate)) && toISODate(parseISODate(isoDate)) === isoDate;
+}
+
+/**
+ * Works out someone's age in whole years on a given day.
+ * @param {string} dateOfBirth - Their `YYYY-MM-DD` date of birth.
+ * @param {string} isoDate - The day to work out their age on.
+ * @returns {number} Their age.
+ */
+function getAgeOn(dateOfBirth, isoDate) {
+    const born = parseISODate(dateOfBirth);
+    const on = parseISODate(isoDate);
+    const hadBirthday = on.getMonth() > born.getMonth() || (on.getMonth() === born.getMonth() && on.getDate() >= born.getDate());
+    return on.getFullYear() - born.getFullYear() - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Lists the riders a cart item needs details for: one per ticket, adults first.
+ * @param {Object} item - The cart or order item.
+ * @returns {Array<'adult'|'kid'>} The ticket type of each rider.
+ */
+function getRiderTickets(item) {
+    return [...Array(item.tickets.adults).fill('adult'), ...Array(item.tickets.kids).fill('kid')];
+}
+
+/**
+ * Checks whether a rider's waiver must be signed by a parent or guardian. Kid tickets always are;
+ * adult tickets are when the rider is under WAIVER_ADULT_AGE on the first ride day.
+ * @param {'adult'|'kid'} ticket - The rider's ticket type.
+ * @param {string} dateOfBirth - Their `YYYY-MM-DD` date of birth, if entered yet.
+ * @param {string} rideDate - The first ride day.
+ * @returns {boolean} True if a guardian signs.
+ */
+function needsGuardianSignature(ticket, dateOfBirth, rideDate) {
+    if (ticket === 'kid') return true;
+    return isValidISODate(dateOfBirth) && getAgeOn(dateOfBirth, rideDate) < WAIVER_ADULT_AGE;
+}
+
+/**
+ * Checks one rider's details and waiver signature against their ticket and the park's age rules.
+ * Checkout and the order API both use this, so they always agree on what's valid.
+ * A signature is the signer's full name typed out: the rider's own, or their guardian's if they're a minor.
+ * @param {Object} rider - The submitted `name`, `dateOfBirth`, `experience`, `guardianName`, `signature` and `agreed`.
+ * @param {Object} context - The rider's `ticket` type, the park's `waiver` (from getParkWaiver) and the first `rideDate`.
+ * @param {Date} [now=new Date()] - The current time, so dates of birth can't be in the future.
+ * @returns {Object<string, string>} Error messages keyed by field; empty if the rider is valid.
+ */
+function getRiderErrors(rider, { ticket, waiver, rideDate }, now = new Date()) {
+    const errors = {};
+    const normalizeName = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+    const name = normalizeName(rider.name);
+    const guardianName = normalizeName(rider.guardianName);
+    const signature = normalizeName(rider.signature);
+
+    if (name.length < 2) errors.name = "The rider's full name is required";
+
+    const dateOfBirth = String(rider.dateOfBirth ?? '');
+    if (!isValidISODate(dateOfBirth) || dateOfBirth > toISODate(now)) {
+        errors.dateOfBirth = 'A valid date of birth is required';
+    } else {
+        const age = getAgeOn(dateOfBirth, rideDate);
+        const range = waiver.ageRanges[ticket];
+        if (age < waiver.ageRanges.kid.min) {
+            errors.dateOfBirth = `Riders must be at least ${waiver.ageRanges.kid.min} to ride at ${waiver.parkName}`;
+        } else if (age < range.min || (range.max !== null && age > range.max)) {
+            errors.dateOfBirth = `${RIDER_TICKET_LABELS[ticket]} tickets are for ages ${formatAgeRange(range)} on the first ride day`;
+        }
+    }
+
+    if (!RIDER_EXPERIENCE_LEVELS[rider.experience]) errors.experience = 'Choose an experience level';
+
+    const isMinor = needsGuardianSignature(ticket, dateOfBirth, rideDate);
+    if (isMinor && guardianName.length < 2) {
+        errors.guardianName = "A parent or guardian's full name is required";
+    } else if (isMinor && guardianName === name) {
+        errors.guardianName = `A parent or guardian must sign for riders under ${WAIVER_ADULT_AGE}`;
+    }
+    const signer = isMinor ? guardianName : name;
+    if (!signature) {
+        errors.signature = isMinor ? "The parent or guardian must type their full name to sign" : 'Type your full name to sign';
+    } else if (signer && signature !== signer) {
+        errors.signature = `The signature must match the ${isMinor ? "parent or guardian's" : "rider's"} full name`;
+    }
+    if (rider.agreed !== true && rider.agreed !== 'true') errors.agreed = 'The waiver must be agreed to';
+    return errors;
+}
+
+// --- Calendar & Tickets ---
+
+/**
+ * Escapes a value for an iCalendar TEXT property (RFC 5545, section 3.3.11).
+ * @param {*} value - The value.
+ * @returns {string} The escaped text.
+ */
+function escapeICSText(value) {
+    return String(value ?? '').replace(/[\\;,]/g, char => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line so no line is longer than 75 octets (RFC 5545, section 3.1).
+ * Continuation lines start with a space, and characters are never split across lines.
+ * @param {string} line - The unfolded line.
+ * @returns {string} The folded line, joined with CRLF.
+ */
+function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines give up one octet to their leading space.
+        if (octets + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a Date as an iCalendar UTC timestamp, e.g. "20261019T153000Z".
+ * @param {Date} date - The date to format.
+ * @returns {string} The timestamp.
+ */
+function formatICSTimestamp(date) {
+    return date.toISOString().replace(/\.\d{3}/, '').replace(/[-:]/g, '');
+}
+
+/**
+ * Formats ticket counts for display, e.g. "2 Adults, 1 Kid".
+ * @param {{adults: number, kids: number}} tickets - The ticket counts.
+ * @returns {string} The formatted counts.
+ */
+function formatTicketCounts({ adults, kids }) {
+    return [
+        adults > 0 ? `${adults} ${adults === 1 ? 'Adult' : 'Adults'}` : '',
+        kids > 0 ? `${kids} ${kids === 1 ? 'Kid' : 'Kids'}` : '',
+    ].filter(Boolean).join(', ');
+}
+
+/**
+ * Creates an iCalendar (.ics) file for an order: one all-day event per active booking, spanning its ride days,
+ * with the park's location, the tickets and rentals booked, and the opening hours on each day.
+ * Events are keyed by order item, so importing the file again after a cancellation updates them.
+ * @param {Object} order - The order.
+ * @param {Object<string, {park: Object, schedule: Object}>} [parks={}] - Each booked park and its schedule over the
+ *   ride days, keyed by park ID, as from loadOrderCalendarParks. Bookings at a park that's missing leave out its location and hours.
+ * @param {Date} [now=new Date()] - The current time, stamped on each event.
+ * @returns {string} The calendar, with CRLF line endings.
+ */
+function createOrderCalendar(order, parks = {}, now = new Date()) {
+    const events = order.items.filter(item => item.status === 'active').map(item => {
+        const { park, schedule } = parks[item.parkId] || {};
+        const description = [
+            `Order #${order.id}`,
+            `Tickets: ${formatTicketCounts(item.tickets)}`,
+            ...(item.line.rentals || []).map(rental => `Rental: ${rental.quantity} × ${rental.name}`),
+            ...(schedule ? item.dates.map(date => `${formatDateRange([date])}: ${formatOpeningHours(schedule[date]?.hours)}`) : []),
+        ].join('\n');
+        return [
+            'BEGIN:VEVENT',
+            `UID:${item.id}@ridefinder`,
+            `DTSTAMP:${formatICSTimestamp(now)}`,
+            `DTSTART;VALUE=DATE:${item.dates[0].replace(/-/g, '')}`,
+            // All-day events end on the day after the last ride day.
+            `DTEND;VALUE=DATE:${addDays(item.dates[item.dates.length - 1], 1).replace(/-/g, '')}`,
+            `SUMMARY:${escapeICSText(`Riding at ${item.parkName}`)}`,
+            ...(park ? [
+                `LOCATION:${escapeICSText(`${park.name}, ${park.location}`)}`,
+                `GEO:${park.coordinates.lat};${park.coordinates.lng}`,
+            ] : []),
+            `DESCRIPTION:${escapeICSText(description)}`,
+            'STATUS:CONFIRMED',
+            'TRANSP:TRANSPARENT',
+            'END:VEVENT',
+        ];
+    });
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Loads the parks an order's active bookings are at, with each park's schedule across its ride days, for createOrderCalendar.
+ * A park that can't be loaded (retired since, or offline with nothing cached) is left out.
+ * @param {Object} order - The order.
+ * @returns {Promise<Object<string, {park: Object, schedule: Object}>>} The parks and schedules, keyed by park ID.
+ */
+async function loadOrderCalendarParks(order) {
+    const items = order.items.filter(item => item.status === 'active');
+    const entries = await Promise.all([...new Set(items.map(item => item.parkId))].map(async parkId => {
+        const bookings = items.filter(item => item.parkId === parkId);
+        try {
+            // API CALL: fetch the park and its opening hours on each booking's ride days
+            // (a booking at a time, since bookings at one park can be months apart)
+            const [park, ...schedules] = await Promise.all([
+                parksApi.get(parkId),
+                ...bookings.map(item => parksApi.getSchedule(parkId, { from: item.dates[0], to: item.dates[item.dates.length - 1] })),
+            ]);
+            return [parkId, { park, schedule: Object.assign({}, ...schedules) }];
+        } catch (error) {
+            return [parkId, null];
+        }
+    }));
+    return Object.fromEntries(entries.filter(([, details]) => details));
+}
+
+/**
+ * Downloads an order's calendar file, e.g. from an "Add to Calendar" button.
+ * @param {Object} order - The order.
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+async function downloadOrderCalendar(order) {
+    const parks = await loadOrderCalendarParks(order);
+    downloadFile(`ridefinder-order-${order.id}.ics`, createOrderCalendar(order, parks), 'text/calendar;charset=utf-8');
+}
+
+/**
+ * Lists the gate tickets on an order: one per ticket on each active booking, matched to its rider.
+ * Each ticket's `code` is what its QR code encodes, `RIDEFINDER|<order ID>|<ticket ID>`,
+ * so the gate can look up the order and check the ticket off.
+ * @param {Object} order - The order.
+ * @returns {Array<{id: string, item: Object, ticket: 'adult'|'kid', rider: ?Object, code: string}>} The tickets.
+ */
+function getOrderTickets(order) {
+    return order.items.filter(item => item.status === 'active').flatMap(item => getRiderTickets(item).map((ticket, i) => {
+        const id = `${item.id}-${i + 1}`;
+        return { id, item, ticket, rider: (item.riders && item.riders[i]) || null, code: `${TICKET_CODE_PREFIX}|${order.id}|${id}` };
+    }));
+}
+
+// --- Admin Reports ---
+
+/**
+ * Lists every booking (order item) across all orders, newest order first, for the admin console.
+ * @param {Object} [filters] - Which bookings to list.
+ * @param {string} [filters.parkId] - Only this park's bookings.
+ * @param {string} [filters.from] - With `to`, only bookings in this `YYYY-MM-DD` range (inclusive).
+ * @param {string} [filters.to] - The end of the range.
+ * @param {'ride'|'placed'} [filters.by='ride'] - Whether the range applies to the ride days or the day the order was placed.
+ * @returns {Array<Object>} One flat record per booking, with the order's contact details and the booking's money.
+ */
+function getBookingRecords({ parkId = '', from = '', to = '', by = 'ride' } = {}) {
+    const inRange = (date) => (!from || date >= from) && (!to || date <= to);
+    return getOrders()
+        .flatMap(order => order.items.map(item => ({
+            orderId: order.id,
+            placedAt: order.placedAt,
+            itemId: item.id,
+            status: item.status,
+            parkId: item.parkId,
+            parkName: item.parkName,
+            dates: item.dates,
+            days: item.days,
+            adults: item.tickets.adults,
+            kids: item.tickets.kids,
+            rentals: item.line.rentals || [],
+            base: item.line.base,
+            discount: roundCents(item.line.base - (item.line.total - item.line.tax)),
+            tax: item.line.tax,
+            total: item.line.total,
+            refund: item.refund ? item.refund.amount : 0,
+            contact: { name: order.contact.name, email: order.contact.email, phone: order.contact.phone },
+        })))
+        .filter(record => !parkId || record.parkId === parkId)
+        .filter(record => by === 'placed' ? inRange(toISODate(new Date(record.placedAt))) : record.dates.some(inRange))
+        .sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+}
+
+/**
+ * Works out a park's occupancy for each day in a range: guests booked against its guest limit.
+ * @param {Object} park - The park data object.
+ * @param {string} from - The first `YYYY-MM-DD` day.
+ * @param {string} to - The last day (inclusive).
+ * @returns {Array<{date: string, guests: number, capacity: number, occupancy: number, isOpen: boolean, reason: ?string, bookings: Array<Object>}>}
+ *   The days, with `occupancy` as a fraction of capacity and the active bookings riding that day.
+ */
+function getParkOccupancy(park, from, to) {
+    const records = getBookingRecords({ parkId: park.id, from, to }).filter(record => record.status === 'active');
+    const days = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const guests = getBookedCount(park.id, date);
+        const { isOpen, reason } = getParkDaySchedule(park, date);
+        days.push({
+            date,
+            guests,
+            capacity: park.guestLimit,
+            occupancy: park.guestLimit > 0 ? guests / park.guestLimit : 0,
+            isOpen,
+            reason,
+            bookings: records.filter(record => record.dates.includes(date)),
+        });
+    }
+    return days;
+}
+
+/**
+ * Totals up revenue for orders placed in a date range, per park and overall. Refunds are subtracted
+ * from the park they were for, and `net` is what was kept after refunds (tax included).
+ * @param {string} from - The first `YYYY-MM-DD` day orders were placed on.
+ * @param {string} to - The last day (inclusive).
+ * @returns {{from: string, to: string, orderCount: number, parks: Array<Object>, totals: Object}} The report; each park
+ *   and the totals have `bookings`, `guests`, `gross` (before discounts), `discount`, `tax`, `total`, `refund` and `net`.
+ */
+function getRevenueReport(from, to) {
+    const records = getBookingRecords({ from, to, by: 'placed' });
+    const fields = ['bookings', 'guests', 'gross', 'discount', 'tax', 'total', 'refund', 'net'];
+    const emptyRow = () => Object.fromEntries(fields.map(field => [field, 0]));
+    const add = (row, record) => {
+        row.bookings += 1;
+        row.guests += record.adults + record.kids;
+        row.gross = roundCents(row.gross + record.base);
+        row.discount = roundCents(row.discount + record.discount);
+        row.tax = roundCents(row.tax + record.tax);
+        row.total = roundCents(row.total + record.total);
+        row.refund = roundCents(row.refund + record.refund);
+        row.net = roundCents(row.total - row.refund);
+    };
+    const byPark = {};
+    const totals = emptyRow();
+    records.forEach(record => {
+        byPark[record.parkId] = byPark[record.parkId] || { parkId: record.parkId, parkName: record.parkName, ...emptyRow() };
+        add(byPark[record.parkId], record);
+        add(totals, record);
+    });
+    return {
+        from,
+        to,
+        orderCount: new Set(records.map(record => record.orderId)).size,
+        parks: Object.values(byPark).sort((a, b) => b.net - a.net),
+        totals,
+    };
+}
+
+/**
+ * Formats one CSV field (RFC 4180): quoted when it holds a comma, quote or line break. Text that a
+ * spreadsheet would run as a formula is prefixed with an apostrophe, since rider names end up here.
+ * @param {*} value - The value.
+ * @returns {string} The CSV field.
+ */
+function toCSVField(value) {
+    let text = String(value ?? '');
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Creates a CSV file of bookings, one row per booking, for spreadsheets and accounting.
+ * @param {Array<Object>} records - The bookings, from getBookingRecords.
+ * @returns {string} The CSV, with a header row and CRLF line endings.
+ */
+function createBookingsCSV(records) {
+    const columns = {
+        'Order': record => record.orderId,
+        'Placed At': record => record.placedAt,
+        'Status': record => record.status,
+        'Park': record => record.parkName,
+        'First Day': record => record.dates[0],
+        'Last Day': record => record.dates[record.dates.length - 1],
+        'Days': record => record.days,
+        'Adults': record => record.adults,
+        'Kids': record => record.kids,
+        'Rentals': record => record.rentals.map(rental => `${rental.quantity} x ${rental.name}`).join('; '),
+        'Gross': record => record.base.toFixed(2),
+        'Discount': record => record.discount.toFixed(2),
+        'Tax': record => record.tax.toFixed(2),
+        'Total': record => record.total.toFixed(2),
+        'Refund': record => record.refund.toFixed(2),
+        'Contact Name': record => record.contact.name,
+        'Contact Email': record => record.contact.email,
+        'Contact Phone': record => record.contact.phone,
+    };
+    const rows = [Object.keys(columns), ...records.map(record => Object.values(columns).map(column => column(record)))];
+    return rows.map(row => row.map(toCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+// --- Review Management ---
+
+/**
+ * Retrieves the reviews riders have submitted from localStorage.
+ * @returns {Array<Object>} The submitted reviews.
+ */
+function getStoredReviews() {
+    const reviews = localStorage.getItem(REVIEWS_KEY);
+    return reviews ? JSON.parse(reviews) : [];
+}
+
+/**
+ * Saves the submitted reviews to localStorage.
+ * @param {Array<Object>} reviews - The submitted reviews to save.
+ */
+function saveStoredReviews(reviews) {
+    localStorage.setItem(REVIEWS_KEY, JSON.stringify(reviews));
+}
+
+/**
+ * Gets every review, seeded and submitted, with its moderation status, votes, reports and reply.
+ * @returns {Array<Object>} The reviews (see withReviewModeration).
+ */
+function getAllReviews() {
+    const records = getReviewModerationRecords();
+    return [...MOCK_REVIEWS, ...getStoredReviews()].map(review => withReviewModeration(review, records[review.id]));
+}
+
+/**
+ * Finds any review, seeded or submitted.
+ * @param {string} reviewId - The review ID.
+ * @returns {Object|undefined} The review, with its moderation details.
+ */
+function getReview(reviewId) {
+    return getAllReviews().find(review => review.id === reviewId);
+}
+
+/**
+ * Gets a park's published reviews, seeded and submitted, newest first.
+ * @param {string} parkId - The park ID.
+ * @param {?string} [authorId=null] - Also include this rider's own held or rejected reviews, so they can see where they stand.
+ * @returns {Array<Object>} The park's reviews.
+ */
+function getReviewsForPark(parkId, authorId = null) {
+    return getAllReviews()
+        .filter(review => review.parkId === parkId && (review.status === 'published' || (authorId && review.author.id === authorId)))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Summarizes a set of reviews: the average rating, the count, and how many reviews gave each star level.
+ * @param {Array<Object>} reviews - The reviews to summarize.
+ * @returns {{average: number, count: number, distribution: Object<number, number>}} The rating summary.
+ */
+function getRatingSummary(reviews) {
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    reviews.forEach(review => distribution[review.rating] += 1);
+    const average = reviews.length ? reviews.reduce((total, review) => total + review.rating, 0) / reviews.length : 0;
+    return { average: Math.round(average * 10) / 10, count: reviews.length, distribution };
+}
+
+/**
+ * Returns a copy of a park with its `rating` and `reviewCount` computed from its reviews.
+ * @param {Object} park - The park data object.
+ * @returns {Object} The park with up-to-date review stats.
+ */
+function withReviewStats(park) {
+    const { average, count } = getRatingSummary(getReviewsForPark(park.id));
+    return { ...park, rating: average, reviewCount: count };
+}
+
+/**
+ * Filters and sorts reviews for the Reviews page.
+ * @param {Array<Object>} reviews - The reviews to browse.
+ * @param {Object} options - The browsing options.
+ * @param {string} [options.sort='newest'] - A key of REVIEW_SORT_OPTIONS.
+ * @param {Array<number>} [options.stars=[]] - Star levels to keep; empty keeps all.
+ * @param {string} [options.q=''] - Keywords that must all appear in the title or body.
+ * @returns {Array<Object>} The matching reviews, sorted.
+ */
+function filterAndSortReviews(reviews, { sort = 'newest', stars = [], q = '' } = {}) {
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const comparators = {
+        newest: byNewest,
+        oldest: (a, b) => -byNewest(a, b),
+        highest: (a, b) => b.rating - a.rating || byNewest(a, b),
+        lowest: (a, b) => a.rating - b.rating || byNewest(a, b),
+        helpful: (a, b) => (b.helpfulCount || 0) - (a.helpfulCount || 0) || byNewest(a, b),
+    };
+    return reviews
+        .filter(review => stars.length === 0 || stars.includes(review.rating))
+        .filter(review => terms.every(term => `${review.title} ${review.body}`.toLowerCase().includes(term)))
+        .sort(comparators[sort] || byNewest);
+}
+
+/**
+ * Saves a new review.
+ * @param {Object} review - The review: `parkId`, `author` ({id, name, isAnonymous}), `rating`, `title` and `body`.
+ * @returns {Object} The stored review, with its `id` and `createdAt` timestamp.
+ */
+function addReview(review) {
+    const reviews = getStoredReviews();
+    const storedReview = {
+        ...review,
+        id: `rev-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        createdAt: new Date().toISOString(),
+    };
+    reviews.push(storedReview);
+    saveStoredReviews(reviews);
+    return storedReview;
+}
+
+/**
+ * Finds a review riders have submitted (seeded reviews can't be edited).
+ * @param {string} reviewId - The review ID.
+ * @returns {Object|undefined} The review.
+ */
+function getStoredReview(reviewId) {
+    return getStoredReviews().find(review => review.id === reviewId);
+}
+
+/**
+ * Applies changes to a submitted review and stamps it as updated.
+ * @param {string} reviewId - The review ID.
+ * @param {Object} changes - The fields to change, e.g. `rating`, `title`, `body` or `author`.
+ * @returns {Object|undefined} The updated review, or undefined if it doesn't exist.
+ */
+function updateReview(reviewId, changes) {
+    const reviews = getStoredReviews();
+    const index = reviews.findIndex(review => review.id === reviewId);
+    if (index === -1) return undefined;
+    reviews[index] = { ...reviews[index], ...changes, updatedAt: new Date().toISOString() };
+    saveStoredReviews(reviews);
+    return reviews[index];
+}
+
+/**
+ * Deletes a submitted review.
+ * @param {string} reviewId - The review ID.
+ */
+function deleteReview(reviewId) {
+    saveStoredReviews(getStoredReviews().filter(review => review.id !== reviewId));
+    const records = getReviewModerationRecords();
+    delete records[reviewId];
+    saveReviewModerationRecords(records);
+}
+
+// --- Review Moderation ---
+
+/**
+ * Retrieves each review's moderation record from localStorage, keyed by review ID. Records hold the review's
+ * `status` and screening `flags`, riders' `reports` and `helpfulVoters`, the moderator's last `decision` and
+ * the park's `reply`. Seeded reviews get records too, so riders can vote on and report them.
+ * @returns {Object<string, Object>} The records.
+ */
+function getReviewModerationRecords() {
+    const records = localStorage.getItem(REVIEW_MODERATION_KEY);
+    return records ? JSON.parse(records) : {};
+}
+
+/**
+ * Saves the moderation records to localStorage.
+ * @param {Object<string, Object>} records - The records, keyed by review ID.
+ */
+function saveReviewModerationRecords(records) {
+    localStorage.setItem(REVIEW_MODERATION_KEY, JSON.stringify(records));
+}
+
+/**
+ * Applies changes to a review's moderation record.
+ * @param {string} reviewId - The review ID.
+ * @param {Object} changes - The fields to change.
+ * @returns {Object|undefined} The review with its updated moderation details, or undefined if it doesn't exist.
+ */
+function updateReviewModeration(reviewId, changes) {
+    const records = getReviewModerationRecords();
+    records[reviewId] = { ...records[reviewId], ...changes };
+    saveReviewModerationRecords(records);
+    return getReview(reviewId);
+}
+
+/**
+ * Combines a review with its moderation record. Reviews without one are published, with no votes or reports.
+ * A seeded review's `helpfulCount` is its starting tally; riders' votes are added to it.
+ * @param {Object} review - The review.
+ * @param {Object} [record={}] - Its moderation record.
+ * @returns {Object} The review, with `status`, `flags`, `reports`, `helpfulVoters`, `helpfulCount`, `decision` and `reply`.
+ */
+function withReviewModeration(review, record = {}) {
+    const helpfulVoters = record.helpfulVoters || [];
+    return {
+        ...review,
+        status: record.status || 'published',
+        flags: record.flags || [],
+        reports: record.reports || [],
+        helpfulVoters,
+        helpfulCount: (review.helpfulCount || 0) + helpfulVoters.length,
+        decision: record.decision || null,
+        reply: record.reply || null,
+    };
+}
+
+/**
+ * Screens a review for anything that should keep it from being published straight away:
+ * profanity, links, text copied from another review, and a rider posting several reviews in quick succession.
+ * @param {Object} review - The review: its `id` (if saved), `author`, `title` and `body`.
+ * @param {Array<Object>} reviews - Every review, to check for duplicates and repeat posting.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Array<string>} The keys of REVIEW_FLAG_LABELS that apply; empty if the review is clean.
+ */
+function screenReview({ id, author, title, body }, reviews, now = new Date()) {
+    const text = `${title} ${body}`;
+    const normalize = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const others = reviews.filter(review => review.id !== id);
+    const flags = [];
+    if ((text.toLowerCase().match(/[a-z]+/g) || []).some(word => REVIEW_BLOCKED_WORDS.includes(word))) flags.push('profanity');
+    if (/\b(?:https?:\/\/|www\.)|\b[a-z0-9-]+\.(?:com|net|org|io|co|us|biz|info|xyz|ru)\b/i.test(text)) flags.push('link');
+    if (others.some(review => normalize(review.body) === normalize(body))) flags.push('duplicate');
+    const windowStart = now.getTime() - REVIEW_RATE_LIMIT.minutes * 60 * 1000;
+    const recent = others.filter(review => review.author.id === author.id && new Date(review.createdAt).getTime() > windowStart);
+    if (recent.length >= REVIEW_RATE_LIMIT.count) flags.push('rapid-posting');
+    return flags;
+}
+
+/**
+ * Screens a new or edited review and publishes it if it's clean, or holds it for moderation if not.
+ * Editing can't get around a moderator or riders: rejected and reported reviews stay held until a moderator decides.
+ * @param {string} reviewId - The saved review's ID.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object} The review, with its moderation details.
+ */
+function applyReviewScreening(reviewId, now = new Date()) {
+    const reviews = getAllReviews();
+    const review = reviews.find(r => r.id === reviewId);
+    const flags = screenReview(review, reviews, now);
+    if (review.flags.includes('reported')) flags.push('reported');
+    const status = flags.length > 0 || review.status === 'rejected' ? 'pending' : 'published';
+    return updateReviewModeration(reviewId, { status, flags });
+}
+
+/**
+ * Records or withdraws a rider's "Helpful" vote on a review. Each rider has one vote per review.
+ * @param {string} reviewId - The review ID.
+ * @param {string} userId - The voting rider's user ID.
+ * @param {boolean} isHelpful - True to vote, false to withdraw the vote.
+ * @returns {Object} The review, with its moderation details.
+ */
+function setHelpfulVote(reviewId, userId, isHelpful) {
+    const voters = getReview(reviewId).helpfulVoters.filter(id => id !== userId);
+    return updateReviewModeration(reviewId, { helpfulVoters: isHelpful ? [...voters, userId] : voters });
+}
+
+/**
+ * Records a rider's report on a review. Once REVIEW_REPORTS_TO_HIDE riders have reported a published review,
+ * it's held until a moderator looks at it.
+ * @param {string} reviewId - The review ID.
+ * @param {{userId: string, reason: string, note: string}} report - The report; `reason` is a key of REVIEW_REPORT_REASONS.
+ * @param {Date} [now=new Date()] - The time of the report.
+ * @returns {Object} The review, with its moderation details.
+ */
+function addReviewReport(reviewId, report, now = new Date()) {
+    const review = getReview(reviewId);
+    const reports = [...review.reports, { ...report, createdAt: now.toISOString() }];
+    const changes = { reports };
+    if (review.status === 'published' && reports.length >= REVIEW_REPORTS_TO_HIDE) {
+        Object.assign(changes, { status: 'pending', flags: [...review.flags, 'reported'] });
+    }
+    return updateReviewModeration(reviewId, changes);
+}
+
+/**
+ * Approves or rejects a review. Approving publishes it and clears its flags and reports;
+ * rejecting hides it from everyone but its author, and keeps the reports on record.
+ * @param {string} reviewId - The review ID.
+ * @param {'approve'|'reject'} action - The decision.
+ * @param {{moderatorId: string, note: string}} decision - Who decided, and an optional note for the record.
+ * @param {Date} [now=new Date()] - The time of the decision.
+ * @returns {Object} The review, with its moderation details.
+ */
+function moderateReview(reviewId, action, { moderatorId, note = '' }, now = new Date()) {
+    const status = action === 'approve' ? 'published' : 'rejected';
+    const decision = { status, moderatorId, note, decidedAt: now.toISOString() };
+    return updateReviewModeration(reviewId, action === 'approve' ? { status, flags: [], reports: [], decision } : { status, decision });
+}
+
+/**
+ * Sets or removes the park's public reply to a review.
+ * @param {string} reviewId - The review ID.
+ * @param {string} body - The reply; blank removes it.
+ * @param {Date} [now=new Date()] - The time of the reply.
+ * @returns {Object} The review, with its moderation details.
+ */
+function setReviewReply(reviewId, body, now = new Date()) {
+    return updateReviewModeration(reviewId, { reply: body ? { body, repliedAt: now.toISOString() } : null });
+}
+
+/**
+ * Lists reviews for the moderation page. The 'queue' holds reviews awaiting a decision and published reviews
+ * riders have reported, oldest first, so nothing waits too long.
+ * @param {'queue'|'published'|'rejected'} [filter='queue'] - A key of MODERATION_FILTERS.
+ * @returns {Array<Object>} The reviews, with their moderation details.
+ */
+function getModerationReviews(filter = 'queue') {
+    const byOldest = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+    if (filter === 'published' || filter === 'rejected') {
+        return getAllReviews().filter(review => review.status === filter).sort((a, b) => byOldest(b, a));
+    }
+    return getAllReviews().filter(review => review.status === 'pending' || (review.status === 'published' && review.reports.length > 0)).sort(byOldest);
+}
+
+// --- Roles ---
+
+/**
+ * Gets an account's role, as stored on the account by the auth provider. Anything unrecognized counts as a rider.
+ * @param {{role: (string|undefined)}} user - The user.
+ * @returns {string} One of USER_ROLES.
+ */
+function getUserRole(user) {
+    return USER_ROLES.includes(user.role) ? user.role : 'rider';
+}
+
+/**
+ * Checks whether a role can do what another role can.
+ * @param {string} role - The role to check, e.g. the signed-in user's.
+ * @param {string} required - The role needed.
+ * @returns {boolean} True if `role` is `required` or above it in USER_ROLES.
+ */
+function hasRole(role, required) {
+    return USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(required);
+}
+
+// --- Profiles ---
+
+/**
+ * Retrieves every account's profile from localStorage, keyed by user ID.
+ * @returns {Object<string, Object>} The profiles.
+ */
+function getProfiles() {
+    const profiles = localStorage.getItem(PROFILES_KEY);
+    return profiles ? JSON.parse(profiles) : {};
+}
+
+/**
+ * Gets an account's profile.
+ * @param {string} userId - The user ID.
+ * @returns {{displayName: string, contact: Object, addresses: Array<Object>, defaultAddressId: ?string}} The profile;
+ *   a blank one if the account has none yet.
+ */
+function getProfile(userId) {
+    return getProfiles()[userId] || { displayName: '', contact: { name: '', email: '', phone: '' }, addresses: [], defaultAddressId: null };
+}
+
+/**
+ * Saves an account's profile.
+ * @param {string} userId - The user ID.
+ * @param {Object} profile - The profile to save.
+ */
+function saveProfile(userId, profile) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify({ ...getProfiles(), [userId]: profile }));
+}
+
+/**
+ * Gets the address checkout should start with: the default one, else the first.
+ * @param {Object} profile - The profile.
+ * @returns {Object|null} The address, or null if none are saved.
+ */
+function getDefaultAddress(profile) {
+    return profile.addresses.find(address => address.id === profile.defaultAddressId) || profile.addresses[0] || null;
+}
+
+// --- Session ---
+
+/**
+ * Gets this browser's session, as returned by signing in. Expired sessions are cleared.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {{token: string, expiresAt: string, user: {id: string, email: string, displayName: string}}|null} The session.
+ */
+function getSession(now = new Date()) {
+    const saved = localStorage.getItem(SESSION_KEY);
+    const session = saved ? JSON.parse(saved) : null;
+    if (session && new Date(session.expiresAt) <= now) {
+        clearSession();
+        return null;
+    }
+    return session;
+}
+
+/**
+ * Saves the session after signing in or up.
+ * @param {Object} session - The session from authApi.
+ */
+function saveSession(session) {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+/**
+ * Forgets the session, signing this browser out.
+ */
+function clearSession() {
+    localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Gets the signed-in rider.
+ * @returns {{id: string, email: string, displayName: string}|null} The user, or null when signed out.
+ */
+function getSignedInUser() {
+    const session = getSession();
+    return session ? session.user : null;
+}
+
+/**
+ * Updates the signed-in rider's details in the saved session, e.g. after renaming in their profile.
+ * @param {Object} changes - The user fields to change.
+ */
+function updateSessionUser(changes) {
+    const session = getSession();
+    if (session) saveSession({ ...session, user: { ...session.user, ...changes } });
+}
+
+/**
+ * Builds a link to the sign-in page that comes back to the current page afterwards.
+ * @param {string} [mode] - 'signup' to open on the Create Account form.
+ * @returns {string} The URL.
+ */
+function getSignInURL(mode) {
+    const params = new URLSearchParams({ next: `${window.location.pathname.split('/').pop() || 'index.html'}${window.location.search}` });
+    if (mode) params.set('mode', mode);
+    return `signin.html?${params}`;
+}
+
+/**
+ * Resolves where to go after signing in. Only pages on this site are allowed, so a crafted
+ * link can't bounce riders to another site.
+ * @param {?string} next - The `next` URL parameter.
+ * @returns {string} A same-site URL.
+ */
+function getSafeRedirectURL(next) {
+    if (!next) return 'index.html';
+    try {
+        const url = new URL(next, window.location.href);
+        // Opened from file://, every origin is "null" (as is a `javascript:` URL's), so the protocol and host are checked too.
+        const isSameSite = url.protocol === window.location.protocol && url.host === window.location.host && url.origin === window.location.origin;
+        return isSameSite ? url.href : 'index.html';
+    } catch (error) {
+        return 'index.html';
+    }
+}
+
+/**
+ * Calls back whenever the rider signs in or out in another tab.
+ * @param {Function} callback - Called with no arguments after each change.
+ */
+function onSessionChangedElsewhere(callback) {
+    window.addEventListener('storage', (e) => {
+        if (e.key === SESSION_KEY || e.key === null) callback();
+    });
+}
+
+/**
+ * Signs the rider out, on the server too when it can be reached, then reloads the page.
+ * @returns {Promise<void>} Resolves once signed out.
+ */
+async function signOut() {
+    try {
+        // API CALL: end the session
+        await authApi.signOut();
+    } catch (error) {
+        // Forgetting the session locally is what matters; the server's copy expires on its own.
+    }
+    clearSession();
+    window.location.reload();
+}
+
+// --- UI Update Functions ---
+
+/**
+ * Updates the cart item count indicator in the header.
+ * @returns {Promise<void>} Resolves once the count has been refreshed.
+ */
+async function updateCartCount() {
+    let cart;
+    try {
+        cart = await cartApi.get();
+    } catch (error) {
+        return; // The badge is non-essential; leave it as it was.
+    }
+    const count = cart.items.reduce((total, item) => total + item.tickets.adults + item.tickets.kids, 0);
+    const cartCountEl = document.getElementById('cart-item-count');
+    if (cartCountEl) {
+        // The badge starts empty; only later changes (adding tickets, a change in another tab) are read out.
+        const previousCount = cartCountEl.dataset.count;
+        const countLabel = `${count} ticket${count === 1 ? '' : 's'}`;
+        cartCountEl.dataset.count = count;
+        cartCountEl.textContent = count;
+        cartCountEl.style.display = count > 0 ? 'flex' : 'none';
+        cartCountEl.closest('.cart-link').setAttribute('aria-label', `View Shopping Cart, ${countLabel}`);
+        if (previousCount !== undefined && previousCount !== String(count)) {
+            announce(`Cart updated: ${countLabel}.`);
+        }
+    }
+}
+
+/**
+ * Updates the favorite parks count in the header.
+ * @returns {Promise<void>} Resolves once the count has been refreshed.
+ */
+async function updateFavoritesCount() {
+    let favorites;
+    try {
+        favorites = await favoritesApi.list();
+    } catch (error) {
+        return; // Like the cart badge, this is non-essential.
+    }
+    const countEl = document.getElementById('favorites-count');
+    if (countEl) {
+        countEl.textContent = favorites.length;
+        countEl.style.display = favorites.length > 0 ? 'flex' : 'none';
+        countEl.closest('.favorites-link').setAttribute('aria-label', `View Favorite Parks, ${favorites.length} saved`);
+    }
+}
+
+/**
+ * Downloads text the page has generated as a file, e.g. a calendar or a CSV export.
+ * @param {string} filename - The suggested file name.
+ * @param {string} content - The file's contents.
+ * @param {string} type - The MIME type.
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Saves or unsaves the park behind a favorite button, then updates the button and the header count.
+ * @param {HTMLButtonElement} button - A button made by createFavoriteButtonHTML.
+ * @returns {Promise<?boolean>} Whether the park is now a favorite, or null if saving failed.
+ */
+async function toggleFavorite(button) {
+    const isFavorite = button.getAttribute('aria-pressed') !== 'true';
+    button.disabled = true;
+    try {
+        // API CALL: save or unsave the park
+        await (isFavorite ? favoritesApi.add(button.dataset.parkId) : favoritesApi.remove(button.dataset.parkId));
+    } catch (error) {
+        if (!error.queued) {
+            showToast('error', `Couldn't update your favorites: ${error.message}`);
+            return null;
+        }
+        // Saved offline: show the change now; it's sent when the connection returns.
+        showToast('info', error.message);
+    } finally {
+        button.disabled = false;
+    }
+    button.classList.toggle('is-favorite', isFavorite);
+    button.setAttribute('aria-pressed', String(isFavorite));
+    updateFavoritesCount();
+    return isFavorite;
+}
+
+/**
+ * Votes a review helpful, or withdraws the vote, from a "Helpful" button, then updates the button's count.
+ * Signed-out riders are sent to sign in first.
+ * @param {HTMLButtonElement} button - A `.helpful-btn` made by createReviewCardHTML.
+ * @returns {Promise<?boolean>} Whether the rider now finds the review helpful, or null if the vote wasn't saved.
+ */
+async function toggleHelpfulVote(button) {
+    if (!getSignedInUser()) {
+        window.location.href = getSignInURL();
+        return null;
+    }
+    const isHelpful = button.getAttribute('aria-pressed') !== 'true';
+    button.disabled = true;
+    try {
+        // API CALL: record or withdraw the vote
+        const result = await (isHelpful ? reviewsApi.markHelpful(button.dataset.reviewId) : reviewsApi.unmarkHelpful(button.dataset.reviewId));
+        button.setAttribute('aria-pressed', String(result.votedHelpful));
+        button.querySelector('.helpful-count').textContent = result.helpfulCount;
+        return result.votedHelpful;
+    } catch (error) {
+        if (error.status === 401) {
+            window.location.href = getSignInURL();
+        } else {
+            showToast('error', `Couldn't save your vote: ${error.message}`);
+        }
+        return null;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Asks the rider why they're reporting a review, then sends the report from a "Report" button.
+ * Signed-out riders are sent to sign in first.
+ * @param {HTMLButtonElement} button - A `.report-review-btn` made by createReviewCardHTML.
+ * @returns {Promise<boolean>} True if the review was reported.
+ */
+async function reportReview(button) {
+    if (!getSignedInUser()) {
+        window.location.href = getSignInURL();
+        return false;
+    }
+    const { value: report } = await Swal.fire({
+        title: 'Report this review',
+        html: String(html`
+            <div class="text-left">
+                <label for="report-reason" class="form-label">Reason</label>
+                <select id="report-reason" class="form-select">
+                    ${Object.entries(REVIEW_REPORT_REASONS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+                </select>
+                <label for="report-note" class="form-label mt-4">Details (optional)</label>
+                <textarea id="report-note" class="form-input" rows="3" maxlength="500"></textarea>
+            </div>
+        `),
+        showCancelButton: true,
+        confirmButtonText: 'Report',
+        preConfirm: () => ({ reason: document.getElementById('report-reason').value, note: document.getElementById('report-note').value }),
+        customClass: { popup: swalPopupClass() }
+    });
+    if (!report) return false;
+    try {
+        // API CALL: report the review
+        await reviewsApi.report(button.dataset.reviewId, report);
+    } catch (error) {
+        if (error.status === 401) {
+            window.location.href = getSignInURL();
+            return false;
+        }
+        // A 409 means this rider already reported it, e.g. in another tab.
+        if (error.status !== 409) {
+            showToast('error', `Couldn't report the review: ${error.message}`);
+            return false;
+        }
+    }
+    button.disabled = true;
+    button.textContent = 'Reported';
+    showToast('success', 'Thanks for letting us know. A moderator will take a look.');
+    return true;
+}
+
+
+// --- Safe HTML Templating ---
+
+// Attributes whose value is a URL. An interpolation that starts one of these is passed through sanitizeURL.
+const URL_ATTRIBUTE_PATTERN = /\s(?:href|src|action|formaction|poster|xlink:href)\s*=\s*["']?$/i;
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SAFE_DATA_URL_PATTERN = /^data:image\/(?:png|jpeg|gif|webp);base64,[a-z0-9+/]+=*$/i;
+const UNSAFE_URL_REPLACEMENT = 'about:invalid';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '`': '&#96;' };
+
+/**
+ * Markup that is safe to insert into the page as-is: built by the `html` tag, or marked trusted
+ * with trustedHTML. Anything else interpolated into a template is escaped.
+ */
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes text so it shows up literally in HTML, in element content or a quoted attribute.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * Marks markup as trusted so templates insert it unescaped. Only use it for markup written in
+ * this codebase, like ICONS; never for anything that came from a rider or from storage.
+ * @param {string} markup - The trusted markup.
+ * @returns {SafeHTML} The markup, marked safe.
+ */
+function trustedHTML(markup) {
+    return new SafeHTML(String(markup));
+}
+
+/**
+ * Makes a URL safe for an `href` or `src`: relative URLs and http(s), mailto and tel links are kept,
+ * as are inline images, while anything else (e.g. `javascript:`) is replaced with a dead link.
+ * @param {*} url - The URL to check.
+ * @returns {string} The URL, or UNSAFE_URL_REPLACEMENT.
+ */
+function sanitizeURL(url) {
+    // Browsers ignore control characters and whitespace inside a scheme, so "java\tscript:" still runs.
+    const normalized = String(url ?? '').replace(/[\u0000-\u0020\u007f-\u009f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return String(url ?? '').trim();
+    if (SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase()) || SAFE_DATA_URL_PATTERN.test(normalized)) {
+        return String(url).trim();
+    }
+    return UNSAFE_URL_REPLACEMENT;
+}
+
+/**
+ * Renders one interpolated value: safe markup as-is, arrays item by item, nothing for
+ * null, undefined and false, and everything else as escaped text.
+ * @param {*} value - The interpolated value.
+ * @returns {string} The markup.
+ */
+function renderTemplateValue(value) {
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(renderTemplateValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+/**
+ * Template tag for building HTML. Interpolated values are escaped unless they are SafeHTML
+ * (the result of another `html` template, or trustedHTML), and a value that starts an
+ * `href` or `src` is sanitized with sanitizeURL. Arrays of templates can be interpolated directly.
+ * @example html`<a href="${park.website}">${park.name}</a>`
+ * @returns {SafeHTML} The markup. Assign it to `innerHTML` or interpolate it into another template.
+ */
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => {
+        const isURL = URL_ATTRIBUTE_PATTERN.test(strings[i]) && !(value instanceof SafeHTML) && !Array.isArray(value);
+        markup += (isURL ? escapeHTML(sanitizeURL(value)) : renderTemplateValue(value)) + strings[i + 1];
+    });
+    return new SafeHTML(markup);
+}
+
+
+// --- SVG Icons ---
+// Trusted markup: these are the only strings templates insert without escaping.
+const ICONS = {
+    logo: trustedHTML(`<svg class="logo-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2a10 10 0 1 0 10 10A10 10 0 0 0 12 2Z"/><path d="m15 12-3 3-3-3"/></svg>`),
+    mapPin: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>`),
+    star: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`),
+    starEmpty: trustedHTML(`<svg class="icon icon--empty" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`),
+    cart: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="8" cy="21" r="1"/><circle cx="19" cy="21" r="1"/><path d="M2.05 2.05h2l2.66 12.42a2 2 0 0 0 2 1.58h9.78a2 2 0 0 0 1.95-1.57l1.65-7.43H5.16"/></svg>`),
+    moon: trustedHTML(`<svg class="icon moon-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3a6 6 0 0 0 9 9 9 9 0 1 1-9-9Z"/></svg>`),
+    sun: trustedHTML(`<svg class="icon sun-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="4"/><path d="M12 2v2"/><path d="M12 20v2"/><path d="m4.93 4.93 1.41 1.41"/><path d="m17.66 17.66 1.41 1.41"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="m6.34 17.66-1.41 1.41"/><path d="m19.07 4.93-1.41 1.41"/></svg>`),
+    empty: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 12a9.5 9.5 0 1 1-19 0 9.5 9.5 0 0 1 19 0Z" /><path d="M15 9l-6 6m0-6l6 6" /></svg>`),
+    locate: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="7"/><circle cx="12" cy="12" r="3"/><line x1="12" y1="1" x2="12" y2="5"/><line x1="12" y1="19" x2="12" y2="23"/><line x1="1" y1="12" x2="5" y2="12"/><line x1="19" y1="12" x2="23" y2="12"/></svg>`),
+    trash: trustedHTML(`<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>`),
+    heart: trustedHTML(`<svg class="icon heart-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M19 14c1.49-1.46 3-3.21 3-5.5A5.5 5.5 0 0 0 16.5 3c-1.76 0-3 .5-4.5 2-1.5-1.5-2.74-2-4.5-2A5.5 5.5 0 0 0 2 8.5c0 2.3 1.5 4.05 3 5.5l7 7Z"/></svg>`),
+};
+
+
+// --- Map ---
+
+// A simplified outline of the lower 48 states as [longitude, latitude] points, so the map needs no tile service.
+const US_OUTLINE = [
+    [-124.7, 48.4], [-123.0, 49.0], [-95.2, 49.0], [-89.6, 48.0], [-84.6, 46.5], [-83.6, 46.1], [-82.4, 43.0],
+    [-83.1, 42.3], [-82.7, 41.7], [-78.9, 42.9], [-79.1, 43.3], [-76.4, 44.1], [-75.0, 44.9], [-71.5, 45.0],
+    [-70.3, 45.9], [-69.2, 47.4], [-67.8, 47.1], [-67.8, 45.7], [-67.0, 44.8], [-68.8, 44.2], [-70.2, 43.6],
+    [-70.8, 42.9], [-70.6, 42.6], [-71.0, 42.3], [-70.0, 41.8], [-71.4, 41.4], [-72.9, 41.2], [-74.0, 40.6],
+    [-74.0, 39.8], [-74.4, 39.3], [-74.9, 38.9], [-75.1, 38.3], [-75.9, 37.2], [-76.0, 36.9], [-75.5, 35.2],
+    [-76.6, 34.7], [-77.9, 33.9], [-79.2, 33.2], [-80.0, 32.7], [-81.1, 32.0], [-81.4, 30.4], [-80.6, 28.4],
+    [-80.1, 26.7], [-80.2, 25.7], [-81.1, 25.1], [-81.8, 26.1], [-82.7, 27.7], [-82.8, 28.9], [-83.6, 29.9],
+    [-84.9, 29.7], [-86.5, 30.4], [-88.0, 30.7], [-89.4, 30.2], [-89.2, 29.2], [-90.2, 29.1], [-91.4, 29.5],
+    [-93.8, 29.7], [-94.8, 29.3], [-96.5, 28.3], [-97.4, 27.6], [-97.2, 26.0], [-99.1, 26.4], [-99.5, 27.5],
+    [-101.4, 29.8], [-102.4, 29.8], [-103.1, 29.0], [-104.5, 29.6], [-106.5, 31.8], [-108.2, 31.8], [-108.2, 31.3],
+    [-111.1, 31.3], [-114.8, 32.5], [-117.1, 32.5], [-117.3, 33.1], [-118.4, 33.8], [-119.2, 34.1], [-120.6, 34.6],
+    [-121.9, 36.3], [-122.5, 37.7], [-123.7, 38.9], [-124.4, 40.4], [-124.2, 41.8], [-124.5, 42.8], [-123.9, 46.2],
+    [-124.1, 46.9],
+];
+
+const MAP_BOUNDS = { west: -125.5, east: -66.5, north: 49.5, south: 24.5 };
+const MAP_SCALE = 16; // SVG units per degree of longitude at the map's center latitude
+
+/**
+ * Projects a point onto the SVG map. Longitude is scaled by the cosine of the center
+ * latitude, which keeps the lower 48 from looking stretched.
+ * @param {{lat: number, lng: number}} point - The point to project.
+ * @returns {{x: number, y: number}} SVG coordinates.
+ */
+function projectToMap({ lat, lng }) {
+    const lngScale = Math.cos(((MAP_BOUNDS.north + MAP_BOUNDS.south) / 2) * Math.PI / 180);
+    return {
+        x: Math.round((lng - MAP_BOUNDS.west) * lngScale * MAP_SCALE * 10) / 10,
+        y: Math.round((MAP_BOUNDS.north - lat) * MAP_SCALE * 10) / 10,
+    };
+}
+
+/**
+ * Checks whether a point falls inside the map, e.g. to leave out riders in Alaska or Hawaii.
+ * @param {{lat: number, lng: number}} point - The point to check.
+ * @returns {boolean} True if it can be plotted.
+ */
+function isOnMap({ lat, lng }) {
+    return lat <= MAP_BOUNDS.north && lat >= MAP_BOUNDS.south && lng >= MAP_BOUNDS.west && lng <= MAP_BOUNDS.east;
+}
+
+// --- HTML Generation Functions ---
+
+/**
+ * Renders the main site header into the `<header>` element.
+ */
+function renderHeader() {
+    const header = document.getElementById('main-header');
+    if (!header) return;
+    header.innerHTML = html`
+        <nav class="main-nav container mx-auto px-4 sm:px-6 lg:px-8">
+            <a href="index.html" class="logo-link">
+                ${ICONS.logo}
+                <span>RideFinder</span>
+            </a>
+            <div class="nav-actions">
+                <span id="connection-status" class="connection-status" role="status" hidden></span>
+                <a href="orders.html" class="nav-link">My Orders</a>
+                <div id="account-nav" class="account-nav"></div>
+                <button class="theme-toggle" id="theme-toggle-btn" aria-label="Toggle theme">
+                    ${ICONS.moon}
+                    ${ICONS.sun}
+                </button>
+                <a href="favorites.html" class="favorites-link" aria-label="View Favorite Parks">
+                    ${ICONS.heart}
+                    <span id="favorites-count" class="favorites-count">0</span>
+                </a>
+                <a href="cart.html" class="cart-link" aria-label="View Shopping Cart">
+                    ${ICONS.cart}
+                    <span id="cart-item-count" class="cart-item-count">0</span>
+                </a>
+            </div>
+        </nav>
+    `;
+    document.getElementById('theme-toggle-btn').addEventListener('click', toggleTheme);
+    updateCartCount();
+    onCartChangedElsewhere(updateCartCount);
+    updateFavoritesCount();
+    onFavoritesChangedElsewhere(updateFavoritesCount);
+
+    renderAccountMenu();
+    refreshSession();
+    onSessionChangedElsewhere(renderAccountMenu);
+    initializeOfflineSupport();
+    header.addEventListener('click', (e) => {
+        if (e.target.closest('#account-menu-btn')) {
+            const isOpen = e.target.closest('#account-menu-btn').getAttribute('aria-expanded') === 'true';
+            setAccountMenuOpen(!isOpen);
+        } else if (e.target.closest('#sign-out-btn')) {
+            signOut();
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.account-menu')) setAccountMenuOpen(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && document.getElementById('account-menu-btn')?.getAttribute('aria-expanded') === 'true') {
+            setAccountMenuOpen(false);
+            document.getElementById('account-menu-btn').focus();
+        }
+    });
+}
+
+// --- Offline Support ---
+
+/**
+ * Registers the service worker that caches the app for offline use, and keeps the header's
+ * connection badge up to date. Changes queued offline (see replayOfflineQueue in api.js) are
+ * sent when the connection returns, and on page load in case one closed while offline.
+ */
+function initializeOfflineSupport() {
+    if ('serviceWorker' in navigator) {
+        // Fails when the site is opened from a file:// URL, where the pages still work, just not offline.
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    }
+    updateConnectionStatus();
+    window.addEventListener('offline', updateConnectionStatus);
+    window.addEventListener('online', () => {
+        updateConnectionStatus();
+        replayOfflineQueue();
+    });
+    window.addEventListener('offlinequeuechange', updateConnectionStatus);
+    window.addEventListener('storage', (e) => {
+        if (e.key === OFFLINE_QUEUE_KEY || e.key === null) updateConnectionStatus();
+    });
+    onOfflineQueueReplayed(({ sent, failed }) => {
+        const changes = (count) => `${count} ${count === 1 ? 'change' : 'changes'}`;
+        if (failed.length > 0) {
+            showToast('error', `${changes(failed.length)} made offline couldn't be saved: ${failed[0].error.message}`);
+        } else {
+            showToast('success', `You're back online. ${changes(sent)} made offline saved.`);
+        }
+        updateCartCount();
+        updateFavoritesCount();
+    });
+    replayOfflineQueue();
+}
+
+/**
+ * Shows or hides the header's connection badge: "Offline" with the number of changes waiting,
+ * or just the waiting count while they're being sent.
+ */
+function updateConnectionStatus() {
+    const status = document.getElementById('connection-status');
+    if (!status) return;
+    const offline = isOffline();
+    const waiting = getOfflineQueueCount();
+    const waitingText = `${waiting} ${waiting === 1 ? 'change' : 'changes'} waiting`;
+    status.hidden = !offline && waiting === 0;
+    status.classList.toggle('is-offline', offline);
+    status.textContent = offline ? (waiting > 0 ? `Offline · ${waitingText}` : 'Offline') : waitingText;
+}
+
+/**
+ * Fills the header's account area: a Sign In link, or the signed-in rider's menu.
+ */
+function renderAccountMenu() {
+    const container = document.getElementById('account-nav');
+    if (container) container.innerHTML = createAccountMenuHTML(getSignedInUser());
+}
+
+/**
+ * Opens or closes the header's account menu.
+ * @param {boolean} open - Whether the menu should be open.
+ */
+function setAccountMenuOpen(open) {
+    const button = document.getElementById('account-menu-btn');
+    if (!button) return;
+    button.setAttribute('aria-expanded', String(open));
+    document.getElementById('account-menu').hidden = !open;
+}
+
+/**
+ * Checks the saved session with the server, which may have ended it (it expired, or the rider
+ * signed out elsewhere), and picks up any changes to the rider's details.
+ * @returns {Promise<void>} Resolves once the header is up to date.
+ */
+async function refreshSession() {
+    if (!getSession()) return;
+    try {
+        // API CALL: validate the session
+        const session = await authApi.getSession();
+        updateSessionUser(session.user);
+    } catch (error) {
+        // A 401 has already cleared the session; any other failure keeps the rider signed in.
+    }
+    renderAccountMenu();
+}
+
+/**
+ * Creates the header's account area.
+ * @param {?{displayName: string, email: string}} user - The signed-in rider, or null.
+ * @returns {SafeHTML} HTML for the Sign In link or the account menu.
+ */
+function createAccountMenuHTML(user) {
+    if (!user) return html`<a href="${getSignInURL()}" class="nav-link">Sign In</a>`;
+    return html`
+        <div class="account-menu">
+            <button type="button" id="account-menu-btn" class="nav-link account-menu__toggle" aria-haspopup="true" aria-expanded="false" aria-controls="account-menu">
+                ${user.displayName || user.email} <span aria-hidden="true">&#9662;</span>
+            </button>
+            <div id="account-menu" class="account-menu__list" hidden>
+                <p class="account-menu__email">${user.email}</p>
+                <a href="profile.html">Profile</a>
+                <a href="orders.html">My Orders</a>
+                ${hasRole(user.role, 'moderator') ? html`<a href="moderation.html">Review Moderation</a>` : ''}
+                ${hasRole(user.role, 'admin') ? html`<a href="admin.html">Admin Console</a>` : ''}
+                <button type="button" id="sign-out-btn">Sign Out</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Generates HTML for a star rating display. Part-filled stars show the fraction (4.5 fills half of the fifth star),
+ * and screen readers hear the rating as text, e.g. "Rated 4.5 out of 5 stars".
+ * @param {number} rating - The rating value (e.g., 4.5).
+ * @returns {SafeHTML} HTML for the stars.
+ */
+function getStarRatingHTML(rating) {
+    const rounded = Math.round(rating * 10) / 10;
+    const stars = Array.from({ length: 5 }, (_, i) => {
+        const fill = Math.min(1, Math.max(0, rounded - i));
+        if (fill === 1) return ICONS.star;
+        if (fill === 0) return ICONS.starEmpty;
+        return html`<span class="star-rating__partial">${ICONS.starEmpty}<span class="star-rating__fill" style="width: ${Math.round(fill * 100)}%">${ICONS.star}</span></span>`;
+    });
+    return html`<div class="star-rating flex items-center" role="img" aria-label="Rated ${rounded} out of 5 stars">${stars}</div>`;
+}
+
+/**
+ * Creates a star rating input: five radio buttons drawn as stars, so the group is a single tab stop
+ * and the arrow keys move the rating. Read the value from the form as `form.elements[name].value` ('' until one is picked).
+ * @param {string} name - The radio group's name.
+ * @param {string} legend - The visible label for the group, e.g. "Your Rating".
+ * @param {number} [value=0] - The rating to start with; 0 leaves it unset.
+ * @returns {SafeHTML} HTML for the input.
+ */
+function createStarRatingInputHTML(name, legend, value = 0) {
+    return html`
+        <fieldset class="star-input">
+            <legend class="form-label">${legend}</legend>
+            <div class="star-input__options">
+                ${[1, 2, 3, 4, 5].map(stars => html`
+                    <label class="star-input__option">
+                        <input type="radio" name="${name}" value="${stars}" class="sr-only" ${stars === value ? 'checked' : ''}>
+                        ${ICONS.star}
+                        <span class="sr-only">${stars} star${stars === 1 ? '' : 's'}</span>
+                    </label>
+                `)}
+            </div>
+        </fieldset>
+    `;
+}
+
+/**
+ * Creates a badge for a park's track status.
+ * @param {string} status - A TRACK_CONDITION_LABELS key.
+ * @param {string} [note=''] - The park's note, shown on hover.
+ * @returns {SafeHTML} HTML for the badge.
+ */
+function createTrackStatusBadgeHTML(status, note = '') {
+    return html`<span class="status-badge status-badge--${status}" title="${note}">${TRACK_CONDITION_LABELS[status] || TRACK_CONDITION_LABELS.open}</span>`;
+}
+
+/**
+ * Creates the heart button that saves a park to the rider's favorites (see toggleFavorite).
+ * @param {Object} park - The park data object.
+ * @param {boolean} isFavorite - Whether the park is saved already.
+ * @param {string} [className=''] - Extra classes for the button.
+ * @returns {SafeHTML} HTML for the button.
+ */
+function createFavoriteButtonHTML(park, isFavorite, className = '') {
+    return html`
+        <button type="button" class="favorite-btn ${isFavorite ? 'is-favorite' : ''} ${className}" data-park-id="${park.id}" aria-pressed="${String(isFavorite)}" aria-label="Save ${park.name} to favorites">
+            ${ICONS.heart}
+        </button>
+    `;
+}
+
+/**
+ * Creates the HTML for a single park card.
+ * @param {Object} park - The park data object.
+ * @param {boolean} [isFavorite=false] - Whether the rider has saved the park.
+ * @returns {SafeHTML} HTML for the park card.
+ */
+function createParkCardHTML(park, isFavorite = false) {
+    const status = getParkStatus(park);
+    return html`
+        <div class="park-card">
+            <a href="park-details.html?id=${park.id}" class="block">
+                <img src="${park.imageUrl}" alt="${park.name}" class="park-card__image">
+            </a>
+            ${createFavoriteButtonHTML(park, isFavorite, 'park-card__favorite')}
+            <div class="park-card__content">
+                <div class="flex items-start justify-between gap-2">
+                    <h3 class="text-xl font-bold">${park.name}</h3>
+                    ${createTrackStatusBadgeHTML(status.status, status.note)}
+                </div>
+                <p class="park-card__location">
+                    ${ICONS.mapPin} ${park.location}
+                    ${park.distance !== undefined ? html`<span class="park-card__distance">&middot; ${park.distance.toLocaleString('en-US')} mi away</span>` : ''}
+                </p>
+                <div class="park-card__rating">
+                    ${getStarRatingHTML(park.rating)}
+                    <span class="park-card__rating-text">${park.rating.toFixed(1)} (${park.reviewCount} reviews)</span>
+                </div>
+                <p class="park-card__description">${park.shortDescription}</p>
+                <a href="park-details.html?id=${park.id}" class="btn btn-primary mt-auto">Book Now</a>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates a side-by-side comparison of parks, one column each. In rows where the parks differ,
+ * the best value (cheapest, best rated, most reviewed, biggest) is highlighted.
+ * @param {Array<Object>} parks - The parks to compare, with their review stats.
+ * @returns {SafeHTML} HTML for the comparison table.
+ */
+function createParkComparisonHTML(parks) {
+    const rows = [
+        { label: 'Adult / Day', value: park => park.price.adult, format: formatMoney, best: 'min' },
+        { label: 'Child / Day', value: park => park.price.child, format: formatMoney, best: 'min' },
+        { label: 'Rating', value: park => park.rating, format: (rating) => html`${getStarRatingHTML(rating)} ${rating.toFixed(1)}`, best: 'max' },
+        { label: 'Reviews', value: park => park.reviewCount, best: 'max' },
+        { label: 'Location', value: park => park.location },
+        { label: 'Capacity', value: park => park.guestLimit, format: (limit) => `${limit.toLocaleString('en-US')} riders/day`, best: 'max' },
+        { label: 'About', value: park => park.description },
+    ];
+    return html`
+        <div class="compare-table-wrapper">
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <td></td>
+                        ${parks.map(park => html`
+                            <th scope="col">
+                                <img src="${park.imageUrl}" alt="" class="compare-table__image">
+                                <a href="park-details.html?id=${park.id}" class="compare-table__name">${park.name}</a>
+                                <button type="button" class="link-btn text-sm remove-compare-btn" data-park-id="${park.id}" ${parks.length <= MIN_COMPARE_PARKS ? 'disabled' : ''}>Remove</button>
+                            </th>
+                        `)}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => {
+                        const values = parks.map(row.value);
+                        // Only highlight when there's something to choose between.
+                        const best = row.best && new Set(values).size > 1 ? Math[row.best](...values) : null;
+                        return html`
+                            <tr>
+                                <th scope="row">${row.label}</th>
+                                ${values.map(value => html`
+                                    <td class="${value === best ? 'is-best' : ''}">
+                                        ${row.format ? row.format(value) : value}
+                                        ${value === best ? html`<span class="compare-best">Best</span>` : ''}
+                                    </td>
+                                `)}
+                            </tr>
+                        `;
+                    })}
+                    <tr>
+                        <td></td>
+                        ${parks.map(park => html`<td><a href="park-details.html?id=${park.id}" class="btn btn-primary w-full">Book Now</a></td>`)}
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Creates an SVG map of the US with a marker for each park, and for the rider if their location is known.
+ * Each park marker links to its details page.
+ * @param {Array<Object>} parks - The parks to plot.
+ * @param {?{lat: number, lng: number, label: string}} [origin] - The rider's location.
+ * @returns {SafeHTML} HTML for the map.
+ */
+function createParksMapHTML(parks, origin = null) {
+    const corner = projectToMap({ lat: MAP_BOUNDS.south, lng: MAP_BOUNDS.east });
+    const outline = US_OUTLINE.map(([lng, lat]) => {
+        const { x, y } = projectToMap({ lat, lng });
+        return html`${x},${y}`;
+    }).join(' ');
+    const originPoint = origin && isOnMap(origin) ? projectToMap(origin) : null;
+
+    return html`
+        <figure class="parks-map">
+            <svg viewBox="0 0 ${corner.x} ${corner.y}" role="img" aria-labelledby="parks-map-title">
+                <title id="parks-map-title">Map of ${parks.length} park${parks.length === 1 ? '' : 's'}</title>
+                <polygon class="parks-map__land" points="${outline}" />
+                ${originPoint ? html`
+                    <g class="parks-map__origin">
+                        <title>Searching from ${origin.label}</title>
+                        <circle cx="${originPoint.x}" cy="${originPoint.y}" r="7" />
+                    </g>
+                ` : ''}
+                ${parks.map(park => {
+                    const { x, y } = projectToMap(park.coordinates);
+                    return html`
+                        <a href="park-details.html?id=${park.id}" class="parks-map__marker">
+                            <title>${park.name} (${park.location})${park.distance !== undefined ? html` · ${park.distance} mi away` : ''}</title>
+                            <circle cx="${x}" cy="${y}" r="9" />
+                            <text x="${x}" y="${y - 14}" text-anchor="middle">${park.name}</text>
+                        </a>
+                    `;
+                })}
+            </svg>
+            ${parks.length === 0 ? html`<figcaption class="text-center text-text-secondary mt-2">No parks match your filters.</figcaption>` : ''}
+        </figure>
+    `;
+}
+
+/**
+ * Creates a review card, with the park's reply if it has one. Published reviews get "Helpful" and "Report" buttons;
+ * the rider's own reviews get Edit and Delete instead of Report, and a note if they're held or rejected.
+ * @param {Object} review - The review, as returned by the reviews API.
+ * @param {?string} [currentAuthorId] - The signed-in rider's user ID, if any.
+ * @returns {SafeHTML} HTML for the review card.
+ */
+function createReviewCardHTML(review, currentAuthorId) {
+    const reviewDate = new Date(review.createdAt).toLocaleDateString('en-US', {
+        year: 'numeric', month: 'long', day: 'numeric'
+    });
+    const isOwnReview = Boolean(currentAuthorId) && review.author.id === currentAuthorId;
+    const isPublished = !review.status || review.status === 'published';
+    return html`
+        <div class="review-card">
+            <div class="flex items-start justify-between">
+                <div>
+                    <p class="font-bold">${review.author.isAnonymous ? 'Anonymous' : review.author.name}</p>
+                    <p class="text-sm text-text-secondary">${reviewDate}${review.updatedAt ? ' (edited)' : ''}</p>
+                </div>
+                ${getStarRatingHTML(review.rating)}
+            </div>
+            ${isPublished ? '' : html`
+                <p class="review-card__notice">
+                    ${createReviewStatusBadgeHTML(review.status)}
+                    ${review.status === 'rejected'
+                        ? "Only you can see this review. It didn't meet our review guidelines; edit it to send it back for moderation."
+                        : 'Only you can see this review until a moderator has checked it.'}
+                </p>
+            `}
+            <h4 class="text-lg font-semibold mt-3">${review.title}</h4>
+            <p class="mt-1 text-text-secondary">${review.body}</p>
+            ${review.reply ? createReviewReplyHTML(review.reply) : ''}
+            <div class="review-card__actions">
+                ${isPublished ? html`
+                    <button type="button" class="link-btn helpful-btn" data-review-id="${review.id}" aria-pressed="${String(Boolean(review.votedHelpful))}" ${isOwnReview ? 'disabled' : ''}>
+                        Helpful (<span class="helpful-count">${review.helpfulCount || 0}</span>)
+                    </button>
+                ` : ''}
+                ${isOwnReview ? html`
+                    <button type="button" class="link-btn edit-review-btn" data-review-id="${review.id}">Edit</button>
+                    <button type="button" class="link-btn delete-review-btn" data-review-id="${review.id}">Delete</button>
+                ` : isPublished ? html`
+                    <button type="button" class="link-btn report-review-btn" data-review-id="${review.id}" ${review.reportedByViewer ? 'disabled' : ''}>${review.reportedByViewer ? 'Reported' : 'Report'}</button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates a small badge for a review's moderation status.
+ * @param {string} status - A key of REVIEW_STATUS_LABELS.
+ * @returns {SafeHTML} HTML for the badge.
+ */
+function createReviewStatusBadgeHTML(status) {
+    return html`<span class="status-badge status-badge--review-${status}">${REVIEW_STATUS_LABELS[status] || 'Published'}</span>`;
+}
+
+/**
+ * Shows the park's public reply under a review.
+ * @param {{body: string, repliedAt: string}} reply - The reply.
+ * @returns {SafeHTML} HTML for the reply.
+ */
+function createReviewReplyHTML(reply) {
+    const repliedAt = new Date(reply.repliedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    return html`
+        <div class="review-reply">
+            <p class="text-sm font-semibold">Response from the park owner <span class="font-normal text-text-secondary">&middot; ${repliedAt}</span></p>
+            <p class="text-sm text-text-secondary mt-1">${reply.body}</p>
+        </div>
+    `;
+}
+
+/**
+ * Creates the HTML for a single item in the shopping cart.
+ * @param {Object} item - The cart item object.
+ * @returns {SafeHTML} HTML for the cart item.
+ */
+function createCartItemHTML(item) {
+    const line = priceLineItem(item);
+    const park = getParkById(item.parkId);
+    const closedDay = park && item.dates.map(date => getParkDaySchedule(park, date)).find(day => !day.isOpen);
+    return html`
+        <div class="cart-item">
+            <img src="${item.parkImage}" alt="${item.parkName}" class="cart-item__image">
+            <div class="cart-item__details">
+                <div>
+                    <h3 class="font-bold text-lg">${item.parkName}</h3>
+                    <p class="text-sm text-text-secondary">${formatDateRange(item.dates)} &middot; ${item.days} Day(s)</p>
+                    <p class="text-xs text-text-secondary">Held in your cart until ${getCartItemExpiry(item).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</p>
+                    ${item.dates.length === 0 ? html`<p class="text-xs text-red-600">No ride dates were picked for this booking, so it will be removed at checkout. <a href="park-details.html?id=${item.parkId}" class="underline">Pick dates on the park page</a>.</p>` : ''}
+                    ${closedDay ? html`<p class="text-xs text-red-600">The park is closed on ${formatDateRange([closedDay.date])} (${closedDay.reason}). This booking will be removed at checkout.</p>` : ''}
+                </div>
+                <div class="flex items-center gap-4 mt-2">
+                    <div>
+                        <label for="adults-${item.id}" class="text-xs font-semibold">Adults</label>
+                        <input type="number" id="adults-${item.id}" value="${item.tickets.adults}" min="0" data-item-id="${item.id}" data-type="adults" class="form-input cart-item__quantity-input quantity-input">
+                    </div>
+                    <div>
+                        <label for="kids-${item.id}" class="text-xs font-semibold">Kids</label>
+                        <input type="number" id="kids-${item.id}" value="${item.tickets.kids}" min="0" data-item-id="${item.id}" data-type="kids" class="form-input cart-item__quantity-input quantity-input">
+                    </div>
+                </div>
+                ${item.rentals.length > 0 ? html`
+                    <details class="cart-item__rentals mt-2" ${line.rentals.length > 0 ? 'open' : ''}>
+                        <summary class="text-sm font-semibold cursor-pointer">Rentals</summary>
+                        <div class="flex flex-wrap gap-4 mt-2">
+                            ${item.rentals.map(rental => html`
+                                <div>
+                                    <label for="rental-${item.id}-${rental.id}" class="text-xs font-semibold">${rental.name} (${formatMoney(rental.price)}/day)</label>
+                                    <input type="number" id="rental-${item.id}-${rental.id}" value="${rental.quantity}" min="0" data-item-id="${item.id}" data-rental-id="${rental.id}" class="form-input cart-item__quantity-input rental-quantity-input">
+                                </div>
+                            `)}
+                        </div>
+                    </details>
+                ` : ''}
+            </div>
+            <div class="cart-item__actions">
+                <div class="text-right">
+                    ${line.discounts.length > 0 ? html`<p class="text-sm text-text-secondary line-through">${formatMoney(line.base)}</p>` : ''}
+                    <p class="text-lg font-bold whitespace-nowrap">${formatMoney(line.net)}</p>
+                    ${line.discounts.map(d => html`<p class="text-xs text-green-600 whitespace-nowrap">${d.label}</p>`)}
+                    ${line.rentals.length > 0 ? createLineRentalsHTML(line) : ''}
+                </div>
+                <button data-item-id="${item.id}" class="remove-item-btn" aria-label="Remove item">
+                  ${ICONS.trash}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Lists the rentals on a priced line as sub-lines, e.g. "2 × Helmet  $24.00".
+ * @param {Object} line - The priced line (from priceLineItem or an order's breakdown).
+ * @returns {SafeHTML} HTML for the sub-lines, or nothing if no rentals were picked.
+ */
+function createLineRentalsHTML(line) {
+    if (!line.rentals || line.rentals.length === 0) return html``;
+    return html`
+        <ul class="rental-lines">
+            ${line.rentals.map(rental => html`<li><span>${rental.quantity} &times; ${rental.name}</span><span>${formatMoney(rental.amount)}</span></li>`)}
+        </ul>
+    `;
+}
+
+/**
+ * Creates the subtotal, discount, tax and total rows from a pricing breakdown.
+ * @param {Object} pricing - The breakdown from calculateOrderPricing.
+ * @param {string} [totalLabel='Total'] - The label for the final row.
+ * @returns {SafeHTML} HTML for the rows.
+ */
+function createPricingBreakdownHTML(pricing, totalLabel = 'Total') {
+    return html`
+        <div class="summary-row"><span>Subtotal</span><span>${formatMoney(pricing.subtotal)}</span></div>
+        ${pricing.rentalSubtotal > 0 ? html`
+            <div class="summary-row summary-row--sub"><span>Admission</span><span>${formatMoney(pricing.admissionSubtotal)}</span></div>
+            <div class="summary-row summary-row--sub"><span>Rentals</span><span>${formatMoney(pricing.rentalSubtotal)}</span></div>
+        ` : ''}
+        ${pricing.discounts.map(discount => html`
+            <div class="summary-row text-green-600"><span>${discount.label}</span><span>-${formatMoney(discount.amount)}</span></div>
+        `)}
+        ${pricing.taxes.map(tax => html`
+            <div class="summary-row"><span>${tax.label}</span><span>${formatMoney(tax.amount)}</span></div>
+        `)}
+        <div class="summary-row summary-total"><span>${totalLabel}</span><span>${formatMoney(pricing.total)}</span></div>
+    `;
+}
+
+/**
+ * Creates the promo code entry for the cart summary, or the applied code with a Remove button.
+ * @param {Object|null} promoResult - The `promo` entry of the pricing breakdown.
+ * @returns {SafeHTML} HTML for the promo code section.
+ */
+function createPromoCodeHTML(promoResult) {
+    if (promoResult) {
+        return html`
+            <div class="promo-code">
+                <div class="flex justify-between items-center">
+                    <span>Promo <strong>${promoResult.code}</strong></span>
+                    <button type="button" id="remove-promo-btn" class="link-btn">Remove</button>
+                </div>
+                <p class="text-sm ${promoResult.applied ? 'text-green-600' : 'text-red-600'}">${promoResult.message}</p>
+            </div>
+        `;
+    }
+    return html`
+        <form id="promo-form" class="promo-code flex gap-2" novalidate>
+            <input type="text" id="promo-code-input" class="form-input" placeholder="Promo code" aria-label="Promo code" autocomplete="off">
+            <button type="submit" class="btn btn-secondary">Apply</button>
+        </form>
+    `;
+}
+
+/**
+ * Lists what changed in the cart since items were added, for the rider to accept before checkout.
+ * @param {Array<Object>} changes - The changes from getCartChanges.
+ * @returns {SafeHTML} HTML for the list.
+ */
+function createCartChangesHTML(changes) {
+    return html`
+        <ul class="cart-changes">
+            ${changes.map(change => html`
+                <li>
+                    <strong>${change.parkName}</strong> (${formatDateRange(change.dates)}):
+                    ${change.type === 'removed' ? 'no longer available and will be removed.' : ''}
+                    ${change.type === 'undated' ? 'no ride dates picked, so it will be removed. Book it again from the park page.' : ''}
+                    ${change.type === 'price' ? html`price changed from ${formatMoney(change.oldTotal)} to <strong>${formatMoney(change.newTotal)}</strong>.` : ''}
+                </li>
+            `)}
+        </ul>
+    `;
+}
+
+/**
+ * Creates the HTML for the order summary component on the cart page.
+ * @param {Object} cart - The cart data object.
+ * @returns {SafeHTML} HTML for the order summary.
+ */
+function createCartSummaryHTML(cart) {
+    const pricing = calculateOrderPricing(cart.items, cart.promo);
+
+    return html`
+        <div class="cart-summary">
+            <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Order Summary</h2>
+            <div class="space-y-2">
+                ${createPricingBreakdownHTML(pricing)}
+            </div>
+            ${createPromoCodeHTML(pricing.promo)}
+            <a href="checkout.html" class="btn btn-primary w-full mt-6">Proceed to Checkout</a>
+        </div>
+    `;
+}
+
+/**
+ * Creates a slimmed-down order summary for the checkout page.
+ * @param {Object} cart - The cart data object.
+ * @returns {SafeHTML} HTML for the checkout summary.
+ */
+function createCheckoutSummaryHTML(cart) {
+    const pricing = calculateOrderPricing(cart.items, cart.promo);
+
+    return html`
+        <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Order Summary</h2>
+        <div class="space-y-4">
+            ${cart.items.map((item, i) => html`
+                <div class="flex justify-between items-start">
+                    <div>
+                        <p class="font-semibold">${item.parkName}</p>
+                        <p class="text-sm text-text-secondary">${item.tickets.adults} Adults, ${item.tickets.kids} Kids - ${item.days} Day(s)</p>
+                        <p class="text-sm text-text-secondary">${formatDateRange(item.dates)}</p>
+                        ${createLineRentalsHTML(pricing.lines[i])}
+                    </div>
+                    <p class="font-medium whitespace-nowrap">${formatMoney(pricing.lines[i].net)}</p>
+                </div>
+            `)}
+        </div>
+        <div class="mt-6 pt-4 border-t space-y-2" style="border-color: var(--border-color);">
+            ${createPricingBreakdownHTML(pricing, 'Grand Total')}
+        </div>
+        ${pricing.promo && !pricing.promo.applied ? html`<p class="text-sm text-red-600 mt-2">${pricing.promo.message}</p>` : ''}
+        <button id="checkout-btn" type="submit" form="checkout-form" class="btn btn-primary w-full mt-6">Place Order</button>
+    `;
+}
+
+/**
+ * Creates a small status badge for an order or order item.
+ * @param {string} status - A key of ORDER_STATUS_LABELS.
+ * @returns {SafeHTML} HTML for the badge.
+ */
+function createOrderStatusBadgeHTML(status) {
+    return html`<span class="status-badge status-badge--${status}">${ORDER_STATUS_LABELS[status] || 'Confirmed'}</span>`;
+}
+
+/**
+ * Creates a card for one order on the My Orders page.
+ * @param {Object} order - The order.
+ * @returns {SafeHTML} HTML for the order card.
+ */
+function createOrderCardHTML(order) {
+    const placed = new Date(order.placedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return html`
+        <a href="order-details.html?id=${order.id}" class="order-card">
+            <div class="flex justify-between items-start gap-4">
+                <div>
+                    <h3 class="font-bold text-lg">Order #${order.id}</h3>
+                    <p class="text-sm text-text-secondary">Placed ${placed}</p>
+                </div>
+                ${createOrderStatusBadgeHTML(order.status)}
+            </div>
+            <ul class="mt-3 text-sm space-y-1">
+                ${order.items.map(item => html`
+                    <li class="${item.status === 'cancelled' ? 'line-through text-text-secondary' : ''}">${item.parkName} &middot; ${formatDateRange(item.dates)}</li>
+                `)}
+            </ul>
+            <div class="flex justify-between items-center mt-4 font-semibold">
+                <span>${formatMoney(order.pricing.total)}</span>
+                ${order.refundTotal > 0 ? html`<span class="text-sm text-green-600">${formatMoney(order.refundTotal)} refunded</span>` : ''}
+            </div>
+        </a>
+    `;
+}
+
+/**
+ * Describes the cancellation policy from the pricing rules, e.g. for the order details page.
+ * @returns {SafeHTML} HTML for the policy.
+ */
+function createCancellationPolicyHTML() {
+    const tiers = PRICING_RULES.cancellation.map(tier => tier.minHoursBefore > 0
+        ? html`${Math.round(tier.percent * 100)}% refund up to ${tier.minHoursBefore} hours before your first ride day`
+        : html`${Math.round(tier.percent * 100)}% refund after that, until the ride starts`);
+    return html`
+        <div class="cancellation-policy">
+            <h3 class="font-bold mb-2">Cancellation Policy</h3>
+            <ul class="text-sm text-text-secondary list-disc pl-5 space-y-1">
+                ${tiers.map(tier => html`<li>${tier}</li>`)}
+                <li>Bookings can't be cancelled once the first ride day has started.</li>
+            </ul>
+        </div>
+    `;
+}
+
+/**
+ * Creates one booking on the order details page, with its refund or a Cancel button.
+ * @param {Object} item - The order item.
+ * @param {Date} now - The current time, used to work out the refund on offer.
+ * @returns {SafeHTML} HTML for the order item.
+ */
+function createOrderItemHTML(item, now) {
+    const refund = item.status === 'active' ? calculateRefund(item.line, item.dates[0], now) : null;
+    let actionHTML = '';
+    if (item.status === 'cancelled') {
+        actionHTML = html`<p class="text-sm text-green-600">${item.refund.label}: ${formatMoney(item.refund.amount)}</p>`;
+    } else if (refund.cancellable) {
+        actionHTML = html`<button type="button" class="link-btn cancel-item-btn no-print" data-item-id="${item.id}">Cancel booking (${refund.label.toLowerCase()})</button>`;
+    }
+    return html`
+        <div class="order-item ${item.status === 'cancelled' ? 'is-cancelled' : ''}">
+            <div class="flex justify-between items-start gap-4">
+                <div>
+                    <p class="font-semibold">${item.parkName}</p>
+                    <p class="text-sm text-text-secondary">${item.tickets.adults} Adults, ${item.tickets.kids} Kids - ${item.days} Day(s)</p>
+                    <p class="text-sm text-text-secondary">${formatDateRange(item.dates)}</p>
+                    ${createLineRentalsHTML(item.line)}
+                    ${createOrderRidersHTML(item)}
+                </div>
+                <div class="text-right">
+                    <p class="font-medium whitespace-nowrap">${formatMoney(item.line.total)}</p>
+                    ${item.status === 'cancelled' ? createOrderStatusBadgeHTML('cancelled') : ''}
+                </div>
+            </div>
+            ${actionHTML ? html`<div class="mt-2">${actionHTML}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Creates the order details page: a printable confirmation with contact details,
+ * bookings, the pricing breakdown, refunds and the cancellation policy.
+ * @param {Object} order - The order.
+ * @param {Date} [now=new Date()] - The current time, used to work out refunds on offer.
+ * @returns {SafeHTML} HTML for the page content.
+ */
+function createOrderDetailsHTML(order, now = new Date()) {
+    const placed = new Date(order.placedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    const { contact } = order;
+    const canCancelAll = order.items.some(item => item.status === 'active' && calculateRefund(item.line, item.dates[0], now).cancellable);
+    const hasTickets = order.items.some(item => item.status === 'active');
+    return html`
+        <div class="order-details">
+            <div class="flex flex-wrap justify-between items-start gap-4 mb-8">
+                <div>
+                    <a href="orders.html" class="link-btn no-print">&larr; My Orders</a>
+                    <h1 class="text-3xl font-bold mt-2">Order #${order.id}</h1>
+                    <p class="text-text-secondary">Placed ${placed}</p>
+                </div>
+                <div class="flex items-center gap-3">
+                    ${createOrderStatusBadgeHTML(order.status)}
+                    ${order.items.some(item => item.riders && item.riders.length > 0) ? html`<a href="waivers.html?id=${order.id}" class="btn btn-secondary no-print">Signed Waivers</a>` : ''}
+                    ${hasTickets ? html`<a href="ticket.html?id=${order.id}" class="btn btn-secondary no-print">Tickets</a>` : ''}
+                    ${hasTickets ? html`<button type="button" id="add-to-calendar-btn" class="btn btn-secondary no-print">Add to Calendar</button>` : ''}
+                    <button type="button" id="print-order-btn" class="btn btn-secondary no-print">Print</button>
+                    ${canCancelAll ? html`<button type="button" id="cancel-order-btn" class="btn btn-primary no-print">Cancel Order</button>` : ''}
+                </div>
+            </div>
+            <div class="grid grid-cols-1 md:grid-cols-3 gap-8 items-start">
+                <div class="md:col-span-2 bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                    <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Bookings</h2>
+                    <div class="space-y-4">
+                        ${order.items.map(item => createOrderItemHTML(item, now))}
+                    </div>
+                    <div class="mt-8">${createCancellationPolicyHTML()}</div>
+                </div>
+                <div class="md:col-span-1 space-y-8">
+                    <div class="cart-summary">
+                        <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Payment</h2>
+                        <div class="space-y-2">
+                            ${createPricingBreakdownHTML(order.pricing, 'Total Paid')}
+                            ${order.refundTotal > 0 ? html`
+                                <div class="summary-row text-green-600"><span>Refunded</span><span>-${formatMoney(order.refundTotal)}</span></div>
+                                <div class="summary-row font-bold"><span>Net Paid</span><span>${formatMoney(roundCents(order.pricing.total - order.refundTotal))}</span></div>
+                            ` : ''}
+                        </div>
+                        ${order.payment ? html`<p class="text-sm text-text-secondary mt-4">Paid with ${CARD_BRANDS[order.payment.brand] ? CARD_BRANDS[order.payment.brand].name : 'card'} ending in ${order.payment.last4}</p>` : ''}
+                    </div>
+                    <div class="bg-bg-secondary p-6 rounded-lg shadow-lg">
+                        <h2 class="text-xl font-bold mb-4">Contact</h2>
+                        <p class="font-semibold">${contact.name}</p>
+                        <p class="text-sm text-text-secondary">${contact.email}</p>
+                        <p class="text-sm text-text-secondary">${contact.phone}</p>
+                        <p class="text-sm text-text-secondary mt-2">${contact.streetName}, ${contact.streetNumber}<br>${contact.city}, ${contact.state} ${contact.zip}</p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates a labelled text input with a slot for its validation error (`#error-<id>`).
+ * @param {Object} field - The field.
+ * @param {string} field.id - The input's ID, also used for its error message.
+ * @param {string} field.name - The input's name.
+ * @param {string} field.label - The visible label.
+ * @param {string} [field.value=''] - The current value.
+ * @param {string} [field.type='text'] - The input type.
+ * @param {string} [field.autocomplete] - The autocomplete hint.
+ * @param {string} [field.className=''] - Classes for the wrapper, e.g. grid spans.
+ * @returns {SafeHTML} HTML for the field.
+ */
+function createFormFieldHTML({ id, name, label, value = '', type = 'text', autocomplete, className = '' }) {
+    return html`
+        <div class="${className}">
+            <label for="${id}" class="form-label">${label}</label>
+            <input type="${type}" id="${id}" name="${name}" value="${value}" class="form-input" ${autocomplete ? html`autocomplete="${autocomplete}"` : ''}>
+            <p id="error-${id}" class="error-message"></p>
+        </div>
+    `;
+}
+
+/**
+ * Creates the fields for one saved address on the profile page.
+ * Input IDs follow the API's error keys, e.g. `addresses-0-zip` for `addresses.0.zip`.
+ * @param {Object} address - The address.
+ * @param {number} index - Its position in the list.
+ * @param {boolean} isDefault - Whether checkout starts with it.
+ * @returns {SafeHTML} HTML for the address.
+ */
+function createAddressFieldsHTML(address, index, isDefault) {
+    const field = (name, label, autocomplete, className) => createFormFieldHTML({
+        id: `addresses-${index}-${name}`, name, label, value: address[name], autocomplete, className,
+    });
+    return html`
+        <fieldset class="address-fields" data-address-id="${address.id}">
+            <legend class="sr-only">Address ${index + 1}</legend>
+            <div class="flex flex-wrap justify-between items-center gap-4 mb-3">
+                <label class="flex items-center gap-2 text-sm">
+                    <input type="radio" name="defaultAddressId" value="${address.id}" ${isDefault ? 'checked' : ''}>
+                    Use by default at checkout
+                </label>
+                <button type="button" class="link-btn remove-address-btn" data-address-id="${address.id}">Remove</button>
+            </div>
+            <div class="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                ${field('label', 'Label (e.g. Home)', 'off', 'sm:col-span-3')}
+                ${field('streetNumber', 'Apt/Suite', 'address-line2')}
+                ${field('streetName', 'Street Address', 'address-line1', 'sm:col-span-2')}
+                ${field('city', 'City', 'address-level2')}
+                ${field('state', 'State', 'address-level1')}
+                ${field('zip', 'ZIP Code', 'postal-code')}
+            </div>
+        </fieldset>
+    `;
+}
+
+/**
+ * Creates the profile page: display name, contact details and saved addresses.
+ * Field IDs follow the API's error keys (`displayName`, `contact-email`, `addresses-0-zip`).
+ * @param {Object} profile - The profile.
+ * @param {string} accountEmail - The email the rider signs in with.
+ * @returns {SafeHTML} HTML for the page content.
+ */
+function createProfileFormHTML(profile, accountEmail) {
+    const { contact } = profile;
+    return html`
+        <form id="profile-form" class="profile-form space-y-8" novalidate>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <h2 class="text-xl font-bold mb-4">Account</h2>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    ${createFormFieldHTML({ id: 'displayName', name: 'displayName', label: 'Display Name (shown on your reviews)', value: profile.displayName, autocomplete: 'nickname' })}
+                    <div>
+                        <span class="form-label">Sign-in Email</span>
+                        <p class="py-2">${accountEmail}</p>
+                    </div>
+                </div>
+            </section>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <h2 class="text-xl font-bold mb-1">Contact Details</h2>
+                <p class="text-sm text-text-secondary mb-4">Used to fill in checkout for you.</p>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    ${createFormFieldHTML({ id: 'contact-name', name: 'name', label: 'Full Name', value: contact.name, autocomplete: 'name' })}
+                    ${createFormFieldHTML({ id: 'contact-email', name: 'email', label: 'Email Address', value: contact.email, type: 'email', autocomplete: 'email' })}
+                    ${createFormFieldHTML({ id: 'contact-phone', name: 'phone', label: 'Phone', value: contact.phone, type: 'tel', autocomplete: 'tel', className: 'sm:col-span-2' })}
+                </div>
+            </section>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <div class="flex justify-between items-center mb-4">
+                    <h2 class="text-xl font-bold">Saved Addresses</h2>
+                    <button type="button" id="add-address-btn" class="btn btn-secondary" ${profile.addresses.length >= MAX_SAVED_ADDRESSES ? 'disabled' : ''}>Add Address</button>
+                </div>
+                <p id="error-addresses" class="error-message"></p>
+                <div id="address-list" class="space-y-6">
+                    ${profile.addresses.length > 0
+                        ? profile.addresses.map((address, i) => createAddressFieldsHTML(address, i, address.id === profile.defaultAddressId))
+                        : html`<p class="text-text-secondary">No saved addresses yet.</p>`}
+                </div>
+            </section>
+            <button type="submit" id="save-profile-btn" class="btn btn-primary">Save Profile</button>
+        </form>
+    `;
+}
+
+/**
+ * Creates the text of a park's waiver.
+ * @param {Object} waiver - The waiver (from getParkWaiver, or as signed on an order item).
+ * @returns {SafeHTML} HTML for the waiver text.
+ */
+function createWaiverTextHTML(waiver) {
+    return html`
+        <div class="waiver-text">
+            <h4 class="font-bold mb-2">${waiver.title}</h4>
+            <ol class="list-decimal pl-5 space-y-2">
+                ${waiver.clauses.map(clause => html`<li>${clause}</li>`)}
+            </ol>
+        </div>
+    `;
+}
+
+/**
+ * Creates the details and waiver signature fields for one rider at checkout.
+ * Input IDs follow the API's error keys, e.g. `riders-<itemId>-0-name` for `riders.<itemId>.0.name`.
+ * The guardian fields only show while the fieldset has the `is-minor` class, which checkout toggles
+ * as dates of birth are entered.
+ * @param {Object} item - The cart item.
+ * @param {'adult'|'kid'} ticket - The rider's ticket type.
+ * @param {number} index - The rider's position on the item (see getRiderTickets).
+ * @param {Object} waiver - The park's waiver, from getParkWaiver.
+ * @returns {SafeHTML} HTML for the rider.
+ */
+function createRiderFieldsHTML(item, ticket, index, waiver) {
+    const id = (field) => `riders-${item.id}-${index}-${field}`;
+    const field = (name, label, options = {}) => createFormFieldHTML({ id: id(name), name: id(name), label, ...options });
+    const ticketNumber = getRiderTickets(item).slice(0, index + 1).filter(t => t === ticket).length;
+    return html`
+        <fieldset class="rider-fields ${ticket === 'kid' ? 'is-minor' : ''}" data-item-id="${item.id}" data-index="${index}" data-ticket="${ticket}">
+            <legend class="font-semibold">${RIDER_TICKET_LABELS[ticket]} ${ticketNumber} <span class="text-sm font-normal text-text-secondary">(ages ${formatAgeRange(waiver.ageRanges[ticket])})</span></legend>
+            <div class="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-2">
+                ${field('name', "Rider's Full Name", { autocomplete: 'off' })}
+                ${field('dateOfBirth', 'Date of Birth', { type: 'date', autocomplete: 'off' })}
+                <div>
+                    <label for="${id('experience')}" class="form-label">Experience Level</label>
+                    <select id="${id('experience')}" name="${id('experience')}" class="form-select">
+                        <option value="">Choose...</option>
+                        ${Object.entries(RIDER_EXPERIENCE_LEVELS).map(([value, label]) => html`<option value="${value}">${label}</option>`)}
+                    </select>
+                    <p id="error-${id('experience')}" class="error-message"></p>
+                </div>
+                ${field('guardianName', "Parent or Guardian's Full Name", { autocomplete: 'off', className: 'guardian-only' })}
+                <div class="sm:col-span-2">
+                    <label for="${id('signature')}" class="form-label">
+                        <span class="rider-only">Rider's Signature (type your full name)</span>
+                        <span class="guardian-only">Parent or Guardian's Signature (type your full name)</span>
+                    </label>
+                    <input type="text" id="${id('signature')}" name="${id('signature')}" class="form-input signature-input" autocomplete="off">
+                    <p id="error-${id('signature')}" class="error-message"></p>
+                </div>
+                <div class="sm:col-span-2">
+                    <label class="flex items-start gap-2 text-sm">
+                        <input type="checkbox" id="${id('agreed')}" name="${id('agreed')}" value="true" class="mt-1">
+                        <span>
+                            <span class="rider-only">I have read the ${waiver.parkName} waiver above and agree to it.</span>
+                            <span class="guardian-only">I am this rider's parent or legal guardian, and I have read the ${waiver.parkName} waiver above and agree to it on their behalf.</span>
+                        </span>
+                    </label>
+                    <p id="error-${id('agreed')}" class="error-message"></p>
+                </div>
+            </div>
+        </fieldset>
+    `;
+}
+
+/**
+ * Creates the rider details and waiver for one cart item at checkout: the park's waiver text,
+ * then the fields for each rider on the item.
+ * @param {Object} item - The cart item.
+ * @param {Object} waiver - The park's waiver, from getParkWaiver.
+ * @returns {SafeHTML} HTML for the item's riders.
+ */
+function createItemRidersHTML(item, waiver) {
+    return html`
+        <div class="item-riders" data-item-id="${item.id}" data-waiver-version="${waiver.version}">
+            <h3 class="text-lg font-bold">${item.parkName}</h3>
+            <p class="text-sm text-text-secondary mb-3">${formatDateRange(item.dates)} &middot; Riders must be at least ${waiver.ageRanges.kid.min}</p>
+            ${createWaiverTextHTML(waiver)}
+            <p id="error-riders-${item.id}" class="error-message"></p>
+            <div class="space-y-6 mt-4">
+                ${getRiderTickets(item).map((ticket, i) => createRiderFieldsHTML(item, ticket, i, waiver))}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Lists the riders on an order item, with their ticket, age and experience.
+ * Dates of birth are left out; they're on the signed waivers.
+ * @param {Object} item - The order item.
+ * @returns {SafeHTML} HTML for the riders, or nothing for orders placed before riders were recorded.
  */
-function updateCartItemQuantity(itemId, ticketType, newQuantity) {
-    const cart = getCart();
-    const itemIndex = cart.items.findIndex(item => item.id === itemId);
-    
-    if (itemIndex > -1) {
-        if (newQuantity >= 0) {
-            cart.items[itemIndex].tickets[ticketType] = newQuantity;
-            // If both adults and kids are zero, remove the item entirely.
-            if (cart.items[itemIndex].tickets.adults === 0 && cart.items[itemIndex].tickets.kids === 0) {
-                cart.items.splice(itemIndex, 1);
-            }
-        }
-    }
-    saveCart(cart);
+function createOrderRidersHTML(item) {
+    if (!item.riders || item.riders.length === 0) return html``;
+    return html`
+        <ul class="order-riders">
+            ${item.riders.map(rider => html`
+                <li>${rider.name} <span class="text-text-secondary">&middot; ${RIDER_TICKET_LABELS[rider.ticket]}, age ${rider.ageOnRideDay} &middot; ${RIDER_EXPERIENCE_LEVELS[rider.experience]}</span></li>
+            `)}
+        </ul>
+    `;
 }
 
-// --- UI Update Functions ---
-
 /**
- * Updates the cart item count indicator in the header.
+ * Creates the signed waiver record for one rider: who they are, the waiver text they agreed to,
+ * and the electronic signature.
+ * @param {Object} item - The order item.
+ * @param {Object} rider - The rider, as stored on the item.
+ * @returns {SafeHTML} HTML for the waiver record.
  */
-function updateCartCount() {
-    const cart = getCart();
-    const count = cart.items.reduce((total, item) => total + item.tickets.adults + item.tickets.kids, 0);
-    const cartCountEl = document.getElementById('cart-item-count');
-    if (cartCountEl) {
-        cartCountEl.textContent = count;
-        cartCountEl.style.display = count > 0 ? 'flex' : 'none';
-    }
+function createSignedWaiverHTML(item, rider) {
+    const signedAt = new Date(rider.signature.signedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    const dateOfBirth = parseISODate(rider.dateOfBirth).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    return html`
+        <article class="waiver-record">
+            <div class="flex flex-wrap justify-between items-start gap-4 mb-4">
+                <div>
+                    <h2 class="text-xl font-bold">${rider.name}</h2>
+                    <p class="text-sm text-text-secondary">${item.parkName} &middot; ${formatDateRange(item.dates)}</p>
+                </div>
+                ${item.status === 'cancelled' ? createOrderStatusBadgeHTML('cancelled') : ''}
+            </div>
+            <dl class="waiver-record__details">
+                <div><dt>Ticket</dt><dd>${RIDER_TICKET_LABELS[rider.ticket]}</dd></div>
+                <div><dt>Date of Birth</dt><dd>${dateOfBirth} (age ${rider.ageOnRideDay} on the first ride day)</dd></div>
+                <div><dt>Experience</dt><dd>${RIDER_EXPERIENCE_LEVELS[rider.experience]}</dd></div>
+            </dl>
+            ${createWaiverTextHTML(item.waiver)}
+            <div class="waiver-record__signature">
+                <p class="signature-name">${rider.signature.signedBy}</p>
+                <p class="text-sm text-text-secondary">
+                    Signed electronically${rider.signature.isGuardian ? html` as parent or guardian of ${rider.name}` : ''} on ${signedAt}
+                    &middot; Waiver version ${item.waiver.version}
+                </p>
+            </div>
+        </article>
+    `;
 }
 
-
-// --- SVG Icons ---
-const ICONS = {
-    logo: `<svg class="logo-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2a10 10 0 1 0 10 10A10 10 0 0 0 12 2Z"/><path d="m15 12-3 3-3-3"/></svg>`,
-    mapPin: `<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"/><circle cx="12" cy="10" r="3"/></svg>`,
-    star: `<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`,
-    starEmpty: `<svg class="icon icon--empty" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="currentColor" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/></svg>`,
-    cart: `<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="8" cy="21" r="1"/><circle cx="19" cy="21" r="1"/><path d="M2.05 2.05h2l2.66 12.42a2 2 0 0 0 2 1.58h9.78a2 2 0 0 0 1.95-1.57l1.65-7.43H5.16"/></svg>`,
-    moon: `<svg class="icon moon-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 3a6 6 0 0 0 9 9 9 9 0 1 1-9-9Z"/></svg>`,
-    sun: `<svg class="icon sun-icon" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="4"/><path d="M12 2v2"/><path d="M12 20v2"/><path d="m4.93 4.93 1.41 1.41"/><path d="m17.66 17.66 1.41 1.41"/><path d="M2 12h2"/><path d="M20 12h2"/><path d="m6.34 17.66-1.41 1.41"/><path d="m19.07 4.93-1.41 1.41"/></svg>`,
-    empty: `<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M21.5 12a9.5 9.5 0 1 1-19 0 9.5 9.5 0 0 1 19 0Z" /><path d="M15 9l-6 6m0-6l6 6" /></svg>`,
-    trash: `<svg class="icon" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/><line x1="10" y1="11" x2="10" y2="17"/><line x1="14" y1="11" x2="14" y2="17"/></svg>`
+/**
+ * Creates the printable signed waivers page for an order: one record per rider.
+ * @param {Object} order - The order.
+ * @returns {SafeHTML} HTML for the page content.
+ */
+function createSignedWaiversHTML(order) {
+    const items = order.items.filter(item => item.waiver && item.riders && item.riders.length > 0);
+    return html`
+        <div class="flex flex-wrap justify-between items-start gap-4 mb-8 no-print">
+            <div>
+                <a href="order-details.html?id=${order.id}" class="link-btn">&larr; Order #${order.id}</a>
+                <h1 class="text-3xl font-bold mt-2">Signed Waivers</h1>
+                <p class="text-text-secondary">One waiver per rider. Bring them printed or on your phone to check in.</p>
+            </div>
+            ${items.length > 0 ? html`<button type="button" id="print-waivers-btn" class="btn btn-secondary">Print</button>` : ''}
+        </div>
+        ${items.length > 0
+            ? html`<div class="space-y-8">${items.map(item => item.riders.map(rider => createSignedWaiverHTML(item, rider)))}</div>`
+            : createEmptyStateHTML('No Waivers on File', 'This order was placed before waivers were signed online. Riders will sign at the gate.', 'Back to Order', `order-details.html?id=${order.id}`)}
+    `;
 }
 
-
-// --- HTML Generation Functions ---
-
 /**
- * Renders the main site header into the `<header>` element.
+ * Draws a QR code as an SVG, with the 4-module quiet zone scanners need around it.
+ * It's always black on white, whatever the theme, so it scans from a phone screen too.
+ * Needs qrcode.js on the page.
+ * @param {string} text - The text to encode.
+ * @param {string} label - What the code is, for screen readers.
+ * @returns {SafeHTML} HTML for the SVG.
  */
-function renderHeader() {
-    const header = document.getElementById('main-header');
-    if (!header) return;
-    header.innerHTML = `
-        <nav class="main-nav container mx-auto px-4 sm:px-6 lg:px-8">
-            <a href="index.html" class="logo-link">
-                ${ICONS.logo}
-                <span>RideFinder</span>
-            </a>
-            <div class="nav-actions">
-                <button class="theme-toggle" id="theme-toggle-btn" aria-label="Toggle theme">
-                    ${ICONS.moon}
-                    ${ICONS.sun}
-                </button>
-                <a href="cart.html" class="cart-link" aria-label="View Shopping Cart">
-                    ${ICONS.cart}
-                    <span id="cart-item-count" class="cart-item-count">0</span>
-                </a>
-            </div>
-        </nav>
+function createQRCodeHTML(text, label) {
+    const { size, modules } = createQRCode(text);
+    const quietZone = 4;
+    const path = modules.flatMap((row, y) => row.map((isDark, x) => isDark ? `M${x + quietZone} ${y + quietZone}h1v1h-1z` : '')).join('');
+    return html`
+        <svg class="qr-code" viewBox="0 0 ${size + quietZone * 2} ${size + quietZone * 2}" role="img" aria-label="${label}" shape-rendering="crispEdges">
+            <rect width="100%" height="100%" fill="#fff"/>
+            <path d="${path}" fill="#000"/>
+        </svg>
     `;
-    document.getElementById('theme-toggle-btn').addEventListener('click', toggleTheme);
-    updateCartCount();
 }
 
 /**
- * Generates HTML for a star rating display.
- * @param {number} rating - The rating value (e.g., 4.5).
- * @returns {string} HTML string for the stars.
+ * Creates one gate ticket: the booking, the rider and a scannable code.
+ * @param {Object} order - The order.
+ * @param {Object} ticket - The ticket, from getOrderTickets.
+ * @returns {SafeHTML} HTML for the ticket.
  */
-function getStarRatingHTML(rating) {
-    let stars = '';
-    const fullStars = Math.floor(rating);
-    for (let i = 0; i < 5; i++) {
-        stars += i < fullStars ? ICONS.star : ICONS.starEmpty;
-    }
-    return `<div class="star-rating flex items-center">${stars}</div>`;
+function createGateTicketHTML(order, { id, item, ticket, rider, code }) {
+    return html`
+        <article class="gate-ticket">
+            <div class="gate-ticket__details">
+                <p class="text-xs font-semibold uppercase tracking-wide text-text-secondary">RideFinder Gate Ticket</p>
+                <h2 class="text-xl font-bold">${item.parkName}</h2>
+                <p class="text-sm text-text-secondary">${formatDateRange(item.dates)} &middot; ${item.days} Day(s)</p>
+                <dl class="gate-ticket__fields">
+                    <div><dt>Rider</dt><dd>${rider ? rider.name : 'Sign in at the gate'}</dd></div>
+                    <div><dt>Ticket</dt><dd>${RIDER_TICKET_LABELS[ticket]}</dd></div>
+                    <div><dt>Order</dt><dd>#${order.id}</dd></div>
+                    <div><dt>Ticket ID</dt><dd class="font-mono">${id}</dd></div>
+                </dl>
+            </div>
+            ${createQRCodeHTML(code, `Ticket code for ${rider ? rider.name : `${RIDER_TICKET_LABELS[ticket]} ticket ${id}`}`)}
+        </article>
+    `;
 }
 
 /**
- * Creates the HTML for a single park card.
- * @param {Object} park - The park data object.
- * @returns {string} HTML string for the park card.
+ * Creates the printable tickets page for an order: a gate ticket per rider, then a receipt.
+ * Needs qrcode.js on the page.
+ * @param {Object} order - The order.
+ * @returns {SafeHTML} HTML for the page content.
  */
-function createParkCardHTML(park) {
-    return `
-        <div class="park-card">
-            <a href="park-details.html?id=${park.id}" class="block">
-                <img src="${park.imageUrl}" alt="${park.name}" class="park-card__image">
-            </a>
-            <div class="park-card__content">
-                <h3 class="text-xl font-bold">${park.name}</h3>
-                <p class="park-card__location">${ICONS.mapPin} ${park.location}</p>
-                <div class="park-card__rating">
-                    ${getStarRatingHTML(park.rating)}
-                    <span class="park-card__rating-text">${park.rating.toFixed(1)} (${park.reviewCount} reviews)</span>
-                </div>
-                <p class="park-card__description">${park.shortDescription}</p>
-                <a href="park-details.html?id=${park.id}" class="btn btn-primary mt-auto">Book Now</a>
+function createOrderTicketsHTML(order) {
+    const tickets = getOrderTickets(order);
+    const placed = new Date(order.placedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    return html`
+        <div class="flex flex-wrap justify-between items-start gap-4 mb-8 no-print">
+            <div>
+                <a href="order-details.html?id=${order.id}" class="link-btn">&larr; Order #${order.id}</a>
+                <h1 class="text-3xl font-bold mt-2">Tickets</h1>
+                <p class="text-text-secondary">Show a ticket per rider at the gate, printed or on your phone.</p>
             </div>
+            ${tickets.length > 0 ? html`
+                <div class="flex items-center gap-3">
+                    <button type="button" id="add-to-calendar-btn" class="btn btn-secondary">Add to Calendar</button>
+                    <button type="button" id="print-tickets-btn" class="btn btn-secondary">Print</button>
+                </div>
+            ` : ''}
         </div>
+        ${tickets.length > 0
+            ? html`<div class="gate-tickets">${tickets.map(ticket => createGateTicketHTML(order, ticket))}</div>`
+            : createEmptyStateHTML('No Tickets', 'Every booking on this order has been cancelled.', 'Back to Order', `order-details.html?id=${order.id}`)}
+        <section class="receipt">
+            <div class="flex flex-wrap justify-between items-start gap-4 mb-4">
+                <div>
+                    <h2 class="text-xl font-bold">Receipt</h2>
+                    <p class="text-sm text-text-secondary">Order #${order.id} &middot; Placed ${placed}</p>
+                </div>
+                ${createOrderStatusBadgeHTML(order.status)}
+            </div>
+            <div class="space-y-3">
+                ${order.items.map(item => html`
+                    <div class="receipt__item ${item.status === 'cancelled' ? 'is-cancelled' : ''}">
+                        <div class="summary-row font-semibold"><span>${item.parkName}</span><span>${formatMoney(item.line.total)}</span></div>
+                        <p class="text-sm text-text-secondary">${formatTicketCounts(item.tickets)} &middot; ${formatDateRange(item.dates)}${item.status === 'cancelled' ? ' · Cancelled' : ''}</p>
+                        ${createLineRentalsHTML(item.line)}
+                    </div>
+                `)}
+            </div>
+            <div class="space-y-2 mt-4 pt-4 border-t" style="border-color: var(--border-color);">
+                ${createPricingBreakdownHTML(order.pricing, 'Total Paid')}
+                ${order.refundTotal > 0 ? html`
+                    <div class="summary-row text-green-600"><span>Refunded</span><span>-${formatMoney(order.refundTotal)}</span></div>
+                    <div class="summary-row font-bold"><span>Net Paid</span><span>${formatMoney(roundCents(order.pricing.total - order.refundTotal))}</span></div>
+                ` : ''}
+            </div>
+            <p class="text-sm text-text-secondary mt-4">
+                ${order.contact.name}${order.payment ? html` &middot; Paid with ${CARD_BRANDS[order.payment.brand] ? CARD_BRANDS[order.payment.brand].name : 'card'} ending in ${order.payment.last4}` : ''}
+            </p>
+        </section>
     `;
 }
 
 /**
- * Creates the HTML for a single review card.
- * @param {Object} review - The review data object.
- * @returns {string} HTML string for the review card.
+ * Creates a review as moderators see it: where it was posted, why it's in the queue, what riders reported,
+ * and the actions open to it.
+ * @param {Object} review - The review, from the moderation API.
+ * @returns {SafeHTML} HTML for the review.
  */
-function createReviewCardHTML(review) {
-    const reviewDate = new Date(review.createdAt).toLocaleDateString('en-US', {
-        year: 'numeric', month: 'long', day: 'numeric'
-    });
-    return `
-        <div class="review-card">
-            <div class="flex items-start justify-between">
+function createModerationReviewHTML(review) {
+    const formatDate = (iso) => new Date(iso).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+    return html`
+        <article class="review-card moderation-review">
+            <div class="flex flex-wrap items-start justify-between gap-4">
                 <div>
-                    <p class="font-bold">${review.author.isAnonymous ? 'Anonymous' : review.author.name}</p>
-                    <p class="text-sm text-text-secondary">${reviewDate}</p>
+                    <a href="reviews.html?id=${review.parkId}" class="font-bold text-accent-primary hover:underline">${review.parkName}</a>
+                    <p class="text-sm text-text-secondary">${review.author.isAnonymous ? 'Anonymous' : review.author.name} &middot; ${formatDate(review.createdAt)}${review.updatedAt ? ' (edited)' : ''}</p>
+                </div>
+                <div class="flex items-center gap-3">
+                    ${createReviewStatusBadgeHTML(review.status)}
+                    ${getStarRatingHTML(review.rating)}
                 </div>
-                ${getStarRatingHTML(review.rating)}
             </div>
-            <h4 class="text-lg font-semibold mt-3">${review.title}</h4>
+            ${review.flags.length > 0 ? html`
+                <ul class="moderation-flags" aria-label="Flags">
+                    ${review.flags.map(flag => html`<li>${REVIEW_FLAG_LABELS[flag] || flag}</li>`)}
+                </ul>
+            ` : ''}
+            <h3 class="text-lg font-semibold mt-3">${review.title}</h3>
             <p class="mt-1 text-text-secondary">${review.body}</p>
+            ${review.reports.length > 0 ? html`
+                <div class="moderation-reports">
+                    <p class="text-sm font-semibold">${review.reports.length} ${review.reports.length === 1 ? 'report' : 'reports'}</p>
+                    <ul class="text-sm text-text-secondary space-y-1 mt-1">
+                        ${review.reports.map(report => html`<li>${REVIEW_REPORT_REASONS[report.reason]} &middot; ${formatDate(report.createdAt)}${report.note ? html`: &ldquo;${report.note}&rdquo;` : ''}</li>`)}
+                    </ul>
+                </div>
+            ` : ''}
+            ${review.decision ? html`
+                <p class="text-xs text-text-secondary mt-3">
+                    ${review.decision.status === 'published' ? 'Approved' : 'Rejected'} ${formatDate(review.decision.decidedAt)}${review.decision.note ? html`: ${review.decision.note}` : ''}
+                </p>
+            ` : ''}
+            ${review.reply ? createReviewReplyHTML(review.reply) : ''}
+            <div class="review-card__actions">
+                ${review.status !== 'published' || review.reports.length > 0 ? html`
+                    <button type="button" class="btn btn-primary moderate-btn" data-action="approve" data-review-id="${review.id}">${review.status === 'published' ? 'Dismiss Reports' : 'Approve'}</button>
+                ` : ''}
+                ${review.status !== 'rejected' ? html`<button type="button" class="btn btn-secondary moderate-btn" data-action="reject" data-review-id="${review.id}">Reject</button>` : ''}
+                <button type="button" class="btn btn-secondary reply-review-btn" data-review-id="${review.id}">${review.reply ? 'Edit Reply' : 'Reply as Park'}</button>
+            </div>
+        </article>
+    `;
+}
+
+// --- Admin Console HTML ---
+
+const ADMIN_PAGES = {
+    'admin.html': 'Parks',
+    'admin-bookings.html': 'Bookings',
+    'admin-revenue.html': 'Revenue',
+    'moderation.html': 'Reviews',
+    'analytics.html': 'Analytics',
+};
+
+/**
+ * Creates the tabs linking the admin console's pages.
+ * @param {string} activePage - The current page's file name, a key of ADMIN_PAGES.
+ * @returns {SafeHTML} HTML for the tabs.
+ */
+function createAdminNavHTML(activePage) {
+    return html`
+        <nav class="admin-nav no-print" aria-label="Admin console">
+            ${Object.entries(ADMIN_PAGES).map(([page, label]) => html`
+                <a href="${page}" class="admin-nav__link ${page === activePage ? 'is-active' : ''}" ${page === activePage ? html`aria-current="page"` : ''}>${label}</a>
+            `)}
+        </nav>
+    `;
+}
+
+/**
+ * Lists every park for admins, retired ones included, with links to edit it and see its bookings.
+ * @param {Array<Object>} parks - The parks, from the admin API.
+ * @returns {SafeHTML} HTML for the table.
+ */
+function createAdminParksTableHTML(parks) {
+    return html`
+        <div class="admin-table-wrap">
+            <table class="admin-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Park</th>
+                        <th scope="col">Adult / Kid</th>
+                        <th scope="col">Guest Limit</th>
+                        <th scope="col">Rating</th>
+                        <th scope="col">Status</th>
+                        <th scope="col"><span class="sr-only">Actions</span></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${parks.map(park => html`
+                        <tr class="${park.retiredAt ? 'is-retired' : ''}">
+                            <th scope="row">
+                                <span class="font-semibold">${park.name}</span>
+                                <span class="block text-sm text-text-secondary">${park.location}</span>
+                            </th>
+                            <td>${formatMoney(park.price.adult)} / ${formatMoney(park.price.child)}</td>
+                            <td>${park.guestLimit}</td>
+                            <td>${park.reviewCount > 0 ? html`${park.rating.toFixed(1)} (${park.reviewCount})` : 'None yet'}</td>
+                            <td>${park.retiredAt ? html`<span class="status-badge status-badge--cancelled">Retired</span>` : html`<span class="status-badge">Live</span>`}</td>
+                            <td class="admin-table__actions">
+                                <a href="admin-park.html?id=${park.id}" class="link-btn">Edit</a>
+                                <a href="admin-bookings.html?park=${park.id}" class="link-btn">Bookings</a>
+                                ${park.retiredAt
+                                    ? html`<button type="button" class="link-btn restore-park-btn" data-park-id="${park.id}">Restore</button>`
+                                    : html`<button type="button" class="link-btn retire-park-btn" data-park-id="${park.id}">Retire</button>`}
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
         </div>
     `;
 }
 
 /**
- * Creates the HTML for a single item in the shopping cart.
- * @param {Object} item - The cart item object.
- * @returns {string} HTML string for the cart item.
+ * Creates the form for adding or editing a park. Errors show under each field (`#error-<id>`),
+ * with IDs following the API's error keys, e.g. `price-adult` for `price.adult`.
+ * @param {?Object} park - The park to edit, or null to add one.
+ * @returns {SafeHTML} HTML for the form.
  */
-function createCartItemHTML(item) {
-    const lineTotal = (item.tickets.adults * item.unitPrice.adult + item.tickets.kids * item.unitPrice.child) * item.days;
-    return `
-        <div class="cart-item">
-            <img src="${item.parkImage}" alt="${item.parkName}" class="cart-item__image">
-            <div class="cart-item__details">
-                <div>
-                    <h3 class="font-bold text-lg">${item.parkName}</h3>
-                    <p class="text-sm text-text-secondary">${item.days} Day(s)</p>
-                </div>
-                <div class="flex items-center gap-4 mt-2">
-                    <div>
-                        <label for="adults-${item.id}" class="text-xs font-semibold">Adults</label>
-                        <input type="number" id="adults-${item.id}" value="${item.tickets.adults}" min="0" data-item-id="${item.id}" data-type="adults" class="form-input cart-item__quantity-input quantity-input">
+function createParkFormHTML(park) {
+    const value = park || { name: '', location: '', state: '', coordinates: { lat: '', lng: '' }, shortDescription: '', description: '', imageUrl: '', price: { adult: '', child: '' }, guestLimit: '', minRiderAge: 0 };
+    return html`
+        <form id="park-form" class="space-y-8" novalidate>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <h2 class="text-xl font-bold mb-4">Details</h2>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    ${createFormFieldHTML({ id: 'name', name: 'name', label: 'Park Name', value: value.name, className: 'sm:col-span-2' })}
+                    ${createFormFieldHTML({ id: 'location', name: 'location', label: 'Location (City, ST)', value: value.location })}
+                    ${createFormFieldHTML({ id: 'state', name: 'state', label: 'State Code', value: value.state })}
+                    ${createFormFieldHTML({ id: 'coordinates-lat', name: 'lat', label: 'Latitude', value: value.coordinates.lat, type: 'number' })}
+                    ${createFormFieldHTML({ id: 'coordinates-lng', name: 'lng', label: 'Longitude', value: value.coordinates.lng, type: 'number' })}
+                    ${createFormFieldHTML({ id: 'shortDescription', name: 'shortDescription', label: 'Short Description (park cards)', value: value.shortDescription, className: 'sm:col-span-2' })}
+                    <div class="sm:col-span-2">
+                        <label for="description" class="form-label">Description</label>
+                        <textarea id="description" name="description" rows="6" class="form-input">${value.description}</textarea>
+                        <p id="error-description" class="error-message"></p>
                     </div>
-                    <div>
-                        <label for="kids-${item.id}" class="text-xs font-semibold">Kids</label>
-                        <input type="number" id="kids-${item.id}" value="${item.tickets.kids}" min="0" data-item-id="${item.id}" data-type="kids" class="form-input cart-item__quantity-input quantity-input">
+                </div>
+            </section>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <h2 class="text-xl font-bold mb-4">Image</h2>
+                <div class="grid grid-cols-1 sm:grid-cols-3 gap-6 items-start">
+                    <img id="image-preview" src="${value.imageUrl}" alt="" class="park-image-preview ${value.imageUrl ? '' : 'hidden'}">
+                    <div class="sm:col-span-2 space-y-4">
+                        ${createFormFieldHTML({ id: 'imageUrl', name: 'imageUrl', label: 'Image Address', value: value.imageUrl.startsWith('data:') ? '' : value.imageUrl, type: 'url' })}
+                        <div>
+                            <label for="image-upload" class="form-label">Or Upload an Image</label>
+                            <input type="file" id="image-upload" accept="image/png,image/jpeg,image/gif,image/webp" class="form-input">
+                            <p class="text-xs text-text-secondary mt-1">PNG, JPEG, GIF or WebP, up to about 350 KB.</p>
+                        </div>
                     </div>
                 </div>
-            </div>
-            <div class="cart-item__actions">
-                <p class="text-lg font-bold whitespace-nowrap">$${lineTotal.toFixed(2)}</p>
-                <button data-item-id="${item.id}" class="remove-item-btn" aria-label="Remove item">
-                  ${ICONS.trash}
-                </button>
-            </div>
-        </div>
+            </section>
+            <section class="bg-bg-secondary p-6 sm:p-8 rounded-lg shadow-lg">
+                <h2 class="text-xl font-bold mb-1">Prices & Capacity</h2>
+                <p class="text-sm text-text-secondary mb-4">Riders with these parks in their cart are asked to confirm new prices before paying.</p>
+                <div class="grid grid-cols-1 sm:grid-cols-2 gap-6">
+                    ${createFormFieldHTML({ id: 'price-adult', name: 'adult', label: 'Adult Price per Day ($)', value: value.price.adult, type: 'number' })}
+                    ${createFormFieldHTML({ id: 'price-child', name: 'child', label: 'Kid Price per Day ($)', value: value.price.child, type: 'number' })}
+                    ${createFormFieldHTML({ id: 'guestLimit', name: 'guestLimit', label: 'Guest Limit per Day', value: value.guestLimit, type: 'number' })}
+                    ${createFormFieldHTML({ id: 'minRiderAge', name: 'minRiderAge', label: 'Minimum Rider Age', value: value.minRiderAge, type: 'number' })}
+                </div>
+                ${park ? '' : html`<p class="text-sm text-text-secondary mt-4">New parks open Wednesday to Sunday, 9 AM to 5 PM.</p>`}
+            </section>
+            <button type="submit" id="save-park-btn" class="btn btn-primary">${park ? 'Save Changes' : 'Add Park'}</button>
+        </form>
     `;
 }
 
 /**
- * Creates the HTML for the order summary component (used in cart and checkout).
- * @param {Object} cart - The cart data object.
- * @returns {string} HTML string for the order summary.
+ * Creates a park's day-by-day occupancy table: guests booked against capacity, with each day's bookings.
+ * @param {Array<Object>} days - The days, from getParkOccupancy.
+ * @returns {SafeHTML} HTML for the table.
  */
-function createCartSummaryHTML(cart) {
-    const subtotal = cart.items.reduce((total, item) => total + (item.tickets.adults * item.unitPrice.adult + item.tickets.kids * item.unitPrice.child) * item.days, 0);
-    const discount = subtotal > 500 ? subtotal * 0.10 : 0;
-    const tax = (subtotal - discount) * 0.08;
-    const total = subtotal - discount + tax;
+function createOccupancyTableHTML(days) {
+    return html`
+        <div class="admin-table-wrap">
+            <table class="admin-table occupancy-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Day</th>
+                        <th scope="col">Booked</th>
+                        <th scope="col">Occupancy</th>
+                        <th scope="col">Bookings</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${days.map(day => {
+                        const percent = Math.round(day.occupancy * 100);
+                        const level = day.occupancy >= 1 ? 'full' : day.occupancy >= 0.8 ? 'high' : 'normal';
+                        return html`
+                            <tr class="${day.isOpen ? '' : 'is-closed'}">
+                                <th scope="row" class="whitespace-nowrap">
+                                    ${parseISODate(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                    ${day.isOpen ? '' : html`<span class="block text-xs text-text-secondary">${day.reason}</span>`}
+                                </th>
+                                <td class="whitespace-nowrap">${day.guests} / ${day.capacity}</td>
+                                <td>
+                                    <div class="occupancy-bar occupancy-bar--${level}" role="img" aria-label="${percent}% full">
+                                        <span style="width: ${Math.min(100, percent)}%"></span>
+                                    </div>
+                                    <span class="text-xs text-text-secondary">${percent}%</span>
+                                </td>
+                                <td>
+                                    ${day.bookings.length === 0 ? html`<span class="text-text-secondary">&ndash;</span>` : html`
+                                        <details>
+                                            <summary>${day.bookings.length} ${day.bookings.length === 1 ? 'booking' : 'bookings'}</summary>
+                                            <ul class="text-sm space-y-1 mt-2">
+                                                ${day.bookings.map(booking => html`
+                                                    <li>#${booking.orderId} &middot; ${booking.contact.name} &middot; ${formatTicketCounts({ adults: booking.adults, kids: booking.kids })}</li>
+                                                `)}
+                                            </ul>
+                                        </details>
+                                    `}
+                                </td>
+                            </tr>
+                        `;
+                    })}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
 
-    return `
-        <div class="cart-summary">
-            <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Order Summary</h2>
-            <div class="space-y-2">
-                <div class="summary-row"><span>Subtotal</span><span>$${subtotal.toFixed(2)}</span></div>
-                <div class="summary-row text-green-600"><span>Bundle Discount</span><span>-$${discount.toFixed(2)}</span></div>
-                <div class="summary-row"><span>Tax (8%)</span><span>$${tax.toFixed(2)}</span></div>
-                <div class="summary-row summary-total"><span>Total</span><span>$${total.toFixed(2)}</span></div>
-            </div>
-            <a href="checkout.html" class="btn btn-primary w-full mt-6">Proceed to Checkout</a>
+/**
+ * Creates the revenue report: headline totals, then a row per park.
+ * @param {Object} report - The report, from getRevenueReport.
+ * @returns {SafeHTML} HTML for the report.
+ */
+function createRevenueReportHTML(report) {
+    const { totals } = report;
+    if (totals.bookings === 0) {
+        return createEmptyStateHTML('No Orders', 'No orders were placed in this period.');
+    }
+    const stats = [
+        ['Orders', report.orderCount],
+        ['Guests Booked', totals.guests],
+        ['Revenue', formatMoney(totals.total)],
+        ['Refunded', formatMoney(totals.refund)],
+        ['Net Revenue', formatMoney(totals.net)],
+    ];
+    const moneyCells = (row) => html`
+        <td>${formatMoney(row.gross)}</td>
+        <td>-${formatMoney(row.discount)}</td>
+        <td>${formatMoney(row.tax)}</td>
+        <td>${formatMoney(row.total)}</td>
+        <td>-${formatMoney(row.refund)}</td>
+        <td class="font-semibold">${formatMoney(row.net)}</td>
+    `;
+    return html`
+        <dl class="revenue-stats">
+            ${stats.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+        </dl>
+        <div class="admin-table-wrap mt-8">
+            <table class="admin-table revenue-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Park</th>
+                        <th scope="col">Bookings</th>
+                        <th scope="col">Guests</th>
+                        <th scope="col">Gross</th>
+                        <th scope="col">Discounts</th>
+                        <th scope="col">Tax</th>
+                        <th scope="col">Total</th>
+                        <th scope="col">Refunds</th>
+                        <th scope="col">Net</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.parks.map(row => html`
+                        <tr>
+                            <th scope="row">${row.parkName}</th>
+                            <td>${row.bookings}</td>
+                            <td>${row.guests}</td>
+                            ${moneyCells(row)}
+                        </tr>
+                    `)}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th scope="row">All Parks</th>
+                        <td>${totals.bookings}</td>
+                        <td>${totals.guests}</td>
+                        ${moneyCells(totals)}
+                    </tr>
+                </tfoot>
+            </table>
         </div>
     `;
 }
 
+// --- Analytics Dashboard HTML ---
+
 /**
- * Creates a slimmed-down order summary for the checkout page.
- * @param {Object} cart - The cart data object.
- * @returns {string} HTML string for the checkout summary.
+ * Formats a fraction as a whole percentage, e.g. 0.256 as "26%".
+ * @param {number} fraction - The fraction.
+ * @returns {string} The percentage.
  */
-function createCheckoutSummaryHTML(cart) {
-    const subtotal = cart.items.reduce((total, item) => total + (item.tickets.adults * item.unitPrice.adult + item.tickets.kids * item.unitPrice.child) * item.days, 0);
-    const discount = subtotal > 500 ? subtotal * 0.10 : 0;
-    const tax = (subtotal - discount) * 0.08;
-    const total = subtotal - discount + tax;
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
 
-    return `
-        <h2 class="text-xl font-bold mb-4 border-b pb-3" style="border-color: var(--border-color);">Order Summary</h2>
-        <div class="space-y-4">
-            ${cart.items.map(item => `
-                <div class="flex justify-between items-start">
-                    <div>
-                        <p class="font-semibold">${item.parkName}</p>
-                        <p class="text-sm text-text-secondary">${item.tickets.adults} Adults, ${item.tickets.kids} Kids - ${item.days} Day(s)</p>
-                    </div>
-                    <p class="font-medium whitespace-nowrap">$${((item.tickets.adults * item.unitPrice.adult + item.tickets.kids * item.unitPrice.child) * item.days).toFixed(2)}</p>
+/**
+ * Creates a two-column table for the analytics dashboard, e.g. validation errors by field.
+ * @param {string} title - The heading.
+ * @param {Array<{key: string, count: number}>} rows - The rows, most frequent first.
+ * @param {string} keyLabel - The first column's heading.
+ * @param {string} emptyMessage - Shown when there are no rows.
+ * @returns {SafeHTML} HTML for the table.
+ */
+function createAnalyticsCountTableHTML(title, rows, keyLabel, emptyMessage) {
+    return html`
+        <section>
+            <h2 class="text-xl font-bold mb-4">${title}</h2>
+            ${rows.length === 0 ? html`<p class="text-text-secondary">${emptyMessage}</p>` : html`
+                <div class="admin-table-wrap">
+                    <table class="admin-table">
+                        <thead><tr><th scope="col">${keyLabel}</th><th scope="col">Count</th></tr></thead>
+                        <tbody>
+                            ${rows.slice(0, 10).map(row => html`<tr><th scope="row"><code>${row.key}</code></th><td>${row.count}</td></tr>`)}
+                        </tbody>
+                    </table>
                 </div>
-            `).join('')}
-        </div>
-        <div class="mt-6 pt-4 border-t space-y-2" style="border-color: var(--border-color);">
-            <div class="summary-row"><span>Subtotal</span><span>$${subtotal.toFixed(2)}</span></div>
-            <div class="summary-row text-green-600"><span>Discount</span><span>-$${discount.toFixed(2)}</span></div>
-            <div class="summary-row"><span>Tax</span><span>$${tax.toFixed(2)}</span></div>
-            <div class="summary-row summary-total"><span>Grand Total</span><span>$${total.toFixed(2)}</span></div>
+            `}
+        </section>
+    `;
+}
+
+/**
+ * Creates the analytics dashboard: the booking funnel, checkout abandonment, where checkout validation
+ * fails, the most viewed parks and the most used filters.
+ * @param {Object} summary - The summary, from summarizeAnalyticsEvents.
+ * @returns {SafeHTML} HTML for the dashboard.
+ */
+function createAnalyticsDashboardHTML(summary) {
+    if (summary.eventCount === 0) {
+        return createEmptyStateHTML('No Events Yet', 'Browse parks, add a ride to your cart or check out, then come back to see the funnel.', 'Explore Parks', 'index.html');
+    }
+    const stats = [
+        ['Visits', summary.visitCount],
+        ['Events', summary.eventCount],
+        ['Checkouts Abandoned', `${summary.checkout.abandoned} of ${summary.checkout.started}`],
+        ['Order Value', formatMoney(summary.checkout.revenue)],
+        ['Reviews', summary.reviews.count > 0 ? `${summary.reviews.count} (avg ${summary.reviews.averageRating.toFixed(1)})` : '0'],
+    ];
+    return html`
+        <dl class="revenue-stats">
+            ${stats.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+        </dl>
+        <section class="mt-10">
+            <h2 class="text-xl font-bold mb-4">Booking Funnel</h2>
+            <ol class="funnel">
+                ${summary.funnel.map((step, i) => html`
+                    <li class="funnel-step">
+                        <div class="flex justify-between gap-4 text-sm">
+                            <span class="font-semibold">${step.label}</span>
+                            <span>${step.visits} ${step.visits === 1 ? 'visit' : 'visits'}${i > 0 ? html` &middot; ${formatPercent(step.fromPrevious)} of the step before` : ''}</span>
+                        </div>
+                        <div class="funnel-step__bar" role="img" aria-label="${formatPercent(step.fromStart)} of visits that viewed a park">
+                            <span style="width: ${Math.round(step.fromStart * 100)}%"></span>
+                        </div>
+                    </li>
+                `)}
+            </ol>
+        </section>
+        <div class="grid grid-cols-1 lg:grid-cols-2 gap-10 mt-10">
+            <section>
+                <h2 class="text-xl font-bold mb-4">Most Viewed Parks</h2>
+                ${summary.parks.length === 0 ? html`<p class="text-text-secondary">No parks have been viewed.</p>` : html`<div class="admin-table-wrap">
+                    <table class="admin-table">
+                        <thead><tr><th scope="col">Park</th><th scope="col">Views</th><th scope="col">Added to Cart</th></tr></thead>
+                        <tbody>
+                            ${summary.parks.slice(0, 10).map(park => html`
+                                <tr><th scope="row">${park.parkName}</th><td>${park.views}</td><td>${park.adds}</td></tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>`}
+            </section>
+            ${createAnalyticsCountTableHTML('Checkout Validation Failures', summary.validationFields, 'Field', 'No rider has been stopped by a checkout error.')}
+            ${createAnalyticsCountTableHTML('Filters Used', summary.filters, 'Filter', 'No filters have been applied.')}
         </div>
-        <button id="checkout-btn" type="submit" form="checkout-form" class="btn btn-primary w-full mt-6">Place Order</button>
     `;
 }
 
 // --- Skeleton and Empty State HTML ---
 
 function createParkCardSkeletonHTML() {
-    return `
+    return html`
         <div class="skeleton-card">
             <div class="skeleton-img skeleton-pulse"></div>
             <div class="p-6">
@@ -369,8 +4247,8 @@ function createParkCardSkeletonHTML() {
 }
 
 function createEmptyStateHTML(title, message, btnText, btnLink) {
-    const buttonHTML = btnText && btnLink ? `<a href="${btnLink}" class="btn btn-primary mt-6">${btnText}</a>` : '';
-    return `
+    const buttonHTML = btnText && btnLink ? html`<a href="${btnLink}" class="btn btn-primary mt-6">${btnText}</a>` : '';
+    return html`
         <div class="empty-state">
             ${ICONS.empty}
             <h3 class="text-2xl font-bold mt-4">${title}</h3>
@@ -380,30 +4258,68 @@ function createEmptyStateHTML(title, message, btnText, btnLink) {
     `;
 }
 
+/**
+ * Creates the HTML for an error state with a "Try Again" button.
+ * @param {string} title - The error heading.
+ * @param {string} message - The error details.
+ * @returns {SafeHTML} HTML for the error state.
+ */
+function createErrorStateHTML(title, message) {
+    return html`
+        <div class="empty-state" role="alert">
+            ${ICONS.empty}
+            <h3 class="text-2xl font-bold mt-4">${title}</h3>
+            <p class="text-text-secondary">${message}</p>
+            <button type="button" class="btn btn-primary mt-6 retry-btn">Try Again</button>
+        </div>
+    `;
+}
+
+/**
+ * Replaces a container's content with an error state whose "Try Again" button re-runs a load.
+ * Use this when a data service call fails so the page never sits on a skeleton forever.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Error} error - The error that was raised.
+ * @param {Function} onRetry - Called when the rider clicks "Try Again".
+ */
+function showErrorState(container, error, onRetry) {
+    container.innerHTML = createErrorStateHTML('Something Went Wrong', `${error.message}. Please try again.`);
+    container.querySelector('.retry-btn').addEventListener('click', onRetry);
+}
+
 /**
  * Creates the main content for the Park Details page.
  * @param {Object} park - The park data object.
  * @param {Array<Object>} reviews - An array of recent reviews for the park.
- * @returns {string} HTML string for the page content.
+ * @param {boolean} [isFavorite=false] - Whether the rider has saved the park.
+ * @param {?string} [currentAuthorId=null] - The signed-in rider's user ID, so their own reviews can't be voted on or reported.
+ * @returns {SafeHTML} HTML for the page content.
  */
-function createParkDetailsHTML(park, reviews) {
-    return `
+function createParkDetailsHTML(park, reviews, isFavorite = false, currentAuthorId = null) {
+    return html`
         <div data-aos="fade-in">
             <img src="${park.imageUrl}" alt="${park.name}" class="details-hero-image">
         </div>
         <div class="grid grid-cols-1 md:grid-cols-3 gap-8 mt-8">
             <div class="md:col-span-2" data-aos="fade-right">
-                <h1 class="text-4xl font-extrabold">${park.name}</h1>
+                <div class="flex items-start justify-between gap-4">
+                    <h1 class="text-4xl font-extrabold">${park.name}</h1>
+                    ${createFavoriteButtonHTML(park, isFavorite)}
+                </div>
                 <div class="flex flex-wrap items-center text-text-secondary mt-2 mb-6 gap-x-4 gap-y-2">
                     <span class="flex items-center gap-2">${ICONS.mapPin} ${park.location}</span>
                     <span class="flex items-center gap-2">${getStarRatingHTML(park.rating)} ${park.rating.toFixed(1)} (${park.reviewCount} reviews)</span>
                 </div>
                 <h2 class="text-2xl font-bold mb-3 border-b pb-2" style="border-color: var(--border-color);">About the Park</h2>
                 <p class="text-lg leading-relaxed text-text-secondary">${park.description}</p>
+                <div class="mt-8">
+                    <h2 class="text-2xl font-bold mb-3 border-b pb-2" style="border-color: var(--border-color);">Hours & Conditions</h2>
+                    ${createParkHoursHTML(park)}
+                </div>
                 <div class="mt-8">
                     <h2 class="text-2xl font-bold mb-3 border-b pb-2" style="border-color: var(--border-color);">Recent Reviews</h2>
                     <div class="space-y-4">
-                        ${reviews.length > 0 ? reviews.map(createReviewCardHTML).join('') : '<p class="text-text-secondary">No reviews yet. Be the first!</p>'}
+                        ${reviews.length > 0 ? reviews.map(review => createReviewCardHTML(review, currentAuthorId)) : html`<p class="text-text-secondary">No reviews yet. Be the first!</p>`}
                     </div>
                     <a href="reviews.html?id=${park.id}" class="inline-block mt-4 font-semibold text-accent-primary hover:underline">View all ${park.reviewCount} reviews &rarr;</a>
                 </div>
@@ -413,23 +4329,43 @@ function createParkDetailsHTML(park, reviews) {
                     <h2 class="text-xl font-bold mb-4">Book Your Ride</h2>
                     <div class="space-y-4">
                         <div>
-                            <label for="adults" class="form-label">Adults ($${park.price.adult}/day)</label>
+                            <label for="adults" class="form-label">Adults, ${formatAgeRange(getTicketAgeRange(park, 'adult'))} ($${park.price.adult}/day)</label>
                             <input type="number" id="adults" min="0" value="1" class="form-input">
                         </div>
                         <div>
-                            <label for="kids" class="form-label">Kids ($${park.price.child}/day)</label>
+                            <label for="kids" class="form-label">Kids, ${formatAgeRange(getTicketAgeRange(park, 'kid'))} ($${park.price.child}/day)</label>
                             <input type="number" id="kids" min="0" value="0" class="form-input">
                         </div>
                         <div>
                             <label for="days" class="form-label">Days</label>
                             <select id="days" class="form-select">
-                                <option value="1">1 Day</option><option value="2">2 Days</option><option value="3">3 Days</option>
+                                ${Array.from({ length: MAX_BOOKING_DAYS }, (_, i) => html`<option value="${i + 1}">${i + 1} Day${i > 0 ? 's' : ''}</option>`)}
                             </select>
                         </div>
+                        <div>
+                            <span id="ride-dates-label" class="form-label">Ride Dates</span>
+                            <div id="availability-calendar" class="availability-calendar" role="group" aria-labelledby="ride-dates-label"></div>
+                            <p id="availability-note" class="text-sm text-text-secondary mt-2" aria-live="polite"></p>
+                        </div>
+                        ${park.rentals && park.rentals.length > 0 ? html`
+                            <fieldset>
+                                <legend class="form-label">Rentals</legend>
+                                <div class="space-y-2">
+                                    ${park.rentals.map(rental => html`
+                                        <div class="rental-row">
+                                            <label for="rental-${rental.id}" class="text-sm">${rental.name} <span class="text-text-secondary">($${rental.price}/day)</span></label>
+                                            <input type="number" id="rental-${rental.id}" min="0" value="0" data-rental-id="${rental.id}" class="form-input rental-input">
+                                            <p id="rental-note-${rental.id}" class="rental-row__note text-xs text-text-secondary"></p>
+                                        </div>
+                                    `)}
+                                </div>
+                            </fieldset>
+                        ` : ''}
                     </div>
-                    <div class="booking-widget__total">
+                    <div class="booking-widget__total" aria-live="polite" aria-atomic="true">
                         <span>Total:</span> <span id="total-price" class="text-accent-primary">$0.00</span>
                     </div>
+                    <p id="price-discounts" class="text-sm text-green-600 text-right"></p>
                     <button id="add-to-cart-btn" class="btn btn-primary w-full mt-4">Add to Cart</button>
                 </div>
             </div>
@@ -437,8 +4373,116 @@ function createParkDetailsHTML(park, reviews) {
     `;
 }
 
+/**
+ * Creates the park page's hours and conditions: today's track status with the park's note,
+ * the weekly opening hours and any closures coming up.
+ * @param {Object} park - The park data object.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {SafeHTML} HTML for the section's content.
+ */
+function createParkHoursHTML(park, now = new Date()) {
+    const status = getParkStatus(park, now);
+    const todayKey = getWeekdayKey(toISODate(now));
+    const closures = getUpcomingClosures(park, now);
+    return html`
+        <div class="park-conditions">
+            <div class="flex flex-wrap items-center gap-3">
+                ${createTrackStatusBadgeHTML(status.status)}
+                <span class="font-semibold">${status.hours ? html`Open today ${formatOpeningHours(status.hours)}` : 'Closed today'}</span>
+            </div>
+            ${status.note ? html`<p class="text-text-secondary mt-2">${status.note}</p>` : ''}
+            ${status.updatedAt ? html`<p class="text-xs text-text-secondary mt-1">Updated ${new Date(status.updatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</p>` : ''}
+        </div>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-6 mt-4">
+            <div>
+                <h3 class="font-bold mb-2">Opening Hours</h3>
+                <table class="hours-table">
+                    <tbody>
+                        ${Object.entries(WEEKDAY_LABELS).map(([key, label]) => html`
+                            <tr class="${key === todayKey ? 'is-today' : ''}">
+                                <th scope="row">${label}</th>
+                                <td>${formatOpeningHours(park.hours?.[key])}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+            <div>
+                <h3 class="font-bold mb-2">Upcoming Closures</h3>
+                ${closures.length > 0 ? html`
+                    <ul class="closure-list">
+                        ${closures.map(closure => html`
+                            <li>
+                                <span class="font-semibold">${formatDateRange(closure.from === closure.to ? [closure.from] : [closure.from, closure.to])}</span>
+                                <span class="text-text-secondary">&middot; ${CLOSURE_REASON_LABELS[closure.reason] || 'Closed'}</span>
+                                ${closure.note ? html`<p class="text-sm text-text-secondary">${closure.note}</p>` : ''}
+                            </li>
+                        `)}
+                    </ul>
+                ` : html`<p class="text-text-secondary">No closures scheduled in the next ${CLOSURE_LOOKAHEAD_DAYS} days.</p>`}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Creates the availability calendar used by the booking widget.
+ * Every upcoming day shows its remaining spots; past, closed and sold-out days are disabled.
+ * @param {Date} month - Any date within the month to show.
+ * @param {Object<string, number>} availability - Remaining spots keyed by `YYYY-MM-DD` date.
+ * @param {Array<string>} selectedDates - The currently selected ride dates.
+ * @param {Object<string, Object>} [schedule={}] - Each day's schedule ({isOpen, reason, note}) keyed by date, as from parksApi.getSchedule.
+ * @returns {SafeHTML} HTML for the calendar.
+ */
+function createAvailabilityCalendarHTML(month, availability, selectedDates = [], schedule = {}) {
+    const now = new Date();
+    const today = toISODate(now);
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    const leadingBlanks = new Date(year, monthIndex, 1).getDay();
+    const monthOffset = (year - now.getFullYear()) * 12 + monthIndex - now.getMonth();
+
+    const dayCells = Array.from({ length: daysInMonth }, (_, i) => {
+        const date = toISODate(new Date(year, monthIndex, i + 1));
+        const isPast = date < today;
+        const remaining = availability[date];
+        const isUnknown = !isPast && remaining === undefined; // Not loaded yet
+        const closedDay = !isPast && schedule[date] && !schedule[date].isOpen ? schedule[date] : null;
+        const isSoldOut = !isPast && !closedDay && remaining === 0;
+        const isSelected = selectedDates.includes(date);
+        const classes = [
+            'calendar-day',
+            isPast ? 'is-past' : '',
+            closedDay ? 'is-closed' : '',
+            isSoldOut ? 'is-sold-out' : '',
+            isSelected ? 'is-selected' : '',
+        ].filter(Boolean).join(' ');
+        const label = closedDay ? html`closed, ${closedDay.reason}` : isPast || isUnknown ? 'unavailable' : isSoldOut ? 'sold out' : html`${remaining} spots left`;
+        return html`
+            <button type="button" class="${classes}" data-date="${date}" ${isPast || isUnknown || isSoldOut || closedDay ? 'disabled' : ''} aria-pressed="${String(isSelected)}" aria-label="${formatDateRange([date])}, ${label}" ${closedDay ? html`title="${closedDay.note || closedDay.reason}"` : ''}>
+                <span class="calendar-day__number">${i + 1}</span>
+                <span class="calendar-day__spots">${closedDay ? 'Closed' : isPast || isUnknown ? '' : isSoldOut ? 'Full' : remaining}</span>
+            </button>
+        `;
+    });
+
+    return html`
+        <div class="calendar-header">
+            <button type="button" class="calendar-nav" data-month-step="-1" aria-label="Previous month" ${monthOffset <= 0 ? 'disabled' : ''}>&lsaquo;</button>
+            <span class="font-semibold">${month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}</span>
+            <button type="button" class="calendar-nav" data-month-step="1" aria-label="Next month" ${monthOffset >= BOOKING_WINDOW_MONTHS - 1 ? 'disabled' : ''}>&rsaquo;</button>
+        </div>
+        <div class="calendar-grid">
+            ${['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'].map(day => html`<span class="calendar-weekday">${day}</span>`)}
+            ${Array(leadingBlanks).fill(html`<span></span>`)}
+            ${dayCells}
+        </div>
+    `;
+}
+
 function createParkDetailsSkeletonHTML() {
-    return `
+    return html`
         <div class="w-full h-64 md:h-96 rounded-lg skeleton-pulse"></div>
         <div class="grid grid-cols-1 md:grid-cols-3 gap-8 mt-8">
             <div class="md:col-span-2">
@@ -453,25 +4497,111 @@ function createParkDetailsSkeletonHTML() {
     `;
 }
 
-function createReviewsPageHTML(park, reviews) {
-    const averageRating = reviews.length ? reviews.reduce((acc, r) => acc + r.rating, 0) / reviews.length : 0;
-    return `
-        <div class="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
+/**
+ * Creates the main content for the Reviews page. The histogram and results are filled in
+ * separately (see createRatingHistogramHTML and createReviewResultsHTML) so the toolbar
+ * keeps focus while the rider types.
+ * @param {Object} park - The park data object.
+ * @param {Object} filters - The current `sort` and `q` values.
+ * @returns {SafeHTML} HTML for the page content.
+ */
+function createReviewsPageHTML(park, filters) {
+    return html`
+        <div class="flex flex-col md:flex-row justify-between items-start gap-6 mb-8">
             <div>
                 <a href="park-details.html?id=${park.id}" class="text-accent-primary hover:underline">&larr; Back to ${park.name}</a>
                 <h1 class="text-3xl font-bold mt-2">${park.name} Reviews</h1>
-                <div class="flex items-center text-text-secondary mt-2">
-                    ${getStarRatingHTML(averageRating)}
-                    <span class="ml-2">${averageRating.toFixed(1)} average from ${reviews.length} reviews</span>
-                </div>
+                <div id="rating-summary" class="mt-4"></div>
             </div>
-            <button id="add-review-btn" class="btn btn-primary mt-4 md:mt-0 shrink-0">
+            <button id="add-review-btn" class="btn btn-primary shrink-0">
                 Add Review
             </button>
         </div>
-        <div class="space-y-6">
-            ${reviews.length > 0 ? reviews.map(createReviewCardHTML).join('') : createEmptyStateHTML('No Reviews Yet', 'Be the first to share your experience!')}
+        <div class="reviews-toolbar">
+            <div class="flex-grow">
+                <label for="review-search" class="form-label">Search Reviews</label>
+                <input type="search" id="review-search" class="form-input" placeholder="Search titles and reviews..." value="${filters.q}">
+            </div>
+            <div>
+                <label for="review-sort" class="form-label">Sort By</label>
+                <select id="review-sort" class="form-select">
+                    ${Object.entries(REVIEW_SORT_OPTIONS).map(([value, label]) => html`<option value="${value}" ${filters.sort === value ? 'selected' : ''}>${label}</option>`)}
+                </select>
+            </div>
+        </div>
+        <div id="review-results" class="mt-6"></div>
+    `;
+}
+
+/**
+ * Creates the rating summary with a 5-to-1 star histogram. Each bar is a toggle that filters by its star level.
+ * @param {{average: number, count: number, distribution: Object<number, number>}} summary - The park's rating summary.
+ * @param {Array<number>} selectedStars - The star levels currently filtered on.
+ * @returns {SafeHTML} HTML for the summary.
+ */
+function createRatingHistogramHTML(summary, selectedStars = []) {
+    const rows = [5, 4, 3, 2, 1].map(stars => {
+        const count = summary.distribution[stars] || 0;
+        const percent = summary.count ? Math.round((count / summary.count) * 100) : 0;
+        const isSelected = selectedStars.includes(stars);
+        return html`
+            <button type="button" class="histogram-row ${isSelected ? 'is-selected' : ''}" data-stars="${stars}" aria-pressed="${isSelected}" aria-label="${stars} star reviews: ${count}">
+                <span class="histogram-row__label">${stars} star</span>
+                <span class="histogram-row__bar"><span style="width: ${percent}%"></span></span>
+                <span class="histogram-row__count">${count}</span>
+            </button>
+        `;
+    });
+    return html`
+        <div class="flex items-center text-text-secondary">
+            ${getStarRatingHTML(summary.average)}
+            <span class="ml-2">${summary.average.toFixed(1)} average from ${summary.count} reviews</span>
         </div>
+        <div class="rating-histogram mt-3">${rows}</div>
+        ${selectedStars.length > 0 ? html`<button type="button" id="clear-star-filter" class="link-btn mt-2">Clear star filter</button>` : ''}
+    `;
+}
+
+/**
+ * Creates numbered pagination controls.
+ * @param {number} page - The current page (1-based).
+ * @param {number} pageCount - The total number of pages.
+ * @returns {SafeHTML|string} HTML for the pagination, or '' when there's only one page.
+ */
+function createPaginationHTML(page, pageCount) {
+    if (pageCount <= 1) return '';
+    const pages = Array.from({ length: pageCount }, (_, i) => i + 1).map(n => html`
+        <button type="button" class="pagination__btn ${n === page ? 'is-current' : ''}" data-page="${n}" ${n === page ? html`aria-current="page"` : ''}>${n}</button>
+    `);
+    return html`
+        <nav class="pagination" aria-label="Review pages">
+            <button type="button" class="pagination__btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>&larr; Prev</button>
+            ${pages}
+            <button type="button" class="pagination__btn" data-page="${page + 1}" ${page >= pageCount ? 'disabled' : ''}>Next &rarr;</button>
+        </nav>
     `;
 }
 
+/**
+ * Creates one page of review results with its pagination.
+ * @param {Object} result - A review search result: html`reviews`, `total`, `page`, `pageCount` and `summary`.
+ * @param {string} [currentAuthorId] - The current author, whose reviews get Edit/Delete actions.
+ * @returns {SafeHTML} HTML for the results.
+ */
+function createReviewResultsHTML(result, currentAuthorId) {
+    if (result.summary.count === 0) {
+        return createEmptyStateHTML('No Reviews Yet', 'Be the first to share your experience!');
+    }
+    if (result.total === 0) {
+        return createEmptyStateHTML('No Matching Reviews', 'Try a different search or clear your filters.');
+    }
+    const first = (result.page - 1) * result.pageSize + 1;
+    const last = first + result.reviews.length - 1;
+    return html`
+        <p class="text-sm text-text-secondary mb-4">Showing ${first}&ndash;${last} of ${result.total} reviews</p>
+        <div class="space-y-6">
+            ${result.reviews.map(review => createReviewCardHTML(review, currentAuthorId))}
+        </div>
+        ${createPaginationHTML(result.page, result.pageCount)}
+    `;
+}
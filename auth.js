@@ -0,0 +1,193 @@
+// This file holds the auth provider: sign-up, sign-in and sessions. The API layer only talks to
+// `authProvider`, which is the local mock by default and can be swapped for a real identity
+// provider with setAuthProvider. Profiles (display name, contact details, addresses) are app
+// data and live with the rest of the mock backend in app.js, not here.
+
+// The mock provider's own storage, standing in for the provider's servers.
+const AUTH_USERS_KEY = 'dirtBikeAppUsers';
+const AUTH_SESSIONS_KEY = 'dirtBikeAppSessions';
+
+const MOCK_AUTH_CONFIG = {
+    sessionDays: 14,        // How long a session lasts after signing in.
+    minPasswordLength: 8,
+    staffAccounts: MOCK_STAFF_ACCOUNTS, // Created on first use; the only accounts with a role other than rider.
+};
+
+/**
+ * An error raised by an auth provider.
+ * `code` is one of 'invalid_email', 'weak_password', 'email_taken' or 'invalid_credentials'.
+ */
+class AuthError extends Error {
+    constructor(message, { code } = {}) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+// --- Credentials ---
+
+/**
+ * Normalizes an email address for comparison: trimmed and lowercased.
+ * @param {string} email - The email as typed.
+ * @returns {string} The normalized email.
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Checks that an email address is plausibly valid (something@domain.tld).
+ * @param {string} email - The email to check.
+ * @returns {boolean} True if it looks valid.
+ */
+function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '').trim());
+}
+
+/**
+ * Creates a random hex token, e.g. for session tokens and password salts.
+ * @param {number} [bytes=24] - How many random bytes to use.
+ * @returns {string} The token.
+ */
+function createRandomToken(bytes = 24) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Hashes a password with its salt using SHA-256.
+ * @param {string} password - The password.
+ * @param {string} salt - The user's salt.
+ * @returns {Promise<string>} The hex digest.
+ */
+async function hashPassword(password, salt) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// --- Auth Provider ---
+
+/**
+ * Creates the local mock provider. Accounts and sessions are kept in localStorage, and only salted
+ * password hashes are stored. A real provider keeps all of this on its own servers.
+ * Each account carries its `role`. New sign-ups are always riders; staff roles only come from `config.staffAccounts`.
+ * @param {Object} [config=MOCK_AUTH_CONFIG] - The session length, password rules and staff accounts.
+ * @returns {{signUp: Function, signIn: Function, signOut: Function, getSession: Function}} The provider.
+ */
+function createMockAuthProvider(config = MOCK_AUTH_CONFIG) {
+    const read = (key) => JSON.parse(localStorage.getItem(key) || '[]');
+    const write = (key, records) => localStorage.setItem(key, JSON.stringify(records));
+    const toPublicUser = (user) => ({ id: user.id, email: user.email, role: user.role || 'rider' });
+
+    /**
+     * Creates the configured staff accounts that don't exist yet. Their emails are then taken,
+     * so nobody can sign up with one to claim its role.
+     */
+    const seedStaffAccounts = () => {
+        const existing = read(AUTH_USERS_KEY);
+        const missing = (config.staffAccounts || []).filter(account =>
+            !existing.some(user => user.id === account.id || user.email === normalizeEmail(account.email)));
+        if (missing.length === 0) return;
+        const created = missing.map(account => ({
+            id: account.id,
+            email: normalizeEmail(account.email),
+            role: account.role,
+            salt: account.salt,
+            passwordHash: account.passwordHash,
+            createdAt: new Date().toISOString(),
+        }));
+        write(AUTH_USERS_KEY, [...existing, ...created]);
+    };
+
+    /**
+     * Starts a session for a user. Expired sessions are pruned at the same time.
+     * @param {Object} user - The stored user.
+     * @returns {{token: string, expiresAt: string, user: {id: string, email: string, role: string}}} The session.
+     */
+    const startSession = (user) => {
+        const now = new Date();
+        const session = {
+            token: createRandomToken(),
+            userId: user.id,
+            expiresAt: new Date(now.getTime() + config.sessionDays * 24 * 60 * 60 * 1000).toISOString(),
+        };
+        write(AUTH_SESSIONS_KEY, [...read(AUTH_SESSIONS_KEY).filter(s => new Date(s.expiresAt) > now), session]);
+        return { token: session.token, expiresAt: session.expiresAt, user: toPublicUser(user) };
+    };
+
+    return {
+        /**
+         * Creates a rider account and signs it in.
+         * @param {{email: string, password: string}} credentials - The new account's credentials.
+         * @returns {Promise<Object>} The session: `token`, `expiresAt` and `user` ({id, email, role}).
+         */
+        async signUp({ email, password }) {
+            seedStaffAccounts();
+            const normalized = normalizeEmail(email);
+            if (!isValidEmail(normalized)) throw new AuthError('Please enter a valid email address', { code: 'invalid_email' });
+            if (String(password || '').length < config.minPasswordLength) {
+                throw new AuthError(`Passwords must be at least ${config.minPasswordLength} characters`, { code: 'weak_password' });
+            }
+            const users = read(AUTH_USERS_KEY);
+            if (users.some(user => user.email === normalized)) {
+                throw new AuthError('An account with that email already exists', { code: 'email_taken' });
+            }
+            const salt = createRandomToken(16);
+            const user = {
+                id: `user-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                email: normalized,
+                salt,
+                passwordHash: await hashPassword(password, salt),
+                createdAt: new Date().toISOString(),
+            };
+            write(AUTH_USERS_KEY, [...users, user]);
+            return startSession(user);
+        },
+
+        /**
+         * Signs in with an email and password.
+         * @param {{email: string, password: string}} credentials - The account's credentials.
+         * @returns {Promise<Object>} The session.
+         */
+        async signIn({ email, password }) {
+            seedStaffAccounts();
+            const user = read(AUTH_USERS_KEY).find(u => u.email === normalizeEmail(email));
+            // The same message either way, so the form doesn't reveal which emails have accounts.
+            if (!user || await hashPassword(String(password || ''), user.salt) !== user.passwordHash) {
+                throw new AuthError('That email and password don\'t match', { code: 'invalid_credentials' });
+            }
+            return startSession(user);
+        },
+
+        /**
+         * Ends a session. Unknown tokens are ignored.
+         * @param {string} token - The session token.
+         */
+        async signOut(token) {
+            write(AUTH_SESSIONS_KEY, read(AUTH_SESSIONS_KEY).filter(session => session.token !== token));
+        },
+
+        /**
+         * Looks up the session for a token.
+         * @param {string} token - The session token.
+         * @returns {Promise<Object|null>} The session, or null if the token is unknown or has expired.
+         */
+        async getSession(token) {
+            const session = read(AUTH_SESSIONS_KEY).find(s => s.token === token && new Date(s.expiresAt) > new Date());
+            const user = session && read(AUTH_USERS_KEY).find(u => u.id === session.userId);
+            return user ? { token: session.token, expiresAt: session.expiresAt, user: toPublicUser(user) } : null;
+        },
+    };
+}
+
+let authProvider = createMockAuthProvider();
+
+/**
+ * Replaces the auth provider, e.g. with a client for a real identity provider.
+ * Any provider must offer the same four methods, return each user's `role` with their session,
+ * and raise AuthError for rejected credentials.
+ * @param {{signUp: Function, signIn: Function, signOut: Function, getSession: Function}} provider - The provider to use.
+ */
+function setAuthProvider(provider) {
+    authProvider = provider;
+}
@@ -1,88 +1,354 @@
 // This file acts as our mock database. In a real application,
 // this data would come from a server API.
+// MOCK_PARKS seeds the park catalog; once an admin edits a park, the catalog is read from localStorage (see getParks in app.js).
+// A park's `rating` and `reviewCount` aren't stored here; they're computed from its reviews.
+// `minRiderAge` is the youngest rider the park allows on its tracks (see getTicketAgeRange in app.js).
+// `rentals` are add-ons priced per day, with `dailyStock` units to go around each day.
+// `hours` are the regular opening hours per weekday (null when closed that day), `closures` are scheduled
+// closed days (`from` and `to` inclusive), and `condition` is the track status the park last posted.
 
 const MOCK_PARKS = [
     {
         id: 'park-1',
         name: 'Thunder Valley Motocross',
         location: 'Lakewood, CO',
+        state: 'CO',
+        coordinates: { lat: 39.6733, lng: -105.1859 },
         shortDescription: 'Pro-level track with challenging jumps and elevation changes.',
         description: 'Thunder Valley is a world-renowned motocross track that hosts a round of the AMA Pro Motocross Championship. It features significant elevation changes, a variety of soil types, and technical sections that will challenge riders of all skill levels. Amenities include ample parking, concessions, and spectator viewing areas.',
         imageUrl: 'https://placehold.co/600x400/334155/FFF?text=Thunder+Valley',
-        rating: 4.8,
-        reviewCount: 125,
         price: { adult: 45, child: 25 },
         guestLimit: 200,
+        minRiderAge: 8,
+        rentals: [
+            { id: 'bike-450', name: '450cc Dirt Bike', price: 110, dailyStock: 6 },
+            { id: 'bike-250', name: '250cc Dirt Bike', price: 95, dailyStock: 8 },
+            { id: 'bike-85', name: '85cc Youth Bike', price: 60, dailyStock: 4 },
+            { id: 'helmet', name: 'Helmet', price: 12, dailyStock: 25 },
+            { id: 'boots', name: 'Riding Boots', price: 10, dailyStock: 20 },
+        ],
+        hours: {
+            sun: { open: '08:00', close: '16:00' },
+            mon: null,
+            tue: null,
+            wed: { open: '09:00', close: '17:00' },
+            thu: { open: '09:00', close: '17:00' },
+            fri: { open: '09:00', close: '17:00' },
+            sat: { open: '08:00', close: '17:00' },
+        },
+        closures: [
+            { from: '2026-11-14', to: '2026-11-15', reason: 'race', note: 'Thunder Valley Fall Classic. The tracks are for entered racers only.' },
+            { from: '2026-12-24', to: '2026-12-26', reason: 'holiday', note: 'Closed for Christmas.' },
+        ],
+        condition: { status: 'open', note: 'Freshly ripped and watered. Tacky all morning.', updatedAt: '2026-10-18T22:30:00Z' },
     },
     {
         id: 'park-2',
         name: 'Fox Raceway',
         location: 'Pala, CA',
+        state: 'CA',
+        coordinates: { lat: 33.3647, lng: -117.0836 },
         shortDescription: 'Iconic Southern California track with multiple layouts.',
         description: 'Fox Raceway in Pala, California, is a staple of the SoCal moto scene. It offers several tracks, including a main pro track, a vet track, and a kids track, catering to all abilities. The soil is a mix of sand and loam, and the facility is known for its excellent prep and fun, flowing layouts.',
         imageUrl: 'https://placehold.co/600x400/475569/FFF?text=Fox+Raceway',
-        rating: 4.6,
-        reviewCount: 210,
         price: { adult: 40, child: 20 },
         guestLimit: 300,
+        minRiderAge: 4,
+        rentals: [
+            { id: 'bike-250', name: '250cc Dirt Bike', price: 90, dailyStock: 10 },
+            { id: 'bike-65', name: '65cc Youth Bike', price: 50, dailyStock: 6 },
+            { id: 'helmet', name: 'Helmet', price: 10, dailyStock: 30 },
+            { id: 'boots', name: 'Riding Boots', price: 10, dailyStock: 30 },
+            { id: 'gear-set', name: 'Jersey, Pants & Gloves', price: 15, dailyStock: 20 },
+        ],
+        hours: {
+            sun: { open: '07:30', close: '15:30' },
+            mon: { open: '08:00', close: '16:00' },
+            tue: null,
+            wed: { open: '08:00', close: '16:00' },
+            thu: null,
+            fri: { open: '08:00', close: '16:00' },
+            sat: { open: '07:30', close: '16:00' },
+        },
+        closures: [
+            { from: '2026-11-21', to: '2026-11-22', reason: 'race', note: 'Winter Series round 1. Practice for racers only.' },
+            { from: '2026-12-01', to: '2026-12-03', reason: 'maintenance', note: 'Rebuilding the main track layout.' },
+        ],
+        condition: { status: 'wet', note: 'Heavy watering overnight. The main track is muddy until about noon; the vet and kids tracks are fine.', updatedAt: '2026-10-19T14:05:00Z' },
     },
     {
         id: 'park-3',
         name: 'RedBud MX',
         location: 'Buchanan, MI',
+        state: 'MI',
+        coordinates: { lat: 41.8281, lng: -86.3286 },
         shortDescription: "Home of the legendary LaRocco's Leap.",
         description: "REDDDD BUDDDDD! Famous for its incredible atmosphere and a track that riders love, RedBud is a must-visit. The circuit is known for its amazing dirt, massive jumps including the iconic LaRocco's Leap, and a layout that encourages great racing. It's the heart of American motocross.",
         imageUrl: 'https://placehold.co/600x400/64748B/FFF?text=RedBud+MX',
-        rating: 4.9,
-        reviewCount: 350,
         price: { adult: 50, child: 30 },
         guestLimit: 500,
+        minRiderAge: 6,
+        rentals: [
+            { id: 'bike-250', name: '250cc Dirt Bike', price: 100, dailyStock: 5 },
+            { id: 'helmet', name: 'Helmet', price: 12, dailyStock: 15 },
+            { id: 'boots', name: 'Riding Boots', price: 12, dailyStock: 15 },
+        ],
+        hours: {
+            sun: { open: '09:00', close: '16:00' },
+            mon: null,
+            tue: null,
+            wed: null,
+            thu: null,
+            fri: { open: '12:00', close: '18:00' },
+            sat: { open: '09:00', close: '17:00' },
+        },
+        closures: [
+            { from: '2026-11-02', to: '2026-11-03', reason: 'maintenance', note: 'Grading and drainage work on LaRocco\'s Leap.' },
+            { from: '2026-11-30', to: '2027-03-31', reason: 'season', note: 'RedBud closes for the winter and reopens in April.' },
+        ],
+        condition: { status: 'open', note: 'Great dirt after last week\'s rain. All jumps open.', updatedAt: '2026-10-18T15:00:00Z' },
     },
     {
         id: 'park-4',
         name: 'Washougal MX Park',
         location: 'Washougal, WA',
+        state: 'WA',
+        coordinates: { lat: 45.5832, lng: -122.3006 },
         shortDescription: 'Beautiful, tree-lined circuit in the Pacific Northwest.',
         description: "Nestled among the tall fir trees of Washington, Washougal is one of the most scenic tracks on the circuit. It's known for its slippery, hard-pack base and the infamous Horsepower Hill. The track offers a unique challenge and a beautiful setting for a day of riding.",
         imageUrl: 'https://placehold.co/600x400/94A3B8/FFF?text=Washougal',
-        rating: 4.5,
-        reviewCount: 95,
         price: { adult: 35, child: 15 },
         guestLimit: 150,
+        minRiderAge: 7,
+        rentals: [
+            { id: 'bike-125', name: '125cc Dirt Bike', price: 80, dailyStock: 6 },
+            { id: 'helmet', name: 'Helmet', price: 10, dailyStock: 12 },
+            { id: 'boots', name: 'Riding Boots', price: 8, dailyStock: 12 },
+        ],
+        hours: {
+            sun: { open: '09:00', close: '16:00' },
+            mon: null,
+            tue: null,
+            wed: null,
+            thu: { open: '10:00', close: '17:00' },
+            fri: { open: '10:00', close: '17:00' },
+            sat: { open: '09:00', close: '17:00' },
+        },
+        closures: [
+            { from: '2026-11-23', to: '2027-02-28', reason: 'season', note: 'Closed for the wet season. See you in March!' },
+        ],
+        condition: { status: 'closed', note: 'Closed after two days of heavy rain. We\'ll reopen once the track drains.', updatedAt: '2026-10-19T15:10:00Z' },
     },
      {
         id: 'park-5',
         name: 'Gatorback Cycle Park',
         location: 'Alachua, FL',
+        state: 'FL',
+        coordinates: { lat: 29.7866, lng: -82.4946 },
         shortDescription: 'Historic sandy track in the heart of Florida.',
         description: 'A classic Florida track, Gatorback is famous for its sandy, whooped-out sections and the iconic "Gator Pit" jump. It has hosted countless major amateur and pro events over the decades. The combination of sand and clay provides a challenging and physically demanding ride.',
         imageUrl: 'https://placehold.co/600x400/1E293B/FFF?text=Gatorback',
-        rating: 4.4,
-        reviewCount: 150,
         price: { adult: 38, child: 18 },
         guestLimit: 250,
+        minRiderAge: 6,
+        rentals: [
+            { id: 'bike-250', name: '250cc Dirt Bike', price: 85, dailyStock: 6 },
+            { id: 'bike-85', name: '85cc Youth Bike', price: 55, dailyStock: 4 },
+            { id: 'helmet', name: 'Helmet', price: 10, dailyStock: 20 },
+            { id: 'boots', name: 'Riding Boots', price: 10, dailyStock: 20 },
+        ],
+        hours: {
+            sun: { open: '08:00', close: '17:00' },
+            mon: { open: '10:00', close: '18:00' },
+            tue: { open: '10:00', close: '18:00' },
+            wed: { open: '10:00', close: '18:00' },
+            thu: { open: '10:00', close: '18:00' },
+            fri: { open: '10:00', close: '18:00' },
+            sat: { open: '08:00', close: '18:00' },
+        },
+        closures: [
+            { from: '2026-11-26', to: '2026-11-26', reason: 'holiday', note: 'Closed for Thanksgiving.' },
+            { from: '2026-12-05', to: '2026-12-06', reason: 'race', note: 'Gatorback Winter Olympics. Racers only.' },
+            { from: '2026-12-25', to: '2026-12-25', reason: 'holiday', note: 'Closed for Christmas.' },
+        ],
+        condition: { status: 'race-day', note: 'Amateur race today. The main track is open to entered racers only; the practice loop is open to everyone.', updatedAt: '2026-10-19T11:45:00Z' },
     },
     {
         id: 'park-6',
         name: 'High Point Raceway',
         location: 'Mt. Morris, PA',
+        state: 'PA',
+        coordinates: { lat: 39.7434, lng: -80.0626 },
         shortDescription: 'Classic East Coast track with natural terrain.',
         description: "High Point Raceway offers a classic motocross experience with its natural, rolling hills and off-camber turns. The soil is a rich, dark loam when it's prepped, making for some of the best conditions imaginable. It's a track that rewards technical skill and smart line choices.",
         imageUrl: 'https://placehold.co/600x400/334155/FFF?text=High+Point',
-        rating: 4.7,
-        reviewCount: 110,
         price: { adult: 42, child: 22 },
         guestLimit: 180,
+        minRiderAge: 8,
+        rentals: [
+            { id: 'bike-250', name: '250cc Dirt Bike', price: 90, dailyStock: 4 },
+            { id: 'helmet', name: 'Helmet', price: 12, dailyStock: 10 },
+            { id: 'boots', name: 'Riding Boots', price: 10, dailyStock: 10 },
+        ],
+        hours: {
+            sun: { open: '09:00', close: '16:00' },
+            mon: null,
+            tue: null,
+            wed: { open: '10:00', close: '17:00' },
+            thu: null,
+            fri: null,
+            sat: { open: '09:00', close: '17:00' },
+        },
+        closures: [
+            { from: '2026-11-09', to: '2026-11-11', reason: 'maintenance', note: 'Resurfacing the start straight.' },
+            { from: '2026-12-07', to: '2027-03-14', reason: 'season', note: 'Closed for the winter.' },
+        ],
+        condition: { status: 'open', note: 'Loamy and prepped. The off-camber section is a little slick early.', updatedAt: '2026-10-18T21:20:00Z' },
     },
 ];
 
 const MOCK_REVIEWS = [
-    { id: 'rev-1', parkId: 'park-1', author: { id: 'user-1', name: 'MotoFan22', isAnonymous: false }, rating: 5, title: 'Absolutely epic!', body: "The elevation changes are no joke. Track prep was amazing. Can't wait to go back!", createdAt: '2025-09-15T10:00:00Z' },
-    { id: 'rev-2', parkId: 'park-1', author: { id: 'user-2', name: 'Anonymous', isAnonymous: true }, rating: 4, title: 'Challenging but fun', body: 'This track is tough. Not for beginners, but a great challenge if you have some experience. Well worth the price.', createdAt: '2025-09-10T14:30:00Z' },
-    { id: 'rev-3', parkId: 'park-3', author: { id: 'user-3', name: 'BraaapLife', isAnonymous: false }, rating: 5, title: 'RED BUUUUD!', body: "The atmosphere is unmatched. LaRocco's Leap is even bigger in person. A bucket list track for sure.", createdAt: '2025-09-12T11:00:00Z' },
-    { id: 'rev-4', parkId: 'park-2', author: { id: 'user-4', name: 'SoCalRider', isAnonymous: false }, rating: 4, title: 'Great variety', body: 'Love that they have tracks for all skill levels. My son had a blast on the kids track while I rode the main.', createdAt: '2025-08-20T18:00:00Z' },
-    { id: 'rev-5', parkId: 'park-1', author: { id: 'user-5', name: 'Weekend Warrior', isAnonymous: false }, rating: 5, title: 'Best track in Colorado', body: 'Nothing else compares. The view from the top is incredible and the track flows so well.', createdAt: '2025-09-01T09:00:00Z' },
-    { id: 'rev-6', parkId: 'park-3', author: { id: 'user-6', name: 'Anonymous', isAnonymous: true }, rating: 5, title: 'Lived up to the hype', body: 'Everything you hear about RedBud is true. The dirt is perfect. The people are great. 10/10 experience.', createdAt: '2025-08-28T16:45:00Z' },
-    { id: 'rev-7', parkId: 'park-4', author: { id: 'user-7', name: 'PNW_Rider', isAnonymous: false }, rating: 4, title: 'Slick and technical', body: 'The dirt is super unique here, very hard pack. It makes you a better rider. Beautiful location!', createdAt: '2025-09-18T12:00:00Z' },
-    { id: 'rev-8', parkId: 'park-2', author: { id: 'user-8', name: 'MotoMom', isAnonymous: false }, rating: 5, title: 'Family Friendly!', body: 'We come here all the time. The facilities are clean and the different tracks mean there is something for everyone in our family.', createdAt: '2025-09-16T15:00:00Z' },
+    { id: 'rev-1', parkId: 'park-1', author: { id: 'user-1', name: 'MotoFan22', isAnonymous: false }, rating: 5, title: 'Absolutely epic!', body: "The elevation changes are no joke. Track prep was amazing. Can't wait to go back!", createdAt: '2025-09-15T10:00:00Z', helpfulCount: 14 },
+    { id: 'rev-2', parkId: 'park-1', author: { id: 'user-2', name: 'Anonymous', isAnonymous: true }, rating: 4, title: 'Challenging but fun', body: 'This track is tough. Not for beginners, but a great challenge if you have some experience. Well worth the price.', createdAt: '2025-09-10T14:30:00Z', helpfulCount: 9 },
+    { id: 'rev-3', parkId: 'park-3', author: { id: 'user-3', name: 'BraaapLife', isAnonymous: false }, rating: 5, title: 'RED BUUUUD!', body: "The atmosphere is unmatched. LaRocco's Leap is even bigger in person. A bucket list track for sure.", createdAt: '2025-09-12T11:00:00Z', helpfulCount: 22 },
+    { id: 'rev-4', parkId: 'park-2', author: { id: 'user-4', name: 'SoCalRider', isAnonymous: false }, rating: 4, title: 'Great variety', body: 'Love that they have tracks for all skill levels. My son had a blast on the kids track while I rode the main.', createdAt: '2025-08-20T18:00:00Z', helpfulCount: 6 },
+    { id: 'rev-5', parkId: 'park-1', author: { id: 'user-5', name: 'Weekend Warrior', isAnonymous: false }, rating: 5, title: 'Best track in Colorado', body: 'Nothing else compares. The view from the top is incredible and the track flows so well.', createdAt: '2025-09-01T09:00:00Z', helpfulCount: 3 },
+    { id: 'rev-6', parkId: 'park-3', author: { id: 'user-6', name: 'Anonymous', isAnonymous: true }, rating: 5, title: 'Lived up to the hype', body: 'Everything you hear about RedBud is true. The dirt is perfect. The people are great. 10/10 experience.', createdAt: '2025-08-28T16:45:00Z', helpfulCount: 11 },
+    { id: 'rev-7', parkId: 'park-4', author: { id: 'user-7', name: 'PNW_Rider', isAnonymous: false }, rating: 4, title: 'Slick and technical', body: 'The dirt is super unique here, very hard pack. It makes you a better rider. Beautiful location!', createdAt: '2025-09-18T12:00:00Z', helpfulCount: 4 },
+    { id: 'rev-8', parkId: 'park-2', author: { id: 'user-8', name: 'MotoMom', isAnonymous: false }, rating: 5, title: 'Family Friendly!', body: 'We come here all the time. The facilities are clean and the different tracks mean there is something for everyone in our family.', createdAt: '2025-09-16T15:00:00Z', helpfulCount: 17 },
+];
+
+// Liability waivers every rider signs at checkout. Each park's waiver is the shared clauses followed by its
+// own, and `version` changes whenever the wording does, so an order records exactly what was signed.
+const MOCK_WAIVER_CLAUSES = [
+    'I understand that riding a dirt bike or ATV is a hazardous activity that can cause serious injury, permanent disability or death, even when riders follow every rule.',
+    'I will wear a DOT-approved helmet, goggles, boots, gloves and long sleeves and pants whenever I am on a track.',
+    'I will only ride the tracks that match my experience level, obey the flaggers and track officials, and leave the track if told to.',
+    'I confirm my motorcycle is in safe working order, and I accept responsibility for any damage I cause to the park\'s property.',
+    'I release the park, its owners, staff and RideFinder from any claims arising from my participation, except in cases of gross negligence.',
+];
+
+const MOCK_WAIVERS = {
+    'park-1': { version: '2025-02', clauses: [
+        'The pro track is for intermediate riders and up. Riders under 12 must stay on the peewee and 85cc tracks.',
+        'Thunder Valley sits above 6,000 feet. I will take breaks and stay hydrated, and I accept the effects altitude may have on me.',
+    ] },
+    'park-2': { version: '2025-01', clauses: [
+        'Riders on 50cc and 65cc bikes must ride the kids track only, with a parent or guardian watching trackside.',
+        'I understand the tracks are watered between motos and conditions can change quickly from sand to mud.',
+    ] },
+    'park-3': { version: '2025-03', clauses: [
+        'LaRocco\'s Leap and the other major jumps may only be attempted by riders who can clear them safely. Officials may close them at any time.',
+        'On race weekends, practice times are set by class and I will only ride during my class\'s session.',
+    ] },
+    'park-4': { version: '2025-01', clauses: [
+        'The hard-pack surface is slippery when wet, and Horsepower Hill is closed to beginners.',
+        'I will keep to marked trails in the surrounding woods, which are private land.',
+    ] },
+    'park-5': { version: '2025-02', clauses: [
+        'The deep sand and whoops at Gatorback are physically demanding. I will ride within my fitness and take breaks in the heat.',
+        'The Gator Pit jump is for experienced riders only.',
+    ] },
+    'park-6': { version: '2025-01', clauses: [
+        'High Point\'s natural terrain includes steep uphills, downhills and off-camber turns that can be difficult to see from the start.',
+        'I will not walk or ride across the track outside the marked crossings.',
+    ] },
+};
+
+// Staff accounts the mock auth provider creates on first use, with their roles (see USER_ROLES in app.js).
+// A role is stored on the account and only ever granted here; accounts that sign up are riders.
+// Only their salted password hashes are kept here (see hashPassword in auth.js); the README lists the demo passwords.
+const MOCK_STAFF_ACCOUNTS = [
+    {
+        id: 'user-staff-moderator',
+        email: 'moderator@ridefinder.test',
+        role: 'moderator',
+        salt: '1fdd0252caa48b40d93a28c18e768109',
+        passwordHash: 'dd727980cbb90d5cd5f2dad636cf580fa95fb30925500bc091d9049817455781',
+    },
+    {
+        id: 'user-staff-admin',
+        email: 'admin@ridefinder.test',
+        role: 'admin',
+        salt: '1fe313dbbd5374d1144a77374592bc88',
+        passwordHash: '1449ade877206adbe366d023cf1fe1339b38df6da01fbe9d3d4f019dbf61e24c',
+    },
+];
+
+// Promo codes riders can enter in the cart. `type` is 'percent' (value is a fraction) or 'fixed' (value in dollars).
+// `expiresAt` is the last valid day, and `maxUses` caps redemptions across all orders.
+const MOCK_PROMO_CODES = [
+    { code: 'BRAAAP10', type: 'percent', value: 0.10, description: '10% off your order', expiresAt: '2027-12-31', maxUses: 500 },
+    { code: 'MUDDY25', type: 'fixed', value: 25, description: '$25 off orders of $150 or more', minSubtotal: 150, expiresAt: '2027-06-30', maxUses: 100 },
+    { code: 'HOLESHOT', type: 'percent', value: 0.20, description: '20% off, first 3 riders only', maxUses: 3 },
+    { code: 'SUMMER25', type: 'percent', value: 0.15, description: '15% off summer rides', expiresAt: '2025-09-01', maxUses: 1000 },
+];
+
+// Approximate locations for ZIP codes, looked up by their first three digits, so "enter your ZIP"
+// works offline. Each range maps to the center of its area; a real geocoding service would replace this.
+const MOCK_ZIP_REGIONS = [
+    { from: '010', to: '027', lat: 42.36, lng: -71.52, label: 'Massachusetts' },
+    { from: '028', to: '029', lat: 41.82, lng: -71.42, label: 'Rhode Island' },
+    { from: '030', to: '038', lat: 43.19, lng: -71.57, label: 'New Hampshire' },
+    { from: '039', to: '049', lat: 44.69, lng: -69.38, label: 'Maine' },
+    { from: '050', to: '059', lat: 44.26, lng: -72.58, label: 'Vermont' },
+    { from: '060', to: '069', lat: 41.60, lng: -72.69, label: 'Connecticut' },
+    { from: '070', to: '089', lat: 40.22, lng: -74.49, label: 'New Jersey' },
+    { from: '100', to: '119', lat: 40.73, lng: -73.93, label: 'New York City area' },
+    { from: '120', to: '149', lat: 42.65, lng: -75.50, label: 'Upstate New York' },
+    { from: '150', to: '168', lat: 40.44, lng: -79.99, label: 'Western Pennsylvania' },
+    { from: '169', to: '196', lat: 40.27, lng: -76.28, label: 'Eastern Pennsylvania' },
+    { from: '197', to: '199', lat: 39.16, lng: -75.52, label: 'Delaware' },
+    { from: '200', to: '205', lat: 38.90, lng: -77.04, label: 'Washington, DC' },
+    { from: '206', to: '219', lat: 39.05, lng: -76.64, label: 'Maryland' },
+    { from: '220', to: '246', lat: 37.54, lng: -78.50, label: 'Virginia' },
+    { from: '247', to: '268', lat: 38.60, lng: -80.62, label: 'West Virginia' },
+    { from: '270', to: '289', lat: 35.63, lng: -79.81, label: 'North Carolina' },
+    { from: '290', to: '299', lat: 33.86, lng: -80.95, label: 'South Carolina' },
+    { from: '300', to: '319', lat: 33.04, lng: -83.64, label: 'Georgia' },
+    { from: '320', to: '329', lat: 29.65, lng: -82.32, label: 'North Florida' },
+    { from: '330', to: '349', lat: 26.64, lng: -80.99, label: 'South Florida' },
+    { from: '350', to: '369', lat: 32.81, lng: -86.79, label: 'Alabama' },
+    { from: '370', to: '385', lat: 35.86, lng: -86.35, label: 'Tennessee' },
+    { from: '386', to: '397', lat: 32.74, lng: -89.68, label: 'Mississippi' },
+    { from: '398', to: '399', lat: 31.58, lng: -84.16, label: 'Georgia' },
+    { from: '400', to: '427', lat: 37.67, lng: -84.67, label: 'Kentucky' },
+    { from: '430', to: '459', lat: 40.39, lng: -82.76, label: 'Ohio' },
+    { from: '460', to: '479', lat: 39.85, lng: -86.26, label: 'Indiana' },
+    { from: '480', to: '499', lat: 42.73, lng: -84.55, label: 'Michigan' },
+    { from: '500', to: '528', lat: 42.01, lng: -93.21, label: 'Iowa' },
+    { from: '530', to: '549', lat: 44.27, lng: -89.62, label: 'Wisconsin' },
+    { from: '550', to: '567', lat: 45.69, lng: -93.90, label: 'Minnesota' },
+    { from: '570', to: '577', lat: 44.30, lng: -99.44, label: 'South Dakota' },
+    { from: '580', to: '588', lat: 47.53, lng: -99.78, label: 'North Dakota' },
+    { from: '590', to: '599', lat: 46.92, lng: -110.45, label: 'Montana' },
+    { from: '600', to: '629', lat: 41.88, lng: -88.63, label: 'Illinois' },
+    { from: '630', to: '658', lat: 38.46, lng: -92.29, label: 'Missouri' },
+    { from: '660', to: '679', lat: 38.53, lng: -96.73, label: 'Kansas' },
+    { from: '680', to: '693', lat: 41.13, lng: -98.27, label: 'Nebraska' },
+    { from: '700', to: '714', lat: 31.17, lng: -91.87, label: 'Louisiana' },
+    { from: '716', to: '729', lat: 34.97, lng: -92.37, label: 'Arkansas' },
+    { from: '730', to: '749', lat: 35.57, lng: -96.93, label: 'Oklahoma' },
+    { from: '750', to: '769', lat: 32.78, lng: -96.80, label: 'North Texas' },
+    { from: '770', to: '779', lat: 29.76, lng: -95.37, label: 'Houston area' },
+    { from: '780', to: '789', lat: 29.42, lng: -98.49, label: 'Central & South Texas' },
+    { from: '790', to: '799', lat: 32.45, lng: -101.88, label: 'West Texas' },
+    { from: '800', to: '816', lat: 39.06, lng: -105.31, label: 'Colorado' },
+    { from: '820', to: '831', lat: 42.76, lng: -107.30, label: 'Wyoming' },
+    { from: '832', to: '838', lat: 44.24, lng: -114.48, label: 'Idaho' },
+    { from: '840', to: '847', lat: 40.15, lng: -111.86, label: 'Utah' },
+    { from: '850', to: '865', lat: 33.73, lng: -111.43, label: 'Arizona' },
+    { from: '870', to: '884', lat: 34.84, lng: -106.25, label: 'New Mexico' },
+    { from: '885', to: '885', lat: 31.76, lng: -106.49, label: 'El Paso' },
+    { from: '889', to: '898', lat: 38.31, lng: -117.06, label: 'Nevada' },
+    { from: '900', to: '918', lat: 34.05, lng: -118.24, label: 'Los Angeles area' },
+    { from: '919', to: '921', lat: 32.72, lng: -117.16, label: 'San Diego area' },
+    { from: '922', to: '928', lat: 33.83, lng: -117.51, label: 'Inland Empire & Orange County' },
+    { from: '930', to: '939', lat: 35.72, lng: -119.68, label: 'Central California' },
+    { from: '940', to: '954', lat: 37.68, lng: -122.17, label: 'San Francisco Bay Area' },
+    { from: '955', to: '961', lat: 39.43, lng: -121.60, label: 'Northern California' },
+    { from: '967', to: '968', lat: 21.31, lng: -157.86, label: 'Hawaii' },
+    { from: '970', to: '979', lat: 44.57, lng: -122.07, label: 'Oregon' },
+    { from: '980', to: '994', lat: 47.40, lng: -121.49, label: 'Washington' },
+    { from: '995', to: '999', lat: 61.37, lng: -149.49, label: 'Alaska' },
 ];
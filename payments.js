@@ -0,0 +1,246 @@
+// This file holds card validation and the payment gateway. Checkout validates and formats
+// card details with the helpers below; orders are charged through `paymentGateway`, which
+// is the local mock by default and can be swapped for a real provider with setPaymentGateway.
+
+const CARD_BRANDS = {
+    visa: { name: 'Visa', pattern: /^4/, lengths: [13, 16, 19], cvcLength: 3, groups: [4, 4, 4, 4, 3] },
+    mastercard: { name: 'Mastercard', pattern: /^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/, lengths: [16], cvcLength: 3, groups: [4, 4, 4, 4] },
+    amex: { name: 'American Express', pattern: /^3[47]/, lengths: [15], cvcLength: 4, groups: [4, 6, 5] },
+    discover: { name: 'Discover', pattern: /^(6011|65|64[4-9])/, lengths: [16, 19], cvcLength: 3, groups: [4, 4, 4, 4, 3] },
+};
+
+// Card numbers that make the mock gateway fail in a specific way, for testing checkout's error handling.
+// Any other valid card is charged successfully, e.g. 4242 4242 4242 4242.
+const MOCK_GATEWAY_TEST_CARDS = {
+    '4000000000000002': 'card_declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000119': 'processing_error',
+    '4000000000003212': 'timeout', // The charge goes through, but the response never arrives.
+};
+
+const MOCK_GATEWAY_CONFIG = {
+    latency: 700,   // Time to process a charge, in ms.
+    timeout: 3000,  // How long a charge is waited on before giving up, in ms.
+};
+
+/**
+ * An error raised by a payment gateway.
+ * `code` is one of 'card_declined', 'insufficient_funds', 'processing_error', 'timeout' or
+ * 'idempotency_conflict'; `retryable` marks failures where trying again with the same
+ * idempotency key may succeed without charging twice.
+ */
+class PaymentError extends Error {
+    constructor(message, { code, retryable = false } = {}) {
+        super(message);
+        this.name = 'PaymentError';
+        this.code = code;
+        this.retryable = retryable;
+    }
+}
+
+// --- Card Validation ---
+
+/**
+ * Strips spaces and dashes from a card number.
+ * @param {string} number - The card number as typed.
+ * @returns {string} The digits only.
+ */
+function normalizeCardNumber(number) {
+    return String(number || '').replace(/[\s-]/g, '');
+}
+
+/**
+ * Detects the card brand from the leading digits of a card number.
+ * @param {string} number - The card number.
+ * @returns {string|null} A key of CARD_BRANDS, or null if it isn't recognized.
+ */
+function detectCardBrand(number) {
+    const digits = normalizeCardNumber(number);
+    return Object.keys(CARD_BRANDS).find(brand => CARD_BRANDS[brand].pattern.test(digits)) || null;
+}
+
+/**
+ * Checks a card number against the Luhn checksum, which catches most typos.
+ * @param {string} number - The card number.
+ * @returns {boolean} True if the checksum passes.
+ */
+function passesLuhn(number) {
+    const digits = normalizeCardNumber(number);
+    if (!/^\d+$/.test(digits)) return false;
+    let sum = 0;
+    [...digits].reverse().forEach((char, i) => {
+        let digit = Number(char);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    });
+    return sum % 10 === 0;
+}
+
+/**
+ * Parses an `MM/YY` expiry date.
+ * @param {string} expiry - The expiry as typed.
+ * @returns {{month: number, year: number}|null} The month (1-12) and four-digit year, or null if malformed.
+ */
+function parseCardExpiry(expiry) {
+    const match = String(expiry || '').match(/^(0[1-9]|1[0-2])\s?\/\s?(\d{2})$/);
+    return match ? { month: Number(match[1]), year: 2000 + Number(match[2]) } : null;
+}
+
+/**
+ * Checks whether a card has expired. Cards are valid through the last day of their expiry month.
+ * @param {{month: number, year: number}} expiry - The parsed expiry.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {boolean} True if the card has expired.
+ */
+function isCardExpired({ month, year }, now = new Date()) {
+    return now >= new Date(year, month, 1); // Midnight on the first day of the following month
+}
+
+/**
+ * Validates card details, the same way on the checkout form and when the order is charged.
+ * @param {Object} card - The `number`, `expiry` and `cvc` to check.
+ * @param {Date} [now=new Date()] - The current time.
+ * @returns {Object<string, string>} An error message per invalid field (`number`, `expiry`, `cvc`); empty if valid.
+ */
+function getCardErrors({ number, expiry, cvc }, now = new Date()) {
+    const errors = {};
+    const digits = normalizeCardNumber(number);
+    const brand = CARD_BRANDS[detectCardBrand(digits)];
+    if (!/^\d+$/.test(digits)) {
+        errors.number = 'Card number must be numbers';
+    } else if (!brand) {
+        errors.number = 'We accept Visa, Mastercard, American Express and Discover';
+    } else if (!brand.lengths.includes(digits.length) || !passesLuhn(digits)) {
+        errors.number = `That doesn't look like a valid ${brand.name} number`;
+    }
+
+    const parsedExpiry = parseCardExpiry(expiry);
+    if (!parsedExpiry) {
+        errors.expiry = 'Use MM/YY format';
+    } else if (isCardExpired(parsedExpiry, now)) {
+        errors.expiry = 'This card has expired';
+    }
+
+    const cvcLength = brand ? brand.cvcLength : null;
+    if (!/^\d+$/.test(String(cvc || '')) || (cvcLength ? String(cvc).length !== cvcLength : !/^\d{3,4}$/.test(cvc))) {
+        errors.cvc = cvcLength ? `CVC must be ${cvcLength} digits` : 'CVC must be 3-4 digits';
+    }
+    return errors;
+}
+
+/**
+ * Formats a card number into its brand's digit groups as the rider types, e.g. "4242 4242 4242 4242".
+ * @param {string} value - The current input value.
+ * @returns {string} The formatted card number.
+ */
+function formatCardNumber(value) {
+    const digits = String(value || '').replace(/\D/g, '').slice(0, 19);
+    const brand = CARD_BRANDS[detectCardBrand(digits)] || CARD_BRANDS.visa;
+    const groups = [];
+    let start = 0;
+    brand.groups.forEach(size => {
+        if (start < digits.length) groups.push(digits.slice(start, start + size));
+        start += size;
+    });
+    return groups.join(' ');
+}
+
+/**
+ * Formats an expiry date as the rider types, adding the slash, e.g. "0427" becomes "04/27".
+ * @param {string} value - The current input value.
+ * @returns {string} The formatted expiry.
+ */
+function formatCardExpiry(value) {
+    let digits = String(value || '').replace(/\D/g, '').slice(0, 4);
+    if (/^[2-9]$/.test(digits)) digits = `0${digits}`; // "4" can only mean April
+    return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+}
+
+// --- Payment Gateway ---
+
+// Waits for the given time. Also used by api.js, which loads after this file.
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates the local mock gateway. Charges made with the same idempotency key are only
+ * processed once: retrying returns the original charge, so a rider is never charged twice.
+ * @param {Object} [config=MOCK_GATEWAY_CONFIG] - The simulated latency and timeout.
+ * @returns {{charge: Function}} The gateway.
+ */
+function createMockPaymentGateway(config = MOCK_GATEWAY_CONFIG) {
+    const charges = new Map(); // Successful charges by idempotency key
+
+    return {
+        /**
+         * Charges a card.
+         * @param {Object} request - The charge request.
+         * @param {number} request.amount - The amount in dollars.
+         * @param {Object} request.card - The card's `number`, `expiry`, `cvc` and `name`.
+         * @param {string} request.idempotencyKey - A unique key for this payment attempt.
+         * @returns {Promise<{id: string, amount: number, brand: string, last4: string, createdAt: string}>} The charge.
+         */
+        async charge({ amount, card, idempotencyKey }) {
+            const number = normalizeCardNumber(card.number);
+            const existing = charges.get(idempotencyKey);
+            if (existing) {
+                if (existing.amount !== amount || existing.last4 !== number.slice(-4)) {
+                    throw new PaymentError('This payment was already submitted with different details', { code: 'idempotency_conflict' });
+                }
+                await delay(config.latency);
+                return existing;
+            }
+
+            const outcome = MOCK_GATEWAY_TEST_CARDS[number];
+            if (outcome === 'timeout') {
+                // The charge succeeds, but we stop waiting before the gateway answers.
+                charges.set(idempotencyKey, createMockCharge(amount, number));
+                await delay(config.timeout);
+                throw new PaymentError('The payment provider took too long to respond', { code: 'timeout', retryable: true });
+            }
+
+            await delay(config.latency);
+            if (outcome === 'card_declined') {
+                throw new PaymentError('Your card was declined', { code: 'card_declined' });
+            }
+            if (outcome === 'insufficient_funds') {
+                throw new PaymentError('Your card has insufficient funds', { code: 'insufficient_funds' });
+            }
+            if (outcome === 'processing_error') {
+                throw new PaymentError('The payment provider had a problem processing your card', { code: 'processing_error', retryable: true });
+            }
+            const charge = createMockCharge(amount, number);
+            charges.set(idempotencyKey, charge);
+            return charge;
+        },
+    };
+}
+
+/**
+ * Builds a charge record the way a gateway would return it. Only the last four digits are kept.
+ * @param {number} amount - The amount in dollars.
+ * @param {string} number - The card number (digits only).
+ * @returns {Object} The charge.
+ */
+function createMockCharge(amount, number) {
+    return {
+        id: `ch_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+        amount,
+        brand: detectCardBrand(number),
+        last4: number.slice(-4),
+        createdAt: new Date().toISOString(),
+    };
+}
+
+let paymentGateway = createMockPaymentGateway();
+
+/**
+ * Replaces the payment gateway, e.g. with a client for a real provider.
+ * Any gateway must offer the same `charge` method and raise PaymentError on failure.
+ * @param {{charge: Function}} gateway - The gateway to use.
+ */
+function setPaymentGateway(gateway) {
+    paymentGateway = gateway;
+}
@@ -0,0 +1,210 @@
+// This file is the single pricing engine. Every view that shows money (the booking
+// widget, cart items, and both order summaries) goes through calculateOrderPricing
+// or priceLineItem, so the math and the discount/tax rules live in one place.
+
+const PRICING_RULES = {
+    // Sales tax by the park's state. Parks in states not listed use the default rate.
+    defaultTaxRate: 0.08,
+    taxRatesByState: {
+        CA: 0.0725,
+        CO: 0.029,
+        FL: 0.06,
+        MI: 0.06,
+        PA: 0.06,
+        WA: 0.065,
+    },
+    // Multi-day discounts, best matching tier wins. Applied per line item.
+    multiDay: [
+        { minDays: 3, percent: 0.15, label: '3+ day discount' },
+        { minDays: 2, percent: 0.10, label: '2-day discount' },
+    ],
+    // Family and group pricing. Only the larger of the two applies to a line item.
+    family: { minAdults: 2, minKids: 2, percent: 0.10, label: 'Family pricing' },
+    group: { minGuests: 10, percent: 0.15, label: 'Group pricing' },
+    // Order-wide discount once the discounted subtotal passes a threshold.
+    bundle: { minSubtotal: 500, percent: 0.10, label: 'Bundle discount' },
+    // Refunds for cancelled bookings, by how long before the first ride day the rider cancels.
+    // The first tier the rider qualifies for wins; once the first ride day starts, nothing is refunded.
+    cancellation: [
+        { minHoursBefore: 48, percent: 1, label: 'Full refund' },
+        { minHoursBefore: 0, percent: 0.5, label: '50% refund' },
+    ],
+};
+
+/**
+ * Rounds a dollar amount to whole cents.
+ * @param {number} amount - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+function roundCents(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Formats a dollar amount for display, e.g. "$1,234.50".
+ * @param {number} amount - The amount to format.
+ * @returns {string} The formatted amount.
+ */
+function formatMoney(amount) {
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Gets the sales tax rate for a park's state.
+ * @param {string} [state] - The two-letter state code.
+ * @param {Object} [rules=PRICING_RULES] - The pricing rules.
+ * @returns {number} The tax rate, e.g. 0.06.
+ */
+function getTaxRate(state, rules = PRICING_RULES) {
+    return rules.taxRatesByState[state] ?? rules.defaultTaxRate;
+}
+
+/**
+ * Prices a single booking line: admission plus rentals, then multi-day and family/group discounts,
+ * which apply to the rentals as well as the tickets.
+ * @param {Object} item - A cart item, or anything with `tickets`, `days`, `unitPrice`, `parkState` and optionally `rentals`.
+ * @param {Object} [rules=PRICING_RULES] - The pricing rules.
+ * @returns {{base: number, admission: number, rentals: Array<{id: string, name: string, quantity: number, amount: number}>,
+ *   discounts: Array<{label: string, amount: number}>, net: number, taxState: ?string, taxRate: number}} The priced line.
+ *   `rentals` lists only the rentals that were picked, each priced for every day of the booking.
+ */
+function priceLineItem(item, rules = PRICING_RULES) {
+    const { adults, kids } = item.tickets;
+    const admission = roundCents((adults * item.unitPrice.adult + kids * item.unitPrice.child) * item.days);
+    const rentals = (item.rentals || [])
+        .filter(rental => rental.quantity > 0)
+        .map(rental => ({ id: rental.id, name: rental.name, quantity: rental.quantity, amount: roundCents(rental.quantity * rental.price * item.days) }));
+    const base = roundCents(admission + rentals.reduce((total, rental) => total + rental.amount, 0));
+    const discounts = [];
+
+    const multiDay = rules.multiDay.find(tier => item.days >= tier.minDays);
+    if (multiDay) {
+        discounts.push({ label: multiDay.label, amount: roundCents(base * multiDay.percent) });
+    }
+
+    const isFamily = adults >= rules.family.minAdults && kids >= rules.family.minKids;
+    const isGroup = adults + kids >= rules.group.minGuests;
+    const partyRule = [isFamily && rules.family, isGroup && rules.group]
+        .filter(Boolean)
+        .sort((a, b) => b.percent - a.percent)[0];
+    if (partyRule) {
+        const afterMultiDay = base - discounts.reduce((total, d) => total + d.amount, 0);
+        discounts.push({ label: partyRule.label, amount: roundCents(afterMultiDay * partyRule.percent) });
+    }
+
+    const net = roundCents(base - discounts.reduce((total, d) => total + d.amount, 0));
+    return { base, admission, rentals, discounts, net, taxState: item.parkState || null, taxRate: getTaxRate(item.parkState, rules) };
+}
+
+/**
+ * Checks whether a promo code can be used on an order.
+ * @param {Object} promo - The promo definition (see MOCK_PROMO_CODES).
+ * @param {Object} context - What the promo is being checked against.
+ * @param {number} context.subtotal - The order subtotal after line discounts.
+ * @param {number} [context.uses=0] - How many times the code has been redeemed.
+ * @param {Date} [context.now=new Date()] - The current time.
+ * @returns {{valid: boolean, message: string}} Whether it applies, and why not if it doesn't.
+ */
+function checkPromoEligibility(promo, { subtotal, uses = 0, now = new Date() }) {
+    if (!promo) return { valid: false, message: "That promo code doesn't exist." };
+    if (promo.expiresAt && now > new Date(`${promo.expiresAt}T23:59:59`)) {
+        return { valid: false, message: `${promo.code} expired on ${formatDateRange([promo.expiresAt])}.` };
+    }
+    if (promo.maxUses !== undefined && uses >= promo.maxUses) {
+        return { valid: false, message: `${promo.code} has reached its usage limit.` };
+    }
+    if (promo.minSubtotal && subtotal < promo.minSubtotal) {
+        return { valid: false, message: `${promo.code} needs an order of at least ${formatMoney(promo.minSubtotal)}.` };
+    }
+    return { valid: true, message: promo.description };
+}
+
+/**
+ * Prices a whole order and returns an itemized breakdown for the summaries to render.
+ * Line discounts come first, then the bundle discount, then the promo code.
+ * Tax is charged per line at its park's state rate, on what's left after every discount.
+ * @param {Array<Object>} items - The cart items.
+ * @param {Object|null} [promo] - The promo code applied to the cart, if any.
+ * @param {Object} [rules=PRICING_RULES] - The pricing rules.
+ * @returns {Object} The breakdown: `lines`, `subtotal` (split into `admissionSubtotal` and `rentalSubtotal`), `discounts`,
+ *   `discountTotal`, `taxes`, `tax`, `total` and `promo`. Each line also gets its `tax` and `total`, the amount actually charged for it.
+ */
+function calculateOrderPricing(items, promo = null, rules = PRICING_RULES) {
+    const lines = items.map(item => ({ itemId: item.id, parkName: item.parkName, ...priceLineItem(item, rules) }));
+    const subtotal = roundCents(lines.reduce((total, line) => total + line.base, 0));
+    const admissionSubtotal = roundCents(lines.reduce((total, line) => total + line.admission, 0));
+
+    // Combine line discounts by label so the summary shows one row per kind.
+    const discountsByLabel = {};
+    lines.flatMap(line => line.discounts).forEach(({ label, amount }) => {
+        discountsByLabel[label] = roundCents((discountsByLabel[label] || 0) + amount);
+    });
+    const discounts = Object.entries(discountsByLabel).map(([label, amount]) => ({ label, amount }));
+    const netSubtotal = roundCents(lines.reduce((total, line) => total + line.net, 0));
+
+    let orderDiscount = 0;
+    if (netSubtotal > rules.bundle.minSubtotal) {
+        orderDiscount = roundCents(netSubtotal * rules.bundle.percent);
+        discounts.push({ label: rules.bundle.label, amount: orderDiscount });
+    }
+
+    let promoResult = null;
+    if (promo) {
+        // Expiry and usage limits are enforced when the code is applied and again when the order
+        // is placed; here we only re-check the minimum, since the cart contents can change.
+        const meetsMinimum = !promo.minSubtotal || netSubtotal >= promo.minSubtotal;
+        promoResult = {
+            code: promo.code,
+            applied: meetsMinimum,
+            message: meetsMinimum ? promo.description : `${promo.code} needs an order of at least ${formatMoney(promo.minSubtotal)}.`,
+        };
+        if (meetsMinimum) {
+            const remaining = netSubtotal - orderDiscount;
+            const amount = roundCents(Math.min(remaining, promo.type === 'percent' ? remaining * promo.value : promo.value));
+            orderDiscount = roundCents(orderDiscount + amount);
+            discounts.push({ label: `Promo ${promo.code}`, amount });
+        }
+    }
+
+    // Spread order-wide discounts across lines in proportion to their value, then tax each line.
+    const orderShare = netSubtotal > 0 ? (netSubtotal - orderDiscount) / netSubtotal : 0;
+    const taxesByState = {};
+    lines.forEach(line => {
+        line.tax = roundCents(line.net * orderShare * line.taxRate);
+        line.total = roundCents(line.net * orderShare + line.tax);
+        const key = line.taxState || 'default';
+        taxesByState[key] = taxesByState[key] || { label: `${line.taxState || 'Sales'} tax (${roundCents(line.taxRate * 100)}%)`, rate: line.taxRate, amount: 0 };
+        taxesByState[key].amount = roundCents(taxesByState[key].amount + line.tax);
+    });
+    const taxes = Object.values(taxesByState);
+    const tax = roundCents(taxes.reduce((total, t) => total + t.amount, 0));
+    const discountTotal = roundCents(discounts.reduce((total, d) => total + d.amount, 0));
+
+    return {
+        lines,
+        subtotal,
+        admissionSubtotal,
+        rentalSubtotal: roundCents(subtotal - admissionSubtotal),
+        discounts,
+        discountTotal,
+        taxes,
+        tax,
+        total: roundCents(subtotal - discountTotal + tax),
+        promo: promoResult,
+    };
+}
+
+/**
+ * Works out the refund for cancelling one booking line under the cancellation policy.
+ * @param {Object} line - The priced line from the order's breakdown (uses its `total`).
+ * @param {string} firstDate - The booking's first ride day, `YYYY-MM-DD`.
+ * @param {Date} [now=new Date()] - The time of cancellation.
+ * @param {Object} [rules=PRICING_RULES] - The pricing rules.
+ * @returns {{cancellable: boolean, percent: number, amount: number, label: string}} The refund terms.
+ */
+function calculateRefund(line, firstDate, now = new Date(), rules = PRICING_RULES) {
+    const hoursBefore = (parseISODate(firstDate) - now) / (60 * 60 * 1000);
+    const tier = rules.cancellation.find(t => hoursBefore >= t.minHoursBefore);
+    if (!tier) return { cancellable: false, percent: 0, amount: 0, label: 'No refund once the ride has started' };
+    return { cancellable: true, percent: tier.percent, amount: roundCents(line.total * tier.percent), label: tier.label };
+}
@@ -0,0 +1,307 @@
+// This file is a small QR code encoder, so tickets can carry a scannable code without calling an
+// outside service. It follows ISO/IEC 18004: byte mode, error correction level M, versions 1-10
+// (up to 213 bytes), which is plenty for an order and ticket ID. The SVG is drawn in app.js.
+
+// Per version 1-10 at level M: error correction codewords per block, and the data codewords in
+// each block (blocks of two sizes are listed in full).
+const QR_VERSIONS_M = [
+    null,
+    { ecPerBlock: 10, blocks: [16] },
+    { ecPerBlock: 16, blocks: [28] },
+    { ecPerBlock: 26, blocks: [44] },
+    { ecPerBlock: 18, blocks: [32, 32] },
+    { ecPerBlock: 24, blocks: [43, 43] },
+    { ecPerBlock: 16, blocks: [27, 27, 27, 27] },
+    { ecPerBlock: 18, blocks: [31, 31, 31, 31] },
+    { ecPerBlock: 22, blocks: [38, 38, 39, 39] },
+    { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37] },
+    { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44] },
+];
+
+// Centers of the alignment patterns, per version.
+const QR_ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+];
+
+const QR_EC_LEVEL_M_BITS = 0b00;
+
+// Whether each mask pattern flips the module at column x, row y.
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+// --- Reed-Solomon ---
+
+/**
+ * Multiplies two numbers in GF(256) with the QR code polynomial (x^8 + x^4 + x^3 + x^2 + 1).
+ * @param {number} x - A byte.
+ * @param {number} y - A byte.
+ * @returns {number} The product.
+ */
+function qrMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Computes the generator polynomial for a number of error correction codewords,
+ * without its leading 1 term, highest power first.
+ * @param {number} degree - The number of error correction codewords.
+ * @returns {Array<number>} The polynomial's coefficients.
+ */
+function qrGeneratorPolynomial(degree) {
+    const result = Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = qrMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = qrMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Computes the error correction codewords for a block of data codewords.
+ * @param {Array<number>} data - The block's data codewords.
+ * @param {Array<number>} generator - From qrGeneratorPolynomial.
+ * @returns {Array<number>} The error correction codewords.
+ */
+function qrErrorCorrection(data, generator) {
+    const result = generator.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        generator.forEach((coefficient, i) => result[i] ^= qrMultiply(coefficient, factor));
+    });
+    return result;
+}
+
+// --- Encoding ---
+
+/**
+ * Builds the final codeword sequence: the text in byte mode, padded to the version's capacity,
+ * split into blocks with their error correction, and interleaved.
+ * @param {Array<number>} bytes - The UTF-8 bytes to encode.
+ * @param {number} version - The QR version (1-10).
+ * @returns {Array<number>} The codewords, in placement order.
+ */
+function qrCodewords(bytes, version) {
+    const { ecPerBlock, blocks } = QR_VERSIONS_M[version];
+    const capacity = blocks.reduce((total, size) => total + size, 0);
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4); // Byte mode
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity * 8 - bits.length)); // Terminator
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    for (let pad = 0xec; data.length < capacity; pad ^= 0xec ^ 0x11) data.push(pad);
+
+    const generator = qrGeneratorPolynomial(ecPerBlock);
+    let offset = 0;
+    const dataBlocks = blocks.map(size => data.slice(offset, offset += size));
+    const ecBlocks = dataBlocks.map(block => qrErrorCorrection(block, generator));
+    const result = [];
+    for (let i = 0; i < Math.max(...blocks); i++) {
+        dataBlocks.forEach(block => i < block.length && result.push(block[i]));
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+        ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+}
+
+/**
+ * Computes the 15 format bits for level M and a mask, with their BCH error correction.
+ * @param {number} mask - The mask pattern (0-7).
+ * @returns {number} The format bits.
+ */
+function qrFormatBits(mask) {
+    const data = (QR_EC_LEVEL_M_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+}
+
+/**
+ * Computes the 18 version bits (versions 7 and up), with their BCH error correction.
+ * @param {number} version - The QR version.
+ * @returns {number} The version bits.
+ */
+function qrVersionBits(version) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    return (version << 12) | remainder;
+}
+
+/**
+ * Scores how hard a symbol is to scan, per the standard's four penalty rules. Lower is better.
+ * @param {Array<Array<boolean>>} modules - The symbol, by row.
+ * @returns {number} The penalty.
+ */
+function qrPenalty(modules) {
+    const size = modules.length;
+    const columns = modules.map((_, x) => modules.map(row => row[x]));
+    let penalty = 0;
+    [...modules, ...columns].forEach(line => {
+        // Runs of five or more modules of one color.
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+        }
+        // Patterns that look like a finder pattern.
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        penalty += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    });
+    // 2x2 blocks of one color.
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+        }
+    }
+    // Too much dark or light overall.
+    const dark = modules.reduce((total, row) => total + row.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * Encodes text as a QR code, using the smallest version that fits and the mask that scans best.
+ * @param {string} text - The text to encode.
+ * @returns {{version: number, size: number, modules: Array<Array<boolean>>}} The symbol: `modules[y][x]`
+ *   is true for dark modules. It doesn't include the quiet zone.
+ */
+function createQRCode(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    const version = QR_VERSIONS_M.findIndex((spec, v) => spec && v > 0 &&
+        4 + (v < 10 ? 8 : 16) + bytes.length * 8 <= spec.blocks.reduce((total, size) => total + size, 0) * 8);
+    if (version < 1) throw new RangeError('Text is too long for a QR code');
+
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    // Finder patterns with their separators, then the timing patterns.
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+    for (let i = 0; i < size; i++) {
+        if (!isFunction[6][i]) set(i, 6, i % 2 === 0);
+        if (!isFunction[i][6]) set(6, i, i % 2 === 0);
+    }
+
+    // Alignment patterns, except where they'd overlap a finder pattern.
+    const positions = QR_ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => positions.forEach((cx, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    const drawFormatBits = (mask) => {
+        const bits = qrFormatBits(mask);
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true); // The dark module
+    };
+    drawFormatBits(0); // Reserves the format areas; redrawn once the mask is chosen.
+
+    if (version >= 7) {
+        const bits = qrVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Data, in two-module-wide columns zigzagging up and down from the bottom right, skipping the timing column.
+    const codewords = qrCodewords(bytes, version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (isFunction[y][x] || bitIndex >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                bitIndex++;
+            }
+        }
+    }
+
+    const applyMask = (mask) => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+    // Try every mask and keep the one with the lowest penalty. Masking twice undoes it.
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    QR_MASKS.forEach((_, mask) => {
+        applyMask(mask);
+        drawFormatBits(mask);
+        const penalty = qrPenalty(modules);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(mask);
+    });
+    applyMask(bestMask);
+    drawFormatBits(bestMask);
+
+    return { version, size, modules };
+}
@@ -0,0 +1,212 @@
+// A small local stand-in for the RideFinder backend, for testing the REST adapter offline.
+// It serves the site's static files and answers every route in API_ROUTES (see api.js)
+// under /api, backed by the same mock data and logic the browser uses, kept in memory.
+//
+// Usage: node server.js [port]   (no dependencies needed)
+// Then open http://localhost:3000 and run `setApiConfig({ adapter: 'rest' })` in the console.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '3000', 10);
+const ROOT = __dirname;
+const API_PREFIX = '/api';
+const ANALYTICS_PATH = '/analytics/events'; // Where analytics.js's HTTP sink posts batches of events.
+// The browser scripts the mock adapter depends on, in page load order.
+const BACKEND_SCRIPTS = ['data.js', 'pricing.js', 'payments.js', 'auth.js', 'app.js', 'api.js'];
+
+// Files under ROOT that are never served to the browser.
+const SERVER_ONLY_FILES = ['server.js'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+};
+
+/**
+ * Loads the browser scripts into a sandbox with an in-memory localStorage,
+ * so the server reuses the exact same mock adapter as the front end.
+ * @returns {vm.Context} The sandbox with the scripts' globals.
+ */
+function createBackend() {
+    const store = new Map();
+    const sandbox = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        URLSearchParams,
+        crypto: globalThis.crypto,  // Session tokens and password hashing in auth.js
+        TextEncoder,
+        localStorage: {
+            getItem: (key) => (store.has(key) ? store.get(key) : null),
+            setItem: (key, value) => store.set(key, String(value)),
+            removeItem: (key) => store.delete(key),
+        },
+    });
+    BACKEND_SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    });
+    return sandbox;
+}
+
+const backend = createBackend();
+const { mockAdapter, ApiError } = vm.runInContext('({ mockAdapter, ApiError })', backend);
+const API_ROUTES = vm.runInContext('API_ROUTES', backend);
+
+// Compile every route's path into a regex once, e.g. '/parks/:parkId' -> /^\/parks\/([^/]+)$/
+const ROUTES = Object.entries(API_ROUTES).flatMap(([resource, methods]) =>
+    Object.entries(methods).map(([name, route]) => ({
+        resource,
+        name,
+        method: route.method,
+        pattern: new RegExp(`^${route.path.replace(/:\w+/g, '([^/]+)')}$`),
+    }))
+);
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Access-Control-Allow-Origin': '*',
+    });
+    res.end(JSON.stringify(data));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : undefined);
+            } catch (error) {
+                reject(new ApiError('Request body must be valid JSON', { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        });
+        res.end();
+        return;
+    }
+
+    const apiPath = url.pathname.slice(API_PREFIX.length) || '/';
+    if (req.method === 'POST' && apiPath === ANALYTICS_PATH) {
+        handleAnalytics(req, res);
+        return;
+    }
+    const route = ROUTES.find(r => r.method === req.method && r.pattern.test(apiPath));
+    if (!route) {
+        sendJson(res, 404, { error: `No route for ${req.method} ${apiPath}` });
+        return;
+    }
+
+    let params;
+    try {
+        params = apiPath.match(route.pattern).slice(1).map(decodeURIComponent);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Malformed URL', details: null });
+        return;
+    }
+
+    try {
+        const payload = req.method === 'GET' || req.method === 'DELETE'
+            ? Object.fromEntries(url.searchParams)
+            : await readJsonBody(req);
+        // The same request context the browser's mock adapter passes: the bearer token, if any.
+        const sessionToken = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || null;
+        const result = await mockAdapter[route.resource][route.name].apply({ sessionToken }, [...params, payload]);
+        sendJson(res, 200, result === undefined ? null : result);
+    } catch (error) {
+        const status = error instanceof ApiError ? error.status : 500;
+        if (status === 500) console.error(error);
+        sendJson(res, status, { error: error.message, details: error.details ?? null });
+    }
+}
+
+// Stands in for an analytics collector: logs each batch of events and discards it.
+async function handleAnalytics(req, res) {
+    try {
+        const body = await readJsonBody(req);
+        if (!body || !Array.isArray(body.events)) throw new ApiError('Expected { events: [...] }', { status: 400 });
+        const counts = body.events.reduce((total, event) => ({ ...total, [event.name]: (total[event.name] || 0) + 1 }), {});
+        console.log(`Analytics: ${body.events.length} events`, counts);
+        res.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+    } catch (error) {
+        sendJson(res, error.status || 400, { error: error.message });
+    }
+}
+
+function serveStatic(req, res, url) {
+    let requested;
+    try {
+        requested = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    const filePath = path.normalize(path.join(ROOT, requested));
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end('Forbidden');
+        return;
+    }
+    // Only the site's own files are served: nothing under a dot directory (e.g. .git), no file types
+    // the site doesn't use (README.md, requests.jsonl), and not the server's own source.
+    const relativePath = path.relative(ROOT, filePath);
+    const isSiteFile = MIME_TYPES[path.extname(filePath)]
+        && !relativePath.split(path.sep).some(segment => segment.startsWith('.'))
+        && !SERVER_ONLY_FILES.includes(relativePath);
+    if (!isSiteFile) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    let url;
+    try {
+        url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    } catch (error) {
+        // A malformed Host header or request target.
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+    if (url.pathname === API_PREFIX || url.pathname.startsWith(`${API_PREFIX}/`)) {
+        handleApi(req, res, url);
+    } else {
+        serveStatic(req, res, url);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`RideFinder stand-in server running at http://localhost:${PORT} (API at ${API_PREFIX})`);
+});
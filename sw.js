@@ -0,0 +1,163 @@
+// The service worker that keeps RideFinder usable without a signal.
+// It caches the app shell (every page, script and style) when it installs, and tries to cache the libraries
+// the pages load from CDNs alongside it, then serves them cache-first so pages open offline.
+// Data is handled by api.js: park, review and order responses are saved in localStorage for
+// offline reads, and changes made offline are queued there until the connection returns.
+//
+// Bump CACHE_VERSION whenever APP_SHELL changes, so installs pick up the new files.
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `ridefinder-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `ridefinder-runtime-${CACHE_VERSION}`;
+const RUNTIME_CACHE_LIMIT = 80; // Park images and font files picked up while browsing.
+
+const APP_SHELL = [
+    'index.html',
+    'park-details.html',
+    'reviews.html',
+    'favorites.html',
+    'compare.html',
+    'cart.html',
+    'checkout.html',
+    'orders.html',
+    'order-details.html',
+    'ticket.html',
+    'waivers.html',
+    'signin.html',
+    'profile.html',
+    'moderation.html',
+    'admin.html',
+    'admin-park.html',
+    'admin-bookings.html',
+    'admin-revenue.html',
+    'analytics.html',
+    'style.css',
+    'data.js',
+    'pricing.js',
+    'payments.js',
+    'auth.js',
+    'app.js',
+    'api.js',
+    'analytics.js',
+    'qrcode.js',
+    'manifest.webmanifest',
+    'icon.svg',
+];
+
+// Third-party libraries, cached as opaque responses since not every CDN sends CORS headers.
+const VENDOR_LIBRARIES = [
+    'https://cdn.tailwindcss.com',
+    'https://cdn.jsdelivr.net/npm/sweetalert2@11',
+    'https://cdn.jsdelivr.net/npm/zod@3.22.4/lib/index.umd.min.js',
+    'https://unpkg.com/aos@next/dist/aos.js',
+    'https://unpkg.com/aos@next/dist/aos.css',
+    'https://fonts.googleapis.com/css2?family=Poppins:wght@400;600;700;800&display=swap',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        // Each library is cached on its own and failures are ignored: a CDN being down shouldn't stop the app shell
+        // from installing. A library that couldn't be fetched is cached on first use instead (see cacheFirst).
+        await Promise.all(VENDOR_LIBRARIES.map(url =>
+            fetch(new Request(url, { mode: 'no-cors' }))
+                .then(response => cache.put(url, response))
+                .catch(() => {})
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('ridefinder-') && name !== SHELL_CACHE && name !== RUNTIME_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Writes, the REST API (which api.js caches per rider) and the analytics collector always go to the network.
+    if (request.method !== 'GET' || (url.origin === self.location.origin && url.pathname.startsWith('/api/'))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Serves pages from the network so riders see the latest version, falling back to the cached copy offline.
+ * The query string is ignored when matching, so `park-details.html?id=park-3` opens from the cached page.
+ * @param {Request} request - The navigation request.
+ * @returns {Promise<Response>} The page.
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(new URL(request.url).pathname, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        return cached || (await cache.match('index.html')) || Response.error();
+    }
+}
+
+/**
+ * Serves the app's own scripts and styles from the cache straight away, refreshing the cache in the background.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The file.
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || refresh;
+}
+
+/**
+ * Serves libraries, fonts and park images from the cache, fetching and keeping them on first use.
+ * Libraries go in the shell cache, so browsing lots of parks never pushes them out of the runtime cache.
+ * @param {Request} request - The request.
+ * @returns {Promise<Response>} The file.
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            const isLibrary = VENDOR_LIBRARIES.some(url => new URL(url).href === request.url);
+            const cache = await caches.open(isLibrary ? SHELL_CACHE : RUNTIME_CACHE);
+            await cache.put(request, response.clone());
+            if (!isLibrary) trimCache(cache, RUNTIME_CACHE_LIMIT);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Deletes the oldest entries from a cache until it's within its limit.
+ * @param {Cache} cache - The cache.
+ * @param {number} limit - The most entries to keep.
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}